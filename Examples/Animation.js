@@ -50,9 +50,8 @@ l8.open().then(function(response) {
     );
     animation[3] = animation[4] = builder.toMatrix();
     return l8.prepareAnimation(animation, [100, 100, 100, 100, 100, 100, 100, 100]);
-}).then(function(response) {
-    var id = response.parameters[0];
-    return l8.playAnimation(id, true);
+}).then(function(animation) {
+    return animation.play(true);
 }).then(function() {
     return l8.close();
 }).catch(function(error) {
@@ -1,6 +1,7 @@
 var util = require('util');
 var Stream = require('stream');
-var L8Error = require("./Errors").L8Error;
+
+var isTransient = require('./Errors').isTransient;
 
 /**
  * Time based stream of acceleration data from the L8.
@@ -23,7 +24,14 @@ var L8Error = require("./Errors").L8Error;
  *
  * In order to utilize the Stream simply wrap it around an L8 instance and attach to the
  * corresponding [Stream](http://nodejs.org/api/stream.html#stream_class_stream_readable)
- * event handlers:
+ * event handlers.
+ *
+ * Unanswered queries are retried by the {@link L8} itself (see its
+ * `retries` option). If they still fail the next sample is polled as usual.
+ * Error responses, timeouts and connection losses happen from time to time and
+ * are therefore silently ignored. All other errors are emitted as `error`
+ * event, if a listener is attached. While the L8 is not connected polling
+ * pauses until it is opened again.
  *
  * @example ```
  *  var l8 = //...
@@ -47,6 +55,9 @@ var L8Error = require("./Errors").L8Error;
  *
  * @param {L8} l8 Instance of the L8 to attach to.
  * @param {int} [samplingRate]
+ *
+ * @fires AccelerationStream#error
+ *
  * @constructor
  */
 var AccelerationStream = function(l8, samplingRate) {
@@ -86,6 +97,24 @@ var AccelerationStream = function(l8, samplingRate) {
      */
     this.requested_ = false;
 
+    /**
+     * Status flag indicating whether polling waits for the L8 to be opened
+     *
+     * @type {boolean}
+     * @private
+     */
+    this.waitingForOpen_ = false;
+
+    /**
+     * Status flag indicating whether the stream has been stopped for good
+     *
+     * @type {boolean}
+     * @private
+     */
+    this.stopped_ = false;
+
+    this.onOpen_ = this.onOpen_.bind(this);
+
     /*
      * The underlying stream should operate in Object mode.
      * Furthermore the internal Stream buffer needs to be disabled, as we have
@@ -109,9 +138,58 @@ util.inherits(AccelerationStream, Stream.Readable);
  * @private
  */
 AccelerationStream.prototype.poll_ = function() {
+    if (this.stopped_) {
+        return;
+    }
+
+    if (!this.l8_.isConnected) {
+        this.waitForOpen_();
+        return;
+    }
+
     this.l8_.getAcceleration(this.onResponse_.bind(this));
 };
 
+/**
+ * Resume polling once the L8 has been opened
+ *
+ * Only one listener is registered, no matter how often polling is paused.
+ *
+ * @private
+ */
+AccelerationStream.prototype.waitForOpen_ = function() {
+    if (this.waitingForOpen_) {
+        return;
+    }
+
+    this.waitingForOpen_ = true;
+    this.l8_.once('open', this.onOpen_);
+};
+
+/**
+ * Callback invoked once the L8 has been opened, while polling is paused
+ *
+ * @private
+ */
+AccelerationStream.prototype.onOpen_ = function() {
+    this.waitingForOpen_ = false;
+    this.poll_();
+};
+
+/**
+ * Stop polling the acceleration data for good.
+ *
+ * The stream is not ended, but no further data is read into it.
+ */
+AccelerationStream.prototype.stop = function() {
+    this.stopped_ = true;
+
+    if (this.waitingForOpen_) {
+        this.waitingForOpen_ = false;
+        this.l8_.removeListener('open', this.onOpen_);
+    }
+};
+
 /**
  * Callback invoked each time acceleration data has been read from the L8
  *
@@ -125,14 +203,9 @@ AccelerationStream.prototype.onResponse_ = function(error, data) {
     this.requested_ = false;
     this.cooldown_ = true;
 
-    if(error) {
-        if (error instanceof L8Error) {
-            // An error occured. This happens some times. Just read the data again
-            console.error("!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!");
-            this.poll_();
-        } else {
-            throw new Error('An error occured while reading the acceleration information: ' + error);
-        }
+    if (error) {
+        // Retry the poll after the usual sampling interval
+        this.requested_ = true;
     }
 
     setTimeout(function() {
@@ -142,10 +215,35 @@ AccelerationStream.prototype.onResponse_ = function(error, data) {
         }
     }.bind(this), this.samplingRate_);
 
+    if (error) {
+        this.onError_(error);
+        return;
+    }
+
     // Push the read information into the Streams read buffer to distribution^^
     this.push(data);
 };
 
+/**
+ * Report the given error of a failed poll
+ *
+ * @param {Error} error
+ * @private
+ */
+AccelerationStream.prototype.onError_ = function(error) {
+    if (isTransient(error) || this.listeners('error').length === 0) {
+        return;
+    }
+
+    /**
+     * Event fired if polling the acceleration data failed unexpectedly
+     *
+     * @event AccelerationStream#error
+     * @type {Error}
+     */
+    this.emit('error', error);
+};
+
 /**
  * Triggered by the stream API in case the read buffer needs to be filled with information.
  *
@@ -0,0 +1,105 @@
+var async = require("async");
+
+/**
+ * Handle to an animation stored inside the User Memory of an L8.
+ *
+ * Instances of this class are usually not created manually, but are provided
+ * by {@link L8#prepareAnimation} once an animation has been transmitted to the
+ * device.
+ *
+ * @example ```
+ *  var l8 = //...
+ *
+ *  l8.prepareAnimation(matrices, durations).then(function(animation) {
+ *      return animation.play(true);
+ *  }).then(function() {
+ *      // The animation is running now
+ *  });
+ * ```
+ *
+ * @param {L8} l8 Instance of the L8 the animation is stored on.
+ * @param {Number} id Id of the stored animation
+ * @param {Number[]} frames Ids of the stored frames used by the animation
+ * @param {Number[]} durations Duration of each frame in milliseconds
+ * @constructor
+ */
+var Animation = function(l8, id, frames, durations) {
+    /**
+     * Instance of the L8 the animation is stored on
+     *
+     * @type {L8}
+     * @private
+     */
+    this.l8_ = l8;
+
+    /**
+     * Id of the animation on the L8
+     *
+     * @type {Number}
+     */
+    this.id = id;
+
+    /**
+     * Ids of all the frames the animation consists of
+     *
+     * @type {Number[]}
+     */
+    this.frames = frames;
+
+    /**
+     * Duration of each of the frames in milliseconds
+     *
+     * @type {Number[]}
+     */
+    this.durations = durations;
+};
+
+/**
+ * Play the animation on the L8.
+ *
+ * `loop` specifies whether the animation is looped or not.
+ *
+ * @param {Boolean} loop
+ * @param {Function} fn
+ */
+Animation.prototype.play = function(loop, fn) {
+    this.l8_.playAnimation(this.id, loop, fn);
+};
+
+/**
+ * Stop the animation, if it is currently playing.
+ *
+ * @param {Function} fn
+ */
+Animation.prototype.stop = function(fn) {
+    this.l8_.stopAnimation(fn);
+};
+
+/**
+ * Delete the animation as well as all of its frames from the L8.
+ *
+ * The handle may not be used anymore afterwards.
+ *
+ * @param {Function} fn
+ */
+Animation.prototype.delete = function(fn) {
+    this.l8_.deleteAnimation(this.id, function(error) {
+        if (error) {
+            fn(error, false);
+            return;
+        }
+
+        async.eachSeries(this.frames, function(frameId, next) {
+            this.l8_.deleteFrame(frameId, next);
+        }.bind(this), function(error) {
+            if (error) {
+                fn(error, false);
+                return;
+            }
+
+            fn(false, true);
+        });
+    }.bind(this));
+};
+
+exports.Animation = Animation;
@@ -0,0 +1,419 @@
+var util = require('util');
+var Stream = require('stream');
+
+var isTransient = require('./Errors').isTransient;
+
+/**
+ * Stream of events triggered by the button of the L8.
+ *
+ * The stream is an object mode stream. Each read returns one button event of
+ * the following form:
+ *
+ * ```
+ *  {
+ *      type: String, // "press", "release" or "longpress"
+ *      timestamp: Date,
+ *      duration: Number // msec the button has been held, "release" and "longpress" only
+ *  }
+ * ```
+ *
+ * Additionally each event is emitted using its `type` as event name.
+ *
+ * The L8 only provides the state of its button if it is polled. This stream
+ * takes care of polling the state at a given sampling rate and translating
+ * state changes into events. Polling is started once data is read from the
+ * stream or a listener for one of the `press`, `release` or `longpress` events
+ * is attached. It is stopped again once neither of both is the case anymore.
+ * While the L8 is not connected polling pauses until it is opened again.
+ *
+ * Failed polls are repeated after the usual sampling interval. Error responses,
+ * timeouts and connection losses are expected to happen from time to time and
+ * are therefore silently ignored. All other errors are emitted as `error`
+ * event, if a listener is attached.
+ *
+ * The following `options` are supported:
+ *
+ * - `samplingRate`: msec between two polls of the button state (default `50`)
+ * - `debounce`: msec a new button state needs to be stable, before it is
+ *   accepted (default `50`)
+ * - `longPressDuration`: msec the button needs to be held, before a
+ *   `longpress` is emitted (default `1000`)
+ *
+ * @example ```
+ *  var l8 = //...
+ *
+ *  var button = new ButtonStream(l8, {longPressDuration: 2000});
+ *  button.on("press", function(event) {
+ *      // Go to the next item of the playlist
+ *  });
+ * ```
+ *
+ * Alternatively the convenience function {@link L8#createButtonStream} can
+ * be used to get an already connected stream directly from an L8 instance
+ *
+ * @param {L8} l8 Instance of the L8 to attach to.
+ * @param {{samplingRate: Number?, debounce: Number?, longPressDuration: Number?}} [options]
+ *
+ * @fires ButtonStream#press
+ * @fires ButtonStream#release
+ * @fires ButtonStream#longpress
+ * @fires ButtonStream#error
+ *
+ * @constructor
+ */
+var ButtonStream = function(l8, options) {
+    options = options || {};
+
+    /**
+     * Instance of the L8 to access for button data
+     * @type {L8}
+     *
+     * @private
+     */
+    this.l8_ = l8;
+
+    /**
+     * Sampling rate which defines in which interval the button state is polled from the L8
+     *
+     * @type {Number}
+     * @private
+     */
+    this.samplingRate_ = options.samplingRate || 50;
+
+    /**
+     * Time in msec a changed button state needs to be stable in order to be accepted
+     *
+     * @type {Number}
+     * @private
+     */
+    this.debounce_ = (options.debounce === undefined) ? 50 : options.debounce;
+
+    /**
+     * Time in msec the button needs to be held in order to trigger a longpress
+     *
+     * @type {Number}
+     * @private
+     */
+    this.longPressDuration_ = options.longPressDuration || 1000;
+
+    /**
+     * Status flag indicating whether the button state is currently polled
+     *
+     * @type {boolean}
+     * @private
+     */
+    this.polling_ = false;
+
+    /**
+     * Status flag indicating whether the stream has been asked for more data
+     *
+     * @type {boolean}
+     * @private
+     */
+    this.requested_ = false;
+
+    /**
+     * Last accepted (debounced) state of the button. `null` until the first
+     * state has been read.
+     *
+     * @type {boolean}
+     * @private
+     */
+    this.pressed_ = null;
+
+    /**
+     * State of the button, which has been read, but not yet accepted, as well
+     * as the time it has first been seen.
+     *
+     * @type {{pressed: boolean, since: Number}}
+     * @private
+     */
+    this.candidate_ = null;
+
+    /**
+     * Time the button has been pressed down
+     *
+     * @type {Number}
+     * @private
+     */
+    this.pressedAt_ = null;
+
+    /**
+     * Status flag indicating whether a longpress has already been emitted for
+     * the current press
+     *
+     * @type {boolean}
+     * @private
+     */
+    this.longPressEmitted_ = false;
+
+    /**
+     * Status flag indicating whether polling waits for the L8 to be opened
+     *
+     * @type {boolean}
+     * @private
+     */
+    this.waitingForOpen_ = false;
+
+    /**
+     * Status flag indicating whether the stream has been stopped for good
+     *
+     * @type {boolean}
+     * @private
+     */
+    this.stopped_ = false;
+
+    this.onOpen_ = this.onOpen_.bind(this);
+
+    /*
+     * The underlying stream should operate in Object mode.
+     * Furthermore the internal Stream buffer needs to be disabled, as events
+     * are supposed to be delivered as soon as they happen.
+     */
+    var streamOptions = {
+        objectMode: true,
+        highWaterMark: 0
+    };
+    // Call super constructor
+    Stream.Readable.call(this, streamOptions);
+
+    this.on("newListener", function(event) {
+        if (ButtonStream.EVENTS.indexOf(event) !== -1) {
+            setImmediate(this.startPolling_.bind(this));
+        }
+    }.bind(this));
+};
+util.inherits(ButtonStream, Stream.Readable);
+
+/**
+ * Names of all the button events emitted by the stream
+ *
+ * @type {String[]}
+ * @const
+ */
+ButtonStream.EVENTS = ["press", "release", "longpress"];
+
+/**
+ * Check whether anybody is interested in button events
+ *
+ * @returns {boolean}
+ * @private
+ */
+ButtonStream.prototype.isWanted_ = function() {
+    if (this.requested_) {
+        return true;
+    }
+
+    return ButtonStream.EVENTS.some(function(event) {
+        return this.listeners(event).length > 0;
+    }.bind(this));
+};
+
+/**
+ * Start polling the button state, if it isn't already polled.
+ *
+ * @private
+ */
+ButtonStream.prototype.startPolling_ = function() {
+    if (this.polling_ || this.stopped_) {
+        return;
+    }
+
+    this.polling_ = true;
+    this.poll_();
+};
+
+/**
+ * Poll the button state from the L8.
+ *
+ * After the polling is complete the {@link ButtonStream#onResponse_} method
+ * will be invoked as callback.
+ *
+ * @private
+ */
+ButtonStream.prototype.poll_ = function() {
+    if (this.stopped_ || !this.isWanted_()) {
+        this.polling_ = false;
+        return;
+    }
+
+    if (!this.l8_.isConnected) {
+        this.waitForOpen_();
+        return;
+    }
+
+    this.l8_.getButton(this.onResponse_.bind(this));
+};
+
+/**
+ * Resume polling once the L8 has been opened
+ *
+ * Only one listener is registered, no matter how often polling is paused.
+ *
+ * @private
+ */
+ButtonStream.prototype.waitForOpen_ = function() {
+    if (this.waitingForOpen_) {
+        return;
+    }
+
+    this.waitingForOpen_ = true;
+    this.l8_.once("open", this.onOpen_);
+};
+
+/**
+ * Callback invoked once the L8 has been opened, while polling is paused
+ *
+ * @private
+ */
+ButtonStream.prototype.onOpen_ = function() {
+    this.waitingForOpen_ = false;
+    this.poll_();
+};
+
+/**
+ * Stop polling the button state for good.
+ *
+ * No further events are emitted afterwards, even if listeners are attached.
+ */
+ButtonStream.prototype.stop = function() {
+    this.stopped_ = true;
+
+    if (this.waitingForOpen_) {
+        this.waitingForOpen_ = false;
+        this.l8_.removeListener("open", this.onOpen_);
+    }
+};
+
+/**
+ * Callback invoked each time the button state has been read from the L8
+ *
+ * @param {Error?} error
+ * @param {{pressed: Boolean}} data
+ * @private
+ */
+ButtonStream.prototype.onResponse_ = function(error, data) {
+    if (error) {
+        this.onError_(error);
+    } else {
+        this.update_(data.pressed, Date.now());
+    }
+
+    setTimeout(this.poll_.bind(this), this.samplingRate_);
+};
+
+/**
+ * Report the given error of a failed poll
+ *
+ * @param {Error} error
+ * @private
+ */
+ButtonStream.prototype.onError_ = function(error) {
+    if (isTransient(error) || this.listeners("error").length === 0) {
+        return;
+    }
+
+    /**
+     * Event fired if polling the button state failed unexpectedly
+     *
+     * @event ButtonStream#error
+     * @type {Error}
+     */
+    this.emit("error", error);
+};
+
+/**
+ * Process a newly read button state and emit all resulting events
+ *
+ * @param {boolean} pressed
+ * @param {Number} now
+ * @private
+ */
+ButtonStream.prototype.update_ = function(pressed, now) {
+    if (this.pressed_ === null) {
+        // The initial state is taken as it is without triggering any event
+        this.pressed_ = pressed;
+        this.pressedAt_ = now;
+        this.longPressEmitted_ = pressed;
+        return;
+    }
+
+    if (pressed === this.pressed_) {
+        // Any state change seen before has only been a bounce
+        this.candidate_ = null;
+    } else if (this.candidate_ === null) {
+        this.candidate_ = {pressed: pressed, since: now};
+    }
+
+    if (this.candidate_ !== null && now - this.candidate_.since >= this.debounce_) {
+        this.pressed_ = this.candidate_.pressed;
+
+        if (this.pressed_) {
+            this.pressedAt_ = this.candidate_.since;
+            this.longPressEmitted_ = false;
+            /**
+             * Event fired every time the button is pressed down
+             *
+             * @event ButtonStream#press
+             * @type {{type: String, timestamp: Date}}
+             */
+            this.emitButtonEvent_({type: "press", timestamp: new Date(this.candidate_.since)});
+        } else {
+            /**
+             * Event fired every time the button is released
+             *
+             * @event ButtonStream#release
+             * @type {{type: String, timestamp: Date, duration: Number}}
+             */
+            this.emitButtonEvent_({
+                type: "release",
+                timestamp: new Date(this.candidate_.since),
+                duration: this.candidate_.since - this.pressedAt_
+            });
+        }
+
+        this.candidate_ = null;
+    }
+
+    if (this.pressed_ && !this.longPressEmitted_ && now - this.pressedAt_ >= this.longPressDuration_) {
+        this.longPressEmitted_ = true;
+        /**
+         * Event fired once the button has been held for the configured
+         * `longPressDuration`
+         *
+         * @event ButtonStream#longpress
+         * @type {{type: String, timestamp: Date, duration: Number}}
+         */
+        this.emitButtonEvent_({
+            type: "longpress",
+            timestamp: new Date(now),
+            duration: now - this.pressedAt_
+        });
+    }
+};
+
+/**
+ * Emit the given button event and push it into the streams read buffer
+ *
+ * @param {{type: String, timestamp: Date}} event
+ * @private
+ */
+ButtonStream.prototype.emitButtonEvent_ = function(event) {
+    this.emit(event.type, event);
+
+    if (this.requested_) {
+        this.requested_ = this.push(event);
+    }
+};
+
+/**
+ * Triggered by the stream API in case the read buffer needs to be filled with information.
+ *
+ * @private
+ */
+ButtonStream.prototype._read = function() {
+    this.requested_ = true;
+    this.startPolling_();
+};
+
+exports.ButtonStream = ButtonStream;
@@ -0,0 +1,240 @@
+var util = require("util");
+var EventEmitter = require("events").EventEmitter;
+
+/**
+ * Periodic synchronization of the L8s real-time clock with the host clock.
+ *
+ * Once started the clock of the L8 is set to the current host time. Afterwards
+ * the clock of the device is queried every `interval` milliseconds (default
+ * `60000`) and compared to the host clock. Whenever the drift between both
+ * exceeds `maxDrift` milliseconds (default `2000`) the L8 clock is set again.
+ *
+ * The L8 clock only has a resolution of seconds. Therefore a drift of up to
+ * one second is to be expected even directly after a synchronization.
+ *
+ * Checks are skipped while the L8 is not connected. Failed checks are retried
+ * with the next interval. Their errors are only emitted as `error` event, if
+ * a listener is attached.
+ *
+ * @example ```
+ *  var l8 = //...
+ *
+ *  var clockSync = l8.syncClock({interval: 30000});
+ *  clockSync.on("drift", function(drift) {
+ *      console.log("L8 clock is off by " + drift.drift + " msec");
+ *  });
+ * ```
+ *
+ * @param {L8} l8 Instance of the L8 to synchronize.
+ * @param {{interval: Number?, maxDrift: Number?}} [options]
+ *
+ * @fires ClockSync#sync
+ * @fires ClockSync#drift
+ * @fires ClockSync#error
+ *
+ * @constructor
+ */
+var ClockSync = function(l8, options) {
+    EventEmitter.call(this);
+
+    options = options || {};
+
+    /**
+     * Instance of the L8 to synchronize
+     *
+     * @type {L8}
+     * @private
+     */
+    this.l8_ = l8;
+
+    /**
+     * Interval in milliseconds between two checks of the device clock
+     *
+     * @type {Number}
+     * @private
+     */
+    this.interval_ = options.interval || 60000;
+
+    /**
+     * Maximal drift in milliseconds tolerated before the clock is set again
+     *
+     * @type {Number}
+     * @private
+     */
+    this.maxDrift_ = options.maxDrift || 2000;
+
+    /**
+     * Handle of the currently scheduled check
+     *
+     * @type {Object}
+     * @private
+     */
+    this.timer_ = null;
+
+    /**
+     * Status flag indicating whether the synchronization is running
+     *
+     * @type {boolean}
+     * @private
+     */
+    this.running_ = false;
+
+    /**
+     * Number of times the synchronization has been started
+     *
+     * Requests still in flight from a previous run compare it to the value
+     * they have been issued with, to not schedule a second chain of checks.
+     *
+     * @type {Number}
+     * @private
+     */
+    this.generation_ = 0;
+};
+util.inherits(ClockSync, EventEmitter);
+
+/**
+ * Start the synchronization by setting the clock of the L8.
+ */
+ClockSync.prototype.start = function() {
+    if (this.running_) {
+        return;
+    }
+
+    this.running_ = true;
+    this.generation_++;
+    this.sync_();
+};
+
+/**
+ * Stop the synchronization.
+ *
+ * The clock of the L8 keeps running on its own afterwards.
+ */
+ClockSync.prototype.stop = function() {
+    this.running_ = false;
+    this.generation_++;
+    clearTimeout(this.timer_);
+    this.timer_ = null;
+};
+
+/**
+ * Schedule the next check of the device clock
+ *
+ * @private
+ */
+ClockSync.prototype.schedule_ = function() {
+    if (!this.running_) {
+        return;
+    }
+
+    this.timer_ = setTimeout(this.check_.bind(this), this.interval_);
+};
+
+/**
+ * Set the clock of the L8 to the current host time
+ *
+ * @private
+ */
+ClockSync.prototype.sync_ = function() {
+    if (!this.l8_.isConnected) {
+        this.schedule_();
+        return;
+    }
+
+    var generation = this.generation_;
+    var hostTime = new Date();
+    this.l8_.setTime(hostTime, function(error) {
+        if (generation !== this.generation_) {
+            // Stopped in the meantime
+            return;
+        }
+
+        if (error) {
+            this.emitError_(error);
+        } else {
+            /**
+             * Event fired every time the clock of the L8 has been set
+             *
+             * @event ClockSync#sync
+             * @type {Date}
+             */
+            this.emit("sync", hostTime);
+        }
+
+        this.schedule_();
+    }.bind(this));
+};
+
+/**
+ * Compare the clock of the L8 with the host clock and set it if necessary
+ *
+ * @private
+ */
+ClockSync.prototype.check_ = function() {
+    if (!this.l8_.isConnected) {
+        this.schedule_();
+        return;
+    }
+
+    var generation = this.generation_;
+    this.l8_.getTime(function(error, deviceTime) {
+        if (generation !== this.generation_) {
+            // Stopped in the meantime
+            return;
+        }
+
+        if (error) {
+            this.emitError_(error);
+            this.schedule_();
+            return;
+        }
+
+        var hostTime = new Date();
+        var drift = deviceTime.getTime() - hostTime.getTime();
+
+        /**
+         * Event fired every time the clock of the L8 has been compared to the
+         * host clock. The drift is given in milliseconds. A negative drift
+         * indicates the L8 clock is running behind.
+         *
+         * @event ClockSync#drift
+         * @type {{drift: Number, deviceTime: Date, hostTime: Date}}
+         */
+        this.emit("drift", {
+            drift: drift,
+            deviceTime: deviceTime,
+            hostTime: hostTime
+        });
+
+        if (Math.abs(drift) > this.maxDrift_) {
+            this.sync_();
+        } else {
+            this.schedule_();
+        }
+    }.bind(this));
+};
+
+/**
+ * Report the given error to all attached `error` listeners
+ *
+ * Without any listener the error is dropped, as the failed operation is
+ * retried with the next check anyway.
+ *
+ * @param {Error} error
+ * @private
+ */
+ClockSync.prototype.emitError_ = function(error) {
+    if (this.listeners("error").length === 0) {
+        return;
+    }
+
+    /**
+     * Event fired if the communication with the L8 failed
+     *
+     * @event ClockSync#error
+     * @type {Error}
+     */
+    this.emit("error", error);
+};
+
+exports.ClockSync = ClockSync;
@@ -0,0 +1,402 @@
+var util = require("util");
+var EventEmitter = require("events").EventEmitter;
+
+var SLCP = require("./SLCP");
+var L8Error = require("./Errors").L8Error;
+var L8TimeoutError = require("./Errors").L8TimeoutError;
+
+/**
+ * Queue serializing all commands sent to one L8.
+ *
+ * Commands are written using the given `writer` function, which is called
+ * with the frame buffer as well as a callback, expecting an error and the
+ * number of written bytes.
+ *
+ * At most `maxInFlight` commands (default `1`) are written to the L8 before
+ * their responses have been received. All further commands wait inside the
+ * queue. Received frames are handed to {@link CommandQueue#handleFrame},
+ * which assigns them to the oldest in-flight command awaiting such a response.
+ * Therefore two commands expecting the same response, like the `OK` of two
+ * `setLED` calls, are always resolved in the order they have been issued.
+ *
+ * Commands not answered within `timeout` msec (default `5000`) are failed with
+ * an {@link L8TimeoutError}. The timeout of single commands may be changed
+ * using the `commandTimeouts` option, which maps command codes to their timeout,
+ * or by giving a timeout to {@link CommandQueue#push} for one single command.
+ * A timeout of `0` waits forever.
+ *
+ * Commands listed in `idempotentCommands` are retried up to `retries` times
+ * (default `0`) if they time out. The first retry is issued after `retryDelay`
+ * msec (default `50`). The delay is doubled with each further retry. Error
+ * responses of the L8 are never retried, as the L8 would answer the same
+ * command the same way again.
+ *
+ * @param {Function} writer
+ * @param {{maxInFlight: Number?, timeout: Number?, commandTimeouts: Object.<Number, Number>?, retries: Number?, retryDelay: Number?, idempotentCommands: Number[]?}} [options]
+ *
+ * @fires CommandQueue#drain
+ *
+ * @constructor
+ */
+var CommandQueue = function(writer, options) {
+    EventEmitter.call(this);
+
+    options = options || {};
+
+    /**
+     * Function used to write a frame to the L8
+     *
+     * @type {Function}
+     * @private
+     */
+    this.writer_ = writer;
+
+    /**
+     * Maximal number of commands awaiting their response at the same time
+     *
+     * @type {Number}
+     * @private
+     */
+    this.maxInFlight_ = options.maxInFlight || 1;
+
+    /**
+     * Time in msec to wait for the response to a command
+     *
+     * @type {Number}
+     * @private
+     */
+    this.timeout_ = (options.timeout !== undefined) ? options.timeout : 5000;
+
+    /**
+     * Timeouts of specific commands indexed by their command code
+     *
+     * @type {Object.<Number, Number>}
+     * @private
+     */
+    this.commandTimeouts_ = options.commandTimeouts || {};
+
+    /**
+     * Number of times a failed idempotent command is retried
+     *
+     * @type {Number}
+     * @private
+     */
+    this.retries_ = options.retries || 0;
+
+    /**
+     * Time in msec to wait before the first retry
+     *
+     * @type {Number}
+     * @private
+     */
+    this.retryDelay_ = (options.retryDelay !== undefined) ? options.retryDelay : 50;
+
+    /**
+     * Command codes of all commands, which may safely be sent more than once
+     *
+     * @type {Number[]}
+     * @private
+     */
+    this.idempotentCommands_ = options.idempotentCommands || [];
+
+    /**
+     * Commands waiting to be written
+     *
+     * @type {Object[]}
+     * @private
+     */
+    this.pending_ = [];
+
+    /**
+     * Commands written, but not yet completed, in the order they have been written
+     *
+     * @type {Object[]}
+     * @private
+     */
+    this.inFlight_ = [];
+};
+util.inherits(CommandQueue, EventEmitter);
+
+/**
+ * Add a command to the queue.
+ *
+ * The arguments are the same as the ones of {@link L8#sendFrame}. The
+ * optional `timeout` overrides the configured timeouts for this command only.
+ *
+ * @param {Buffer} buffer
+ * @param {{command: Number, parameters: Buffer?}|Boolean} expectedResponse
+ * @param {{command: Number, parameters: Buffer?}|Boolean} handleError
+ * @param {Function} fn
+ * @param {Number} [timeout]
+ */
+CommandQueue.prototype.push = function(buffer, expectedResponse, handleError, fn, timeout) {
+    this.pending_.push({
+        buffer: buffer,
+        expectedResponse: expectedResponse,
+        handleError: handleError,
+        fn: fn,
+        timeout: (timeout !== undefined && timeout !== null) ? timeout : null,
+        attempts: 0,
+        awaiting: false,
+        timer: null,
+        completed: false
+    });
+
+    this.process_();
+};
+
+/**
+ * Number of commands inside the queue, including the ones currently in flight
+ *
+ * @returns {Number}
+ */
+CommandQueue.prototype.getDepth = function() {
+    return this.pending_.length + this.inFlight_.length;
+};
+
+/**
+ * Fail all queued commands, including the ones in flight, with the given error.
+ *
+ * @param {Error} error
+ */
+CommandQueue.prototype.clear = function(error) {
+    var commands = this.inFlight_.concat(this.pending_);
+
+    if (commands.length === 0) {
+        return;
+    }
+
+    this.pending_ = [];
+    commands.forEach(function(command) {
+        this.complete_(command, error, false);
+    }.bind(this));
+};
+
+/**
+ * Write as many pending commands as allowed
+ *
+ * @private
+ */
+CommandQueue.prototype.process_ = function() {
+    while (this.pending_.length > 0 && this.inFlight_.length < this.maxInFlight_) {
+        this.write_(this.pending_.shift());
+    }
+};
+
+/**
+ * Write the given command to the L8
+ *
+ * @param {Object} command
+ * @private
+ */
+CommandQueue.prototype.write_ = function(command) {
+    var commandByte = command.buffer[3];
+    var timeout = this.getTimeout_(command);
+
+    // The command is in flight before it is written, as fast transports may
+    // deliver the response before the write has been finished.
+    if (this.inFlight_.indexOf(command) === -1) {
+        this.inFlight_.push(command);
+    }
+
+    var attempt = ++command.attempts;
+    command.awaiting = true;
+
+    if (timeout > 0) {
+        command.timer = setTimeout(function() {
+            command.timer = null;
+            this.fail_(command, new L8TimeoutError(
+                "L8 did not answer command 0x" + commandByte.toString(16) + " within " + timeout + " msec",
+                commandByte,
+                timeout
+            ), false);
+        }.bind(this), timeout);
+    }
+
+    this.writer_(command.buffer, function(error, writeCount) {
+        if (command.completed || !command.awaiting || attempt !== command.attempts) {
+            // The command timed out while being written
+            return;
+        }
+
+        if (error) {
+            this.complete_(command, error, writeCount);
+        } else if (command.expectedResponse === false) {
+            // No response expected. We are ready to return
+            this.complete_(command, false, writeCount);
+        }
+    }.bind(this));
+};
+
+/**
+ * Determine the time in msec to wait for the response to the given command
+ *
+ * @param {Object} command
+ * @returns {Number}
+ * @private
+ */
+CommandQueue.prototype.getTimeout_ = function(command) {
+    if (command.timeout !== null) {
+        return command.timeout;
+    }
+
+    if (this.commandTimeouts_[command.buffer[3]] !== undefined) {
+        return this.commandTimeouts_[command.buffer[3]];
+    }
+
+    return this.timeout_;
+};
+
+/**
+ * Retry the given timed out command if possible, or complete it with the given
+ * error otherwise
+ *
+ * @param {Object} command
+ * @param {Error} error
+ * @param {*} result
+ * @private
+ */
+CommandQueue.prototype.fail_ = function(command, error, result) {
+    this.clearTimer_(command);
+
+    if (command.attempts > this.retries_ || this.idempotentCommands_.indexOf(command.buffer[3]) === -1) {
+        this.complete_(command, error, result);
+        return;
+    }
+
+    // Responses arriving during the backoff period do not belong to this command
+    command.awaiting = false;
+    command.timer = setTimeout(function() {
+        command.timer = null;
+        this.write_(command);
+    }.bind(this), this.retryDelay_ * Math.pow(2, command.attempts - 1));
+};
+
+/**
+ * Stop waiting for the response to the given command, or for its next retry
+ *
+ * @param {Object} command
+ * @private
+ */
+CommandQueue.prototype.clearTimer_ = function(command) {
+    if (command.timer !== null) {
+        clearTimeout(command.timer);
+        command.timer = null;
+    }
+};
+
+/**
+ * Finish the given command and continue with the next one
+ *
+ * @param {Object} command
+ * @param {Error|Boolean} error
+ * @param {*} result
+ * @private
+ */
+CommandQueue.prototype.complete_ = function(command, error, result) {
+    if (command.completed) {
+        return;
+    }
+
+    this.clearTimer_(command);
+    command.completed = true;
+    command.awaiting = false;
+    if (this.inFlight_.indexOf(command) !== -1) {
+        this.inFlight_.splice(this.inFlight_.indexOf(command), 1);
+    }
+
+    command.fn(error, result);
+
+    this.process_();
+
+    if (this.getDepth() === 0) {
+        /**
+         * Event fired every time the last queued command has been completed
+         *
+         * @event CommandQueue#drain
+         */
+        this.emit("drain");
+    }
+};
+
+/**
+ * Assign a received frame to the oldest in-flight command awaiting it.
+ *
+ * Returns `true` if the frame has been consumed as response to a command.
+ *
+ * @param {{command: Number, parameters: Buffer, checksum: String, payloadLength: Number, raw: Buffer}} frame
+ * @returns {boolean}
+ */
+CommandQueue.prototype.handleFrame = function(frame) {
+    var index, command, match;
+
+    for (index = 0; index < this.inFlight_.length; index++) {
+        command = this.inFlight_[index];
+        if (command.expectedResponse === false || !command.awaiting) {
+            continue;
+        }
+
+        match = CommandQueue.match(command, frame);
+        if (match instanceof L8Error) {
+            // Error responses are deterministic. Retrying them is pointless.
+            this.complete_(command, match, frame);
+            return true;
+        }
+
+        if (match !== null) {
+            this.complete_(command, false, frame);
+            return true;
+        }
+    }
+
+    return false;
+};
+
+/**
+ * Check whether the given frame answers the given command.
+ *
+ * `null` is returned if the frame is not related to the command. If it is an
+ * error response to the command an {@link L8Error} is returned. Otherwise
+ * the result is `false`.
+ *
+ * @param {{buffer: Buffer, expectedResponse: Object|Boolean, handleError: Object|Boolean}} command
+ * @param {{command: Number, parameters: Buffer}} frame
+ * @returns {L8Error|Boolean|null}
+ * @static
+ */
+CommandQueue.match = function(command, frame) {
+    var handleError = command.handleError;
+    var expectedResponse = command.expectedResponse;
+    var commandByte = command.buffer[3];
+
+    /* Always check for possible error states */
+    if (
+        (handleError === true &&
+            frame.command === SLCP.CMD.ERR && frame.parameters[0] === commandByte)
+        || (handleError !== true && (
+            (handleError.parameters !== undefined && frame.command === handleError.command && frame.parameters.toString("hex") === handleError.parameters.toString("hex"))
+            || (handleError.parameters === undefined && frame.command === handleError.command)
+        ))
+    ) {
+        return new L8Error("L8 Error received during command execution", frame);
+    }
+
+    if (expectedResponse === true) {
+        // Only the OK response for the issued command is awaited
+        return (frame.command === SLCP.CMD.OK && frame.parameters[0] === commandByte) ? false : null;
+    }
+
+    if (frame.command !== expectedResponse.command) {
+        // Not the command/response we waited for
+        return null;
+    }
+
+    if (expectedResponse.parameters !== undefined && frame.parameters.toString("hex") !== expectedResponse.parameters.toString("hex")) {
+        // Not the parameters we expected.
+        return null;
+    }
+
+    return false;
+};
+
+exports.CommandQueue = CommandQueue;
@@ -0,0 +1,470 @@
+/**
+ * @module Decoders
+ */
+
+/**
+ * Decode an unsigned 16 bit big endian value from the given position of a buffer
+ *
+ * @param {Buffer} parameters
+ * @param {Number} offset
+ * @returns {Number}
+ * @private
+ */
+var readUInt16_ = function(parameters, offset) {
+    return parameters[offset] << 8 | parameters[offset + 1];
+};
+
+/**
+ * Decode a signed 16 bit big endian value from the given position of a buffer
+ *
+ * @param {Buffer} parameters
+ * @param {Number} offset
+ * @returns {Number}
+ * @private
+ */
+var readInt16_ = function(parameters, offset) {
+    var value = readUInt16_(parameters, offset);
+    return (value & 0x8000) ? value - 0x10000 : value;
+};
+
+/**
+ * Decode a CMD_L8_VOLTAGE_RESPONSE
+ *
+ * The L8 reports its battery voltage in millivolts (2 bytes) followed by the
+ * estimated charge percentage (1 byte).
+ *
+ * @param {Buffer} parameters
+ * @returns {{value: Number, unit: String, percentage: Number}}
+ */
+var voltage = function(parameters) {
+    return {
+        value: readUInt16_(parameters, 0),
+        unit: "mV",
+        percentage: parameters[2]
+    };
+};
+
+/**
+ * Decode a CMD_L8_TEMP_RESPONSE or CMD_L8_MCUTEMP_RESPONSE
+ *
+ * Both temperatures are transmitted as signed 16 bit values in tenths of a
+ * degree celsius.
+ *
+ * @param {Buffer} parameters
+ * @returns {{value: Number, unit: String}}
+ */
+var temperature = function(parameters) {
+    return {
+        value: readInt16_(parameters, 0) / 10,
+        unit: "°C"
+    };
+};
+
+/**
+ * Decode a CMD_L8_AMBIENT_RESPONSE or CMD_L8_PROX_RESPONSE
+ *
+ * Both sensors report their raw reading (2 bytes) followed by a percentage
+ * value (1 byte) relative to the sensors range.
+ *
+ * @param {Buffer} parameters
+ * @returns {{value: Number, unit: String, raw: Number}}
+ */
+var percentageSensor = function(parameters) {
+    return {
+        value: parameters[2],
+        unit: "%",
+        raw: readUInt16_(parameters, 0)
+    };
+};
+
+/**
+ * Decode a CMD_L8_MIC_RESPONSE
+ *
+ * The noise level is transmitted as a single byte in decibel.
+ *
+ * @param {Buffer} parameters
+ * @returns {{value: Number, unit: String}}
+ */
+var mic = function(parameters) {
+    return {
+        value: parameters[0],
+        unit: "dB"
+    };
+};
+
+/**
+ * Decode a CMD_L8_VBUS_RESPONSE
+ *
+ * The voltage on the usb bus is transmitted in millivolts (2 bytes).
+ *
+ * @param {Buffer} parameters
+ * @returns {{value: Number, unit: String}}
+ */
+var vbus = function(parameters) {
+    return {
+        value: readUInt16_(parameters, 0),
+        unit: "mV"
+    };
+};
+
+/**
+ * Decode a CMD_L8_BATCHG_RESPONSE
+ *
+ * The state of the battery charger is a single status byte. Unknown status
+ * codes are reported as `unknown`, while the raw `code` is always provided.
+ *
+ * @param {Buffer} parameters
+ * @returns {{status: String, code: Number}}
+ */
+var batteryCharge = function(parameters) {
+    var status;
+    switch(parameters[0]) {
+        case 0:
+            status = "discharging";
+            break;
+        case 1:
+            status = "charging";
+            break;
+        case 2:
+            status = "charged";
+            break;
+        default:
+            status = "unknown";
+    }
+
+    return {
+        status: status,
+        code: parameters[0]
+    };
+};
+
+/**
+ * Decode a CMD_L8_UID_RESPONSE
+ *
+ * The unique id of the L8 is provided as hex string.
+ *
+ * @param {Buffer} parameters
+ * @returns {String}
+ */
+var uid = function(parameters) {
+    return parameters.toString("hex");
+};
+
+/**
+ * Decode a CMD_L8_VERSIONS_RESPONSE
+ *
+ * The response contains the LightOS version (major, minor, patch), the
+ * hardware version (major, minor), the bootloader version (major, minor) and
+ * the user space version (major, minor, patch). Each component is a single
+ * byte. All versions are provided as dotted strings.
+ *
+ * @param {Buffer} parameters
+ * @returns {{lightOS: String, hardware: String, bootloader: String, userSpace: String}}
+ */
+var versions = function(parameters) {
+    var version = function(start, end) {
+        return Array.prototype.slice.call(parameters, start, end).join(".");
+    };
+
+    return {
+        lightOS: version(0, 3),
+        hardware: version(3, 5),
+        bootloader: version(5, 7),
+        userSpace: version(7, 10)
+    };
+};
+
+/**
+ * Decode a CMD_L8_TOTALMEM_RESPONSE or CMD_L8_FREEMEM_RESPONSE
+ *
+ * The amount of memory is transmitted in bytes as unsigned 32 bit value.
+ *
+ * @param {Buffer} parameters
+ * @returns {Number}
+ */
+var memory = function(parameters) {
+    return parameters.readUInt32BE(0);
+};
+
+/**
+ * Decode one of the CMD_L8_NUM*_RESPONSE commands
+ *
+ * The number of stored items is transmitted as a single byte.
+ *
+ * @param {Buffer} parameters
+ * @returns {Number}
+ */
+var count = function(parameters) {
+    return parameters[0];
+};
+
+/**
+ * Decode the answer to a CMD_L8_INIT_STATUS_QUERY
+ *
+ * The L8 answers the query with a CMD_OK, whose parameters contain the query
+ * command followed by the status byte. A status of `0` indicates a completely
+ * initialized device.
+ *
+ * @param {Buffer} parameters
+ * @returns {{initialized: Boolean, status: Number}}
+ */
+var initStatus = function(parameters) {
+    return {
+        initialized: (parameters[1] === 0),
+        status: parameters[1]
+    };
+};
+
+/**
+ * Decode a BGR encoded matrix color (2-byte) into a color object
+ *
+ * This is the reverse operation of {@link L8#encodeBGRMatrixColor}.
+ *
+ * @param {Buffer} parameters
+ * @param {Number} offset
+ * @returns {{r: Number, g: Number, b: Number}}
+ */
+var bgrMatrixColor = function(parameters, offset) {
+    return {
+        r: parameters[offset + 1] & 0x0F,
+        g: parameters[offset + 1] >> 4,
+        b: parameters[offset] & 0x0F
+    };
+};
+
+/**
+ * Decode a 128 byte matrix as used by L8Ys and animation frames
+ *
+ * The result is a 64 elements long array of color objects in the same format
+ * accepted by {@link L8#setMatrix}.
+ *
+ * @param {Buffer} parameters
+ * @returns {Array}
+ */
+var matrix = function(parameters) {
+    var colors = [];
+    var index;
+
+    for (index = 0; index < 8 /*LINES*/ * 8 /*COLUMNS*/; index++) {
+        colors.push(bgrMatrixColor(parameters, index * 2));
+    }
+
+    return colors;
+};
+
+/**
+ * Decode a CMD_L8_READ_ANIM_RESPONSE
+ *
+ * The response contains the number of frames followed by pairs of frame id
+ * and duration. Durations are transmitted in tenth of seconds and converted
+ * to milliseconds.
+ *
+ * @param {Buffer} parameters
+ * @returns {{frames: Number[], durations: Number[]}}
+ */
+var animation = function(parameters) {
+    var frames = [];
+    var durations = [];
+    var index;
+
+    for (index = 0; index < parameters[0]; index++) {
+        frames.push(parameters[index * 2 + 1]);
+        durations.push(parameters[index * 2 + 2] * 100);
+    }
+
+    return {
+        frames: frames,
+        durations: durations
+    };
+};
+
+/**
+ * Decode a BGR encoded single color (3-byte) into a color object
+ *
+ * This is the reverse operation of {@link L8#encodeBGRSingleColor}.
+ *
+ * @param {Buffer} parameters
+ * @param {Number} offset
+ * @returns {{r: Number, g: Number, b: Number}}
+ */
+var bgrSingleColor = function(parameters, offset) {
+    return {
+        r: parameters[offset + 2],
+        g: parameters[offset + 1],
+        b: parameters[offset]
+    };
+};
+
+/**
+ * Decode a CMD_L8_NOTIFAPP_RESPONSE
+ *
+ * The response contains the id of the notification app (1 byte), its enabled
+ * state (1 byte), the BGR color of the Super LED (3 bytes), the icon matrix
+ * (128 bytes) and the ascii encoded name of the app.
+ *
+ * @param {Buffer} parameters
+ * @returns {{id: Number, name: String, matrix: Array, color: Object, enabled: Boolean}}
+ */
+var notificationApp = function(parameters) {
+    return {
+        id: parameters[0],
+        name: parameters.slice(133).toString("ascii"),
+        matrix: matrix(parameters.slice(5, 133)),
+        color: bgrSingleColor(parameters, 2),
+        enabled: (parameters[1] !== 0)
+    };
+};
+
+/**
+ * Decode a single byte boolean flag, like the one of the
+ * CMD_L8_NOTIFAPPS_SILENCE_RESPONSE
+ *
+ * @param {Buffer} parameters
+ * @returns {Boolean}
+ */
+var flag = function(parameters) {
+    return (parameters[0] !== 0);
+};
+
+/**
+ * Decode a CMD_L8_TIME_RESPONSE
+ *
+ * The time is transmitted as local time in the form of the year (2 bytes),
+ * month (1-12), day, hour, minute and second (1 byte each).
+ *
+ * @param {Buffer} parameters
+ * @returns {Date}
+ */
+var time = function(parameters) {
+    return new Date(
+        readUInt16_(parameters, 0),
+        parameters[2] - 1,
+        parameters[3],
+        parameters[4],
+        parameters[5],
+        parameters[6]
+    );
+};
+
+/**
+ * Decode a CMD_L8_SENSORS_THRESHOLDS_RESPONSE
+ *
+ * The response contains the minimum and maximum thresholds of the noise
+ * sensor (1 byte each), followed by the ones of the proximity and the ambient
+ * light sensor (2 bytes each).
+ *
+ * @param {Buffer} parameters
+ * @returns {{noise: {min: Number, max: Number}, proximity: {min: Number, max: Number}, ambient: {min: Number, max: Number}}}
+ */
+var sensorThresholds = function(parameters) {
+    return {
+        noise: {
+            min: parameters[0],
+            max: parameters[1]
+        },
+        proximity: {
+            min: readUInt16_(parameters, 2),
+            max: readUInt16_(parameters, 4)
+        },
+        ambient: {
+            min: readUInt16_(parameters, 6),
+            max: readUInt16_(parameters, 8)
+        }
+    };
+};
+
+/**
+ * Decode a CMD_L8_BUTTON_RESPONSE
+ *
+ * The state of the button is transmitted as a single byte, which is non zero
+ * while the button is pressed.
+ *
+ * @param {Buffer} parameters
+ * @returns {{pressed: Boolean}}
+ */
+var button = function(parameters) {
+    return {
+        pressed: (parameters[0] !== 0)
+    };
+};
+
+/**
+ * Decode a CMD_L8_MODE_RESPONSE
+ *
+ * The mode is transmitted as a single byte.
+ *
+ * @param {Buffer} parameters
+ * @returns {Number}
+ */
+var mode = function(parameters) {
+    return parameters[0];
+};
+
+/**
+ * Decode the numeric orientation code used by the L8
+ *
+ * The result is one of the orientations accepted by {@link L8#setOrientation}
+ * (`up`, `down`, `left` or `right`). Codes not representing any of them (eg.
+ * while the L8 is lying flat) are passed through unchanged, as
+ * {@link L8#getAcceleration} has always reported them.
+ *
+ * @param {Number} code
+ * @returns {String|Number}
+ */
+var orientation = function(code) {
+    switch (code) {
+        case 1:
+            return 'up';
+        case 2:
+            return 'down';
+        case 5:
+            return 'left';
+        case 6:
+            return 'right';
+        default:
+            return code;
+    }
+};
+
+/**
+ * Decode a CMD_L8_ORIENTATION_RESPONSE
+ *
+ * The response contains the orientation code (1 byte) followed by the state
+ * of the automatic rotation (1 byte). Orientation codes not representing any
+ * orientation are decoded as `unknown`.
+ *
+ * @param {Buffer} parameters
+ * @returns {{orientation: String, autoRotate: Boolean}}
+ */
+var orientationResponse = function(parameters) {
+    var decoded = orientation(parameters[0]);
+
+    return {
+        orientation: (typeof decoded === "string") ? decoded : "unknown",
+        autoRotate: (parameters[1] !== 0)
+    };
+};
+
+exports.voltage = voltage;
+exports.temperature = temperature;
+exports.percentageSensor = percentageSensor;
+exports.mic = mic;
+exports.vbus = vbus;
+exports.batteryCharge = batteryCharge;
+exports.uid = uid;
+exports.versions = versions;
+exports.memory = memory;
+exports.count = count;
+exports.initStatus = initStatus;
+exports.bgrMatrixColor = bgrMatrixColor;
+exports.matrix = matrix;
+exports.animation = animation;
+exports.bgrSingleColor = bgrSingleColor;
+exports.notificationApp = notificationApp;
+exports.flag = flag;
+exports.time = time;
+exports.sensorThresholds = sensorThresholds;
+exports.button = button;
+exports.mode = mode;
+exports.orientation = orientation;
+exports.orientationResponse = orientationResponse;
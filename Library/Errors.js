@@ -10,6 +10,8 @@ var util = require("util");
 var L8Error = function(message, response) {
     Error.call(this, message);
 
+    this.message = message;
+
     /**
      * Response object created by the error response
      *
@@ -22,4 +24,111 @@ var L8Error = function(message, response) {
 
 util.inherits(L8Error, Error);
 
-exports.L8Error = L8Error;
\ No newline at end of file
+/**
+ * Error thrown if the L8 does not answer a command in time
+ *
+ * @param {String} message
+ * @param {Number} command Command code of the unanswered command
+ * @param {Number} timeout Time in msec, which has been waited for the response
+ * @constructor
+ */
+var L8TimeoutError = function(message, command, timeout) {
+    Error.call(this, message);
+
+    this.message = message;
+
+    /**
+     * Command code of the command, which has not been answered
+     *
+     * @type {Number}
+     */
+    this.command = command;
+
+    /**
+     * Time in msec, which has been waited for the response
+     *
+     * @type {Number}
+     */
+    this.timeout = timeout;
+
+    this.stack = (new Error()).stack;
+};
+
+util.inherits(L8TimeoutError, Error);
+
+/**
+ * Error describing data received from the L8, which violates the SLCP protocol
+ *
+ * Possible reasons are `garbage` for bytes outside of any frame, `length` for
+ * frames with an invalid payload length and `checksum` for frames, whose
+ * checksum does not match.
+ *
+ * @param {String} message
+ * @param {String} reason
+ * @param {Buffer} data The discarded bytes
+ * @constructor
+ */
+var L8ProtocolError = function(message, reason, data) {
+    Error.call(this, message);
+
+    this.message = message;
+
+    /**
+     * Kind of the protocol violation (`garbage`, `length` or `checksum`)
+     *
+     * @type {String}
+     */
+    this.reason = reason;
+
+    /**
+     * Bytes, which have been discarded
+     *
+     * @type {Buffer}
+     */
+    this.data = data;
+
+    this.stack = (new Error()).stack;
+};
+
+util.inherits(L8ProtocolError, Error);
+
+/**
+ * Error reported if the connection to the L8 is not in the right state for
+ * an operation, or if it went away while a command waited for its response.
+ *
+ * @param {String} message
+ * @constructor
+ */
+var L8ConnectionError = function(message) {
+    Error.call(this, message);
+
+    this.message = message;
+
+    this.stack = (new Error()).stack;
+};
+
+util.inherits(L8ConnectionError, Error);
+
+/**
+ * Check whether the given error is likely to vanish by simply repeating the
+ * failed command later on.
+ *
+ * This is the case for error responses of the L8, unanswered commands and a
+ * lost connection.
+ *
+ * @param {Error} error
+ * @returns {boolean}
+ */
+var isTransient = function(error) {
+    return (
+        error instanceof L8Error ||
+        error instanceof L8TimeoutError ||
+        error instanceof L8ConnectionError
+    );
+};
+
+exports.L8Error = L8Error;
+exports.L8TimeoutError = L8TimeoutError;
+exports.L8ProtocolError = L8ProtocolError;
+exports.L8ConnectionError = L8ConnectionError;
+exports.isTransient = isTransient;
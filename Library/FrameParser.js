@@ -0,0 +1,211 @@
+var util = require("util");
+var EventEmitter = require("events").EventEmitter;
+
+var SLCP = require("./SLCP");
+
+/**
+ * Incremental parser turning a stream of received bytes into SLCP frames.
+ *
+ * Received data is handed to {@link FrameParser#push}, which returns all
+ * frames completed by it. Invalid data never causes an exception. Instead the
+ * parser skips forward to the next magic byte sequence and reports the
+ * discarded bytes using the `protocolError` event.
+ *
+ * The receive buffer has a fixed size of `bufferSize` bytes (default `4096`).
+ * Larger chunks of data are processed piece by piece. As a single frame is at
+ * most 259 bytes long, the buffer can never overflow.
+ *
+ * If an incomplete frame has not been completed by any data received within
+ * `resyncTimeout` msec (default `500`), its length is assumed to be corrupted.
+ * The parser resynchronizes on the frames received after it (see
+ * {@link module:SLCP.parseFrames}). Those frames are reported using the
+ * `frames` event, as they are not returned by any call to
+ * {@link FrameParser#push}.
+ *
+ * @param {{bufferSize: Number?, resyncTimeout: Number?}} [options]
+ *
+ * @fires FrameParser#frames
+ * @fires FrameParser#protocolError
+ *
+ * @constructor
+ */
+var FrameParser = function(options) {
+    EventEmitter.call(this);
+
+    options = options || {};
+
+    /**
+     * Buffer for storing all received data, before it is processed.
+     *
+     * @type {{buffer: Buffer, length: Number}}
+     * @private
+     */
+    this.receiveBuffer_ = {
+        buffer: new Buffer(Math.max(options.bufferSize || 4096, FrameParser.MAX_FRAME_LENGTH)),
+        length: 0
+    };
+
+    /**
+     * Counters about the processed data
+     *
+     * @type {{frames: Number, discardedBytes: Number, invalidFrames: Number}}
+     * @private
+     */
+    this.statistics_ = {
+        frames: 0,
+        discardedBytes: 0,
+        invalidFrames: 0
+    };
+
+    /**
+     * Time in msec an incomplete frame is waited for, before resynchronizing
+     *
+     * @type {Number}
+     * @private
+     */
+    this.resyncTimeout_ = options.resyncTimeout || 500;
+
+    /**
+     * Handle of the scheduled resynchronization
+     *
+     * @type {Object}
+     * @private
+     */
+    this.resyncTimer_ = null;
+};
+util.inherits(FrameParser, EventEmitter);
+
+/**
+ * Maximal length of a single frame
+ *
+ * @type {Number}
+ * @const
+ */
+FrameParser.MAX_FRAME_LENGTH = 2 /*MAGIC*/ + 1 /*LENGTH*/ + 0xFF + 1 /*CHECKSUM*/;
+
+/**
+ * Process the given received data.
+ *
+ * All frames completed by the data are returned. Incomplete frames are kept
+ * until the missing data is pushed.
+ *
+ * @param {Buffer} data
+ * @returns {{command: Number, parameters: Buffer, checksum: String, payloadLength: Number, payload: Buffer, raw: Buffer}[]}
+ */
+FrameParser.prototype.push = function(data) {
+    var receiveBuffer = this.receiveBuffer_;
+    var frames = [];
+    var offset = 0;
+
+    while (offset < data.length) {
+        var count = Math.min(data.length - offset, receiveBuffer.buffer.length - receiveBuffer.length);
+
+        data.copy(receiveBuffer.buffer, receiveBuffer.length, offset, offset + count);
+        receiveBuffer.length += count;
+        offset += count;
+
+        var parsed = SLCP.parseFrames(receiveBuffer, this.onProtocolError_.bind(this));
+        if (parsed !== false) {
+            frames = frames.concat(parsed);
+        }
+    }
+
+    this.statistics_.frames += frames.length;
+
+    this.clearResyncTimer_();
+    if (receiveBuffer.length > 0) {
+        this.resyncTimer_ = setTimeout(this.resync_.bind(this), this.resyncTimeout_);
+    }
+
+    return frames;
+};
+
+/**
+ * Throw away all data of incomplete frames
+ */
+FrameParser.prototype.reset = function() {
+    this.clearResyncTimer_();
+    this.receiveBuffer_.length = 0;
+};
+
+/**
+ * Cancel the scheduled resynchronization
+ *
+ * @private
+ */
+FrameParser.prototype.clearResyncTimer_ = function() {
+    if (this.resyncTimer_ !== null) {
+        clearTimeout(this.resyncTimer_);
+        this.resyncTimer_ = null;
+    }
+};
+
+/**
+ * Skip an incomplete frame, which has not been completed in time
+ *
+ * @private
+ */
+FrameParser.prototype.resync_ = function() {
+    this.resyncTimer_ = null;
+
+    var frames = SLCP.parseFrames(this.receiveBuffer_, this.onProtocolError_.bind(this), true);
+    if (frames === false) {
+        return;
+    }
+
+    this.statistics_.frames += frames.length;
+
+    /**
+     * Event fired with all frames found while resynchronizing after a timeout
+     *
+     * @event FrameParser#frames
+     * @type {{command: Number, parameters: Buffer, checksum: String, payloadLength: Number, payload: Buffer, raw: Buffer}[]}
+     */
+    this.emit("frames", frames);
+};
+
+/**
+ * Retrieve counters about the processed data
+ *
+ * The returned object has the following structure:
+ *
+ * ```
+ *  {
+ *      frames: Number, // Number of valid frames
+ *      discardedBytes: Number, // Number of bytes thrown away
+ *      invalidFrames: Number // Number of frames dropped due to an invalid length or checksum
+ *  }
+ * ```
+ *
+ * @returns {{frames: Number, discardedBytes: Number, invalidFrames: Number}}
+ */
+FrameParser.prototype.getStatistics = function() {
+    return {
+        frames: this.statistics_.frames,
+        discardedBytes: this.statistics_.discardedBytes,
+        invalidFrames: this.statistics_.invalidFrames
+    };
+};
+
+/**
+ * Callback executed each time the parser discarded data
+ *
+ * @param {L8ProtocolError} error
+ * @private
+ */
+FrameParser.prototype.onProtocolError_ = function(error) {
+    this.statistics_.discardedBytes += error.data.length;
+    if (error.reason !== "garbage") {
+        this.statistics_.invalidFrames++;
+    }
+
+    /**
+     * Event fired every time received data has been discarded
+     *
+     * @event FrameParser#protocolError
+     * @type {L8ProtocolError}
+     */
+    this.emit("protocolError", error);
+};
+
+exports.FrameParser = FrameParser;
@@ -1,25 +1,81 @@
 var util = require("util");
 var EventEmitter = require("events").EventEmitter;
 
-var SerialPort = require("serialport").SerialPort;
-var CRC = require("crc");
 var async = require("async");
 
 var SLCP = require("./SLCP");
 var L8Error = require("./Errors").L8Error;
+var L8ConnectionError = require("./Errors").L8ConnectionError;
+var Decoders = require("./Decoders");
+var Transport = require("./Transport").Transport;
+var SerialTransport = require("./SerialTransport").SerialTransport;
 var AccelerationStream = require("./AccelerationStream").AccelerationStream;
+var ButtonStream = require("./ButtonStream").ButtonStream;
+var Animation = require("./Animation").Animation;
+var ClockSync = require("./ClockSync").ClockSync;
+var CommandQueue = require("./CommandQueue").CommandQueue;
+var FrameParser = require("./FrameParser").FrameParser;
+var Recorder = require("./Recorder").Recorder;
 
 /**
  * Main API entry point providing all the public API in order to Control
  * an L8 Smartlight
  *
- * If no baudrate is specified a default speed of `115200` will be used.
- *
- * @param {String} port
+ * The L8 is either given as path of the serial port it is attached to, or as
+ * {@link Transport} instance, like a {@link TcpTransport}. Serial ports are
+ * accessed using a {@link SerialTransport}. Descriptors returned by
+ * {@link L8.discover} are accepted as well.
+ *
+ * If no baudrate is specified a default speed of `115200` will be used. The
+ * baudrate is ignored if a transport instance is given.
+ *
+ * The optional `options` object supports the following settings:
+ *
+ * - `traceLogger`: Function or object with a `log` method, which all trace
+ *   messages sent by the L8 firmware are forwarded to (see {@link L8#event:trace})
+ * - `orientationPollInterval`: msec between two orientation queries, while
+ *   somebody listens to {@link L8#event:orientationchange} (default `1000`)
+ * - `buttonOptions`: Options of the {@link ButtonStream} feeding the
+ *   {@link L8#event:button} event
+ * - `maxInFlight`: Number of commands sent to the L8 before their responses
+ *   have been received (default `1`). All further commands are queued.
+ * - `timeout`: msec to wait for the response to a command, before it fails
+ *   with an {@link L8TimeoutError} (default `5000`, `0` waits forever)
+ * - `commandTimeouts`: Object mapping command codes (see {@link module:SLCP.CMD})
+ *   to their own timeout, overriding `timeout`
+ * - `retries`: Number of times commands listed in {@link L8.IDEMPOTENT_COMMANDS}
+ *   are retried after a timeout (default `2`). Error responses are not retried.
+ * - `retryDelay`: msec to wait before the first retry (default `50`). The delay
+ *   is doubled with every further retry.
+ * - `reconnect`: Reconnect automatically after the connection vanished
+ *   unexpectedly (default `false`). Either `true` or an object with the
+ *   following optional properties:
+ *   - `initialDelay`: msec to wait before the first attempt (default `1000`)
+ *   - `maxDelay`: Maximal msec between two attempts (default `30000`). The
+ *     delay is doubled after every failed attempt up to this limit.
+ *   - `maxAttempts`: Number of attempts before giving up (default `0`, which
+ *     never gives up)
+ *
+ * Once reconnected the last known display state (matrix, SuperLED, orientation
+ * as well as scrolling text or a playing animation) is restored.
+ *
+ * @param {String|Transport|{port: String, baudrate: Number?}} port
  * @param {Number} [baudrate]
+ * @param {{traceLogger: Function|{log: Function}, orientationPollInterval: Number?, buttonOptions: Object?, maxInFlight: Number?, timeout: Number?, commandTimeouts: Object.<Number, Number>?, retries: Number?, retryDelay: Number?, reconnect: Boolean|{initialDelay: Number?, maxDelay: Number?, maxAttempts: Number?}}} [options]
  *
  * @fires L8#frameSent
  * @fires L8#frameReceived
+ * @fires L8#trace
+ * @fires L8#orientationchange
+ * @fires L8#button
+ * @fires L8#drain
+ * @fires L8#protocolError
+ * @fires L8#open
+ * @fires L8#close
+ * @fires L8#disconnect
+ * @fires L8#reconnecting
+ * @fires L8#reconnect
+ * @fires L8#reconnectFailed
  *
  * @constructor
  *
@@ -56,29 +112,84 @@ var AccelerationStream = require("./AccelerationStream").AccelerationStream;
  *  });
  * ```
  */
-var L8 = function(port, baudrate) {
+var L8 = function(port, baudrate, options) {
     EventEmitter.call(this);
 
+    // Unpack descriptors created by L8.discover
+    if (port !== null && typeof port === "object" && !Transport.isTransport(port)) {
+        if (baudrate === null || baudrate === undefined) {
+            baudrate = port.baudrate;
+        }
+        port = port.port;
+    }
+
     // Default value for speed argument
     if (baudrate === null || baudrate === undefined) {
         baudrate = 115200;
     }
 
+    options = options || {};
+
+    /**
+     * Logger all firmware trace messages are forwarded to
+     *
+     * @type {Function|{log: Function}}
+     * @private
+     */
+    this.traceLogger_ = options.traceLogger || null;
+
     /**
-     * Baudrate to be used while connecting to the L8
+     * Interval in msec the orientation is polled with, while somebody listens
+     * for orientation changes
      *
      * @type {Number}
      * @private
      */
-    this.baudrate_ = baudrate;
+    this.orientationPollInterval_ = options.orientationPollInterval || 1000;
 
     /**
-     * Serial port, which is used to connect to this L8.
+     * Last known orientation of the L8
      *
      * @type {String}
      * @private
      */
-    this.port_ = port;
+    this.orientation_ = null;
+
+    /**
+     * Handle of the currently scheduled orientation poll
+     *
+     * @type {Object}
+     * @private
+     */
+    this.orientationTimer_ = null;
+
+    /**
+     * Options of the button stream feeding the `button` event
+     *
+     * @type {Object}
+     * @private
+     */
+    this.buttonOptions_ = options.buttonOptions || {};
+
+    /**
+     * Button stream feeding the `button` event, while anybody listens to it
+     *
+     * @type {ButtonStream}
+     * @private
+     */
+    this.buttonStream_ = null;
+
+    /**
+     * Transport used for communication with the L8
+     *
+     * @type {Transport}
+     * @private
+     */
+    this.transport_ = Transport.isTransport(port) ? port : new SerialTransport(port, baudrate);
+
+    this.transport_.on("data", this.onResponse_.bind(this));
+    this.transport_.on("close", this.onTransportClosed_.bind(this));
+    this.transport_.on("error", this.onTransportError_.bind(this));
 
     /**
      * Indicator whether a connection is established or not.
@@ -87,22 +198,132 @@ var L8 = function(port, baudrate) {
     this.isConnected = false;
 
     /**
-     * SerialPort connection used for communication
-     * @type {SerialPort}
+     * State of the connection. One of {@link L8.STATES}
+     *
+     * @type {String}
+     * @private
+     */
+    this.state_ = L8.STATES.CLOSED;
+
+    /**
+     * Callbacks of {@link L8#close} calls issued while the connection was
+     * being opened
+     *
+     * @type {Function[]}
+     * @private
+     */
+    this.pendingClose_ = [];
+
+    /**
+     * Settings for automatic reconnection or `null` if it is disabled
+     *
+     * @type {{initialDelay: Number, maxDelay: Number, maxAttempts: Number}}
+     * @private
+     */
+    this.reconnect_ = null;
+    if (options.reconnect) {
+        var reconnect = (options.reconnect === true) ? {} : options.reconnect;
+        this.reconnect_ = {
+            initialDelay: reconnect.initialDelay || 1000,
+            maxDelay: reconnect.maxDelay || 30000,
+            maxAttempts: reconnect.maxAttempts || 0
+        };
+    }
+
+    /**
+     * Handle of the currently scheduled reconnection attempt
+     *
+     * @type {Object}
      * @private
      */
-    this.serialport_ = null;
+    this.reconnectTimer_ = null;
 
     /**
-     * Buffer for storing all received data, before it is processed.
+     * Frames, which define the current display state of the L8.
+     *
+     * Those are replayed after an automatic reconnect.
      *
-     *  @type {Object}
+     * @type {{autoRotate: Object, orientation: Object, matrix: Object, leds: Object.<Number, Object>, superLED: Object, foreground: Object}}
      * @private
      */
-    this.receiveBuffer_ = {
-        buffer: new Buffer(4096),
-        length: 0
+    this.displayState_ = {
+        autoRotate: null,
+        orientation: null,
+        matrix: null,
+        leds: {},
+        superLED: null,
+        foreground: null
     };
+
+    /**
+     * Indicator whether a command has been sent, which ends the connection to
+     * the L8 (power off, reset, bootloader).
+     *
+     * @type {boolean}
+     * @private
+     */
+    this.connectionEnding_ = false;
+
+    /**
+     * Parser turning all received data into frames
+     *
+     * @type {FrameParser}
+     * @private
+     */
+    this.parser_ = new FrameParser();
+
+    this.parser_.on("protocolError", function(error) {
+        /**
+         * Event fired every time received data has been discarded, because
+         * it violates the SLCP protocol.
+         *
+         * @event L8#protocolError
+         * @type {L8ProtocolError}
+         */
+        this.emit("protocolError", error);
+    }.bind(this));
+    // Frames found after an incomplete frame has been given up
+    this.parser_.on("frames", this.handleFrames_.bind(this));
+
+    /**
+     * Queue serializing all commands sent to the L8
+     *
+     * @type {CommandQueue}
+     * @private
+     */
+    this.queue_ = new CommandQueue(this.writeFrame_.bind(this), {
+        maxInFlight: options.maxInFlight,
+        timeout: options.timeout,
+        commandTimeouts: options.commandTimeouts,
+        retries: (options.retries !== undefined) ? options.retries : 2,
+        retryDelay: options.retryDelay,
+        idempotentCommands: L8.IDEMPOTENT_COMMANDS
+    });
+
+    this.queue_.on("drain", function() {
+        /**
+         * Event fired every time all queued commands have been completed
+         *
+         * @event L8#drain
+         */
+        this.emit("drain");
+    }.bind(this));
+
+    this.on("newListener", function(event) {
+        if (event === "orientationchange" && this.orientationTimer_ === null && this.isConnected) {
+            this.scheduleOrientationPoll_();
+        }
+
+        if (event === "button") {
+            this.startButtonEvents_();
+        }
+    }.bind(this));
+
+    this.on("removeListener", function(event) {
+        if (event === "button" && this.listeners("button").length === 0) {
+            this.stopButtonEvents_();
+        }
+    }.bind(this));
 };
 util.inherits(L8, EventEmitter);
 
@@ -112,185 +333,788 @@ util.inherits(L8, EventEmitter);
  * @type {Buffer}
  * @const
  */
-L8.MAGIC_BYTES = new Buffer("AA55", "hex");
+L8.MAGIC_BYTES = SLCP.MAGIC_BYTES;
 
 /**
- * Open a connection to the L8
+ * States of the connection to the L8
  *
- * The operation is asynchronous. Further communication with the L8 is only feasible
- * after the `open` callback has been fired.
+ * The connection starts `closed`. It is `opening` while {@link L8#open} is
+ * in progress and `open` afterwards. During {@link L8#close} it is `closing`
+ * before it ends up `closed` again.
  *
- * @param {String} port
- * @param {Number?} baudrate
- * @param fn
+ * @type {Object.<String, String>}
+ * @const
  */
-L8.prototype.open = function(fn) {
-    this.receiveBuffer_.length = 0;
+L8.STATES = {
+    CLOSED: "closed",
+    OPENING: "opening",
+    OPEN: "open",
+    CLOSING: "closing"
+};
+
+/**
+ * Ids of the applications built into the L8 firmware.
+ *
+ * Those may be started using {@link L8#runApplication}.
+ *
+ * @type {Object.<String, Number>}
+ * @const
+ */
+L8.APPLICATIONS = {
+    DICE: 0x00,
+    COLOR_CHANGER: 0x01,
+    PARTY: 0x02
+};
 
-    this.serialport_ = new SerialPort(this.port_, {
-        baudrate: this.baudrate_,
-        databits: 8,
-        stopbits: 1,
-        parity: "none"
-    }, false);
+/**
+ * Commands, which may safely be sent to the L8 more than once.
+ *
+ * Only those commands are retried if they are not answered in time.
+ * Queries as well as commands setting a state to an absolute value belong
+ * to this group. Commands storing or deleting data do not.
+ *
+ * @type {Number[]}
+ * @const
+ */
+L8.IDEMPOTENT_COMMANDS = [
+    SLCP.CMD.PING,
+    SLCP.CMD.FLASH_READ,
+    SLCP.CMD.L8_LED_SET,
+    SLCP.CMD.L8_MATRIX_SET,
+    SLCP.CMD.L8_MATRIX_OFF,
+    SLCP.CMD.L8_VOLTAGE_QUERY,
+    SLCP.CMD.L8_TEMP_QUERY,
+    SLCP.CMD.L8_SUPERLED_SET,
+    SLCP.CMD.L8_ACC_QUERY,
+    SLCP.CMD.L8_UID_QUERY,
+    SLCP.CMD.L8_AMBIENT_QUERY,
+    SLCP.CMD.L8_PROX_QUERY,
+    SLCP.CMD.L8_TOTALMEM_QUERY,
+    SLCP.CMD.L8_FREEMEM_QUERY,
+    SLCP.CMD.L8_MODE_SET,
+    SLCP.CMD.L8_MODE_QUERY,
+    SLCP.CMD.L8_VERSIONS_QUERY,
+    SLCP.CMD.L8_BUTTON_QUERY,
+    SLCP.CMD.L8_MIC_QUERY,
+    SLCP.CMD.L8_VBUS_QUERY,
+    SLCP.CMD.L8_MCUTEMP_QUERY,
+    SLCP.CMD.L8_READ_L8Y,
+    SLCP.CMD.L8_READ_FRAME,
+    SLCP.CMD.L8_BATCHG_QUERY,
+    SLCP.CMD.L8_READ_ANIM,
+    SLCP.CMD.L8_INIT_STATUS_QUERY,
+    SLCP.CMD.L8_TIME_QUERY,
+    SLCP.CMD.L8_ORIENTATION_QUERY,
+    SLCP.CMD.L8_NUML8IES_QUERY,
+    SLCP.CMD.L8_NUMANIMS_QUERY,
+    SLCP.CMD.L8_NUMFRAMES_QUERY,
+    SLCP.CMD.L8_NOTIFAPP_QUERY,
+    SLCP.CMD.L8_NOTIFAPPS_NUM_QUERY,
+    SLCP.CMD.L8_FRAMEGRAB_QUERY,
+    SLCP.CMD.L8_SENSORS_THRESHOLDS_QUERY,
+    SLCP.CMD.L8_NOTIFAPPS_SILENCE_QUERY
+];
 
-    this.serialport_.on("data", this.onResponse_.bind(this));
+/**
+ * Maximal number of bytes written to the flash memory with one command.
+ *
+ * The payload of a frame is limited to 255 bytes. One byte is used by the
+ * command and four by the address.
+ *
+ * @type {Number}
+ * @const
+ */
+L8.FLASH_WRITE_CHUNK_SIZE = 0xFF - 1 /*COMMAND*/ - 4 /*ADDRESS*/;
 
-    this.serialport_.open(function(error){
-        this.isConnected = true;
-        fn(error, !error);
-    }.bind(this));
+/**
+ * Maximal number of bytes read from the flash memory with one command.
+ *
+ * The payload of a frame is limited to 255 bytes. One byte is used by the
+ * CMD_OK response and one by the acknowledged command.
+ *
+ * @type {Number}
+ * @const
+ */
+L8.FLASH_READ_CHUNK_SIZE = 0xFF - 1 /*OK*/ - 1 /*COMMAND*/;
+
+/**
+ * Identify the L8 attached to the given port.
+ *
+ * The port is opened and pinged. Afterwards the UID and the firmware versions
+ * of the device are queried, before the port is closed again. If anything
+ * fails, or the device does not answer within `timeout` msec (default `1000`),
+ * the error is given to the callback.
+ *
+ * The `port` may be a serial port path or a {@link Transport}. The data given
+ * to the callback is a descriptor, which may be passed to the L8 constructor:
+ *
+ * ```
+ *  {
+ *      port: String|Transport,
+ *      baudrate: Number,
+ *      uid: String,
+ *      versions: {lightOS: String, hardware: String, bootloader: String, userSpace: String}
+ *  }
+ * ```
+ *
+ * @param {String|Transport} port
+ * @param {{baudrate: Number?, timeout: Number?}?} options
+ * @param {Function} fn
+ * @static
+ */
+L8.identify = function(port, options, fn) {
+    if (typeof options === "function") {
+        fn = options;
+        options = undefined;
+    }
+    options = options || {};
+
+    var baudrate = options.baudrate || 115200;
+    var l8 = new L8(port, baudrate, {timeout: options.timeout || 1000, retries: 0});
+    var descriptor = {port: port, baudrate: baudrate};
+
+    async.series([
+        l8.open.bind(l8),
+        l8.ping.bind(l8),
+        function(next) {
+            l8.getUID(function(error, uid) {
+                descriptor.uid = uid;
+                next(error);
+            });
+        },
+        function(next) {
+            l8.getVersions(function(error, versions) {
+                descriptor.versions = versions;
+                next(error);
+            });
+        }
+    ], function(error) {
+        // The port is closed in any case. Errors while closing do not matter anymore.
+        l8.close(function() {
+            fn(error || false, error ? false : descriptor);
+        });
+    });
 };
 
 /**
- * Close an established connection to the L8
+ * Find all L8s attached to the serial ports of this machine.
+ *
+ * Every available serial port is identified using {@link L8.identify}. Ports,
+ * which do not answer like an L8, are skipped. The ports are probed one after
+ * the other, as probing a port, which is not an L8, takes up to `timeout` msec.
+ *
+ * The supported `options` are:
+ *
+ * - `baudrate`: Speed used to talk to the ports (default `115200`)
+ * - `timeout`: msec to wait for an answer of each port (default `1000`)
+ * - `filter`: Function called with the information about each serial port
+ *   (`{port, manufacturer, serialNumber, vendorId, productId}`). Only ports
+ *   it returns `true` for are probed.
  *
+ * The `options` may be omitted altogether.
+ *
+ * The callback is given an array of descriptors as documented by
+ * {@link L8.identify}. They may be given to the L8 constructor directly, which
+ * allows to address devices by their UID instead of their ever changing port:
+ *
+ * @example ```
+ *  L8.discover({}).then(function(descriptors) {
+ *      var descriptor = descriptors.filter(function(descriptor) {
+ *          return descriptor.uid === "YOUR_L8_UID";
+ *      })[0];
+ *
+ *      var l8 = new L8(descriptor);
+ *      return l8.open();
+ *  });
+ * ```
+ *
+ * @param {{baudrate: Number?, timeout: Number?, filter: Function?}?} options
  * @param {Function} fn
+ * @static
  */
-L8.prototype.close = function(fn) {
-   if (!this.isConnected) {
-       return;
-   }
+L8.discover = function(options, fn) {
+    if (typeof options === "function") {
+        fn = options;
+        options = undefined;
+    }
+    options = options || {};
 
-    this.serialport_.close(function(error) {
-        this.isConnected = false;
-        this.serialport_ = null;
-        fn(error, !error);
-    }.bind(this));
+    SerialTransport.list(function(error, ports) {
+        if (error) {
+            fn(error, false);
+            return;
+        }
+
+        if (typeof options.filter === "function") {
+            ports = ports.filter(options.filter);
+        }
+
+        async.mapSeries(ports, function(port, next) {
+            L8.identify(port.port, options, function(error, descriptor) {
+                // Ports without an L8 are simply skipped
+                next(false, error ? null : descriptor);
+            });
+        }, function(error, descriptors) {
+            fn(false, descriptors.filter(function(descriptor) {
+                return descriptor !== null;
+            }));
+        });
+    });
 };
 
 /**
- * Try to parse as many frames out of the given receiveBuffer, as possible.
+ * Open a connection to the L8
+ *
+ * The operation is asynchronous. Further communication with the L8 is only feasible
+ * after the `open` callback has been fired.
+ *
+ * Opening is only possible while the connection is in the `closed` state.
+ * Pending automatic reconnection attempts are cancelled.
  *
- * The response is either an array containing a frame definition or `false` if the frame wasn't complete yet.
+ * @param fn
+ */
+L8.prototype.open = function(fn) {
+    if (this.state_ !== L8.STATES.CLOSED) {
+        fn(new L8ConnectionError("Can't open the L8 connection, while it is " + this.state_), false);
+        return;
+    }
+
+    this.cancelReconnect_();
+    this.openTransport_(fn);
+};
+
+/**
+ * Open the transport and update the connection state accordingly
  *
- * @param {{buffer: Buffer, length: Number}} receiveBuffer
- * @returns {{command: Number, parameters: Buffer, checksum: String, payloadLength: Number, raw: Buffer}}
+ * @param {Function} fn
  * @private
  */
-L8.prototype.parseFrames_ = function(receiveBuffer) {
-    var frames = [];
-    while(receiveBuffer.length > 0) {
-        if (receiveBuffer.length < 4) {
-            // The minimum message is 4 byte. Therefore we need to wait for more data
-            break;
-        }
+L8.prototype.openTransport_ = function(fn) {
+    this.parser_.reset();
+    this.setState_(L8.STATES.OPENING);
 
-        var data = receiveBuffer.buffer;
+    this.transport_.open(function(error) {
+        if (this.pendingClose_.length > 0) {
+            this.abortOpening_(!error, fn);
+            return;
+        }
 
-        // Validate for magic bytes present
-        if (data[0] !== L8.MAGIC_BYTES[0] || data[1] !== L8.MAGIC_BYTES[1]) {
-            throw new EvalError("Invalid L8 response. Magic bytes not found: " + data.toString("hex"));
+        if (error) {
+            this.setState_(L8.STATES.CLOSED);
+            fn(error, false);
+            return;
         }
 
-        var payloadLength = data[2];
+        this.connectionEnding_ = false;
+        this.setState_(L8.STATES.OPEN);
 
-        if (receiveBuffer.length < 2 /*MAGIC*/ + 1 /*LENGTH*/ + payloadLength + 1 /*CHECKSUM*/) {
-            // Not yet complete
-            break;
+        if (this.listeners("orientationchange").length > 0 && this.orientationTimer_ === null) {
+            this.scheduleOrientationPoll_();
         }
 
-        // We need this buffer later on, after the receive buffer has already changed its state
-        // Therefore it is copied
-        var payloadBuffer = new Buffer(payloadLength);
-        data.copy(payloadBuffer, 0, 2 /*MAGIC*/ + 1 /*LENGTH*/, 3 + payloadLength);
+        /**
+         * Event fired every time the connection to the L8 has been established
+         *
+         * This includes automatic reconnects.
+         *
+         * @event L8#open
+         */
+        this.emit("open");
+
+        fn(false, true);
+    }.bind(this));
+};
 
-        var checksumPosition = 2 /*MAGIC*/ + 1 /*LENGTH*/ + payloadLength;
-        var receivedChecksum = data.slice(checksumPosition, checksumPosition + 1).toString("hex");
+/**
+ * Close the connection once it has been opened, as requested while opening
+ *
+ * The opening fails with an {@link L8ConnectionError}, while all pending
+ * {@link L8#close} calls succeed.
+ *
+ * @param {Boolean} opened Whether the transport has been opened successfully
+ * @param {Function} fn Callback of the opening
+ * @private
+ */
+L8.prototype.abortOpening_ = function(opened, fn) {
+    var callbacks = this.pendingClose_;
+    this.pendingClose_ = [];
 
-        var calculatedChecksum = CRC.crc8(payloadBuffer);
+    this.setState_(L8.STATES.CLOSING);
 
-        if (calculatedChecksum !== receivedChecksum) {
-            throw new EvalError("Response checksum did not match. Expected " + receivedChecksum + " got " + calculatedChecksum);
-        }
+    var finish = function(error) {
+        this.setState_(L8.STATES.CLOSED);
+        fn(new L8ConnectionError("Connection to the L8 has been closed while opening"), false);
 
-        // Yeah! We got a valid response let's decode it ;)
-        var command = payloadBuffer[0];
-        var parametersSlice = payloadBuffer.slice(1, payloadBuffer.length);
+        this.emit("close");
 
-        frames.push({
-            command: command,
-            parameters: parametersSlice,
-            checksum: receivedChecksum,
-            payloadLength: payloadLength,
-            payload: payloadBuffer
+        callbacks.forEach(function(callback) {
+            callback(error, !error);
         });
+    }.bind(this);
 
-        // Remove the decoded frame from the receiveBuffer
-        data.copy(data, 0, 2 + /*MAGIC*/ + 1 /*LENGTH*/ + payloadLength + 1 /*CHECKSUM*/);
-        receiveBuffer.length -= 2 + /*MAGIC*/ + 1 /*LENGTH*/ + payloadLength + 1 /*CHECKSUM*/;
+    if (!opened) {
+        finish(false);
+        return;
     }
 
-    if (frames.length === 0) {
-        return false;
-    } else {
-        return frames;
-    }
+    this.transport_.close(function(error) {
+        finish(error);
+    });
 };
 
 /**
- * Callback executed each time data has been received from the L8.
+ * Close an established connection to the L8
  *
- * @param {Buffer} data
- * @private
+ * If the connection already vanished, because the L8 has been powered off or
+ * reset, or if it has never been opened, the callback is invoked without an
+ * error. Pending automatic reconnection attempts are cancelled.
+ *
+ * If the connection is currently being opened, for example by an automatic
+ * reconnection attempt, it is closed as soon as opening has finished. The
+ * opening fails with an {@link L8ConnectionError} in this case.
+ *
+ * All commands still waiting for their response fail with an {@link L8ConnectionError}.
+ *
+ * @param {Function} fn
  */
-L8.prototype.onResponse_ = function(data) {
-    var responses;
+L8.prototype.close = function(fn) {
+    switch (this.state_) {
+        case L8.STATES.CLOSED:
+            // Nothing to close. Closing while waiting for a reconnect just stops trying.
+            this.cancelReconnect_();
+            this.connectionEnding_ = false;
+            fn(false, true);
+            return;
+        case L8.STATES.OPENING:
+            this.pendingClose_.push(fn);
+            return;
+        case L8.STATES.CLOSING:
+            this.once("close", function() {
+                fn(false, true);
+            });
+            return;
+    }
 
-    data.copy(this.receiveBuffer_.buffer, this.receiveBuffer_.length);
-    this.receiveBuffer_.length += data.length;
+    this.setState_(L8.STATES.CLOSING);
+    this.stopOrientationPoll_();
+    this.queue_.clear(new L8ConnectionError("Connection to the L8 has been closed"));
 
-    if ((responses = this.parseFrames_(this.receiveBuffer_)) === false) {
-        // The response has been incomplete. Therefore we wait until it is complete
-        return;
-    }
+    this.transport_.close(function(error) {
+        if (error && this.connectionEnding_) {
+            // The port may already be gone after a power off or reset
+            error = false;
+        }
+
+        this.connectionEnding_ = false;
+        this.setState_(L8.STATES.CLOSED);
 
-    // Redirect all incoming data to all methods, which wanted to be informed about it
-    responses.forEach(function(response) {
         /**
-         * Event fired every time a frame is received
+         * Event fired once the connection to the L8 has been closed on purpose
          *
-         * @event L8#frameReceived
+         * This is the case after {@link L8#close} as well as after the
+         * connection ended due to {@link L8#powerOff}, {@link L8#reset} or
+         * {@link L8#enterBootloader}.
          *
-         * @type {{command: Number, parameters: Buffer, checksum: String, payloadLength: Number, raw: Buffer}}
+         * @event L8#close
          */
-        this.emit("frameReceived", response);
+        this.emit("close");
+
+        fn(error, !error);
     }.bind(this));
 };
 
 /**
- * Send a raw buffer bytestream to the connected L8
- *
- * If the expectedResponse property is set to true the callback will be hold back
- * until a corresponding CMD_OK response from the L8 has been received. This response
- * will be given to the callback then.
- *
- * If the command does not answer with a callback `false` may be given
- *
- * If the command does answer with another then the usual CMD_OK response it's
- * command code and optional parameters need to be specified as object. The object
- * has the following structure:
- *
- * `{command: Number, parameters: Buffer?}`
- *
- * The parameters are optional. If no `parameters` are specified any paramter will be
- * accepted as soon as the command is matched.
+ * Retrieve the state of the connection to the L8.
  *
- * Most commands will want to wait for the response.
+ * The state is one of the values of {@link L8.STATES}.
  *
- * Most commands answer with an error response if something went wrong
- * If you want this error to be passed to the callback as an error set `handleError`
- * to `true`. If you set the argument to `false` the error will not be given to the
- * callback. Be aware, that in this case no proper answer is available as well.
- * In most situations you want to pass the error along.
+ * @returns {String}
+ */
+L8.prototype.getState = function() {
+    return this.state_;
+};
+
+/**
+ * Change the state of the connection
  *
- * In cases where the error is not an CMD_ERR followed by the given command as parameter
- * you may specify an object of the following form to specify it explicitely:
+ * @param {String} state
+ * @private
+ */
+L8.prototype.setState_ = function(state) {
+    this.state_ = state;
+    this.isConnected = (state === L8.STATES.OPEN);
+};
+
+/**
+ * Callback executed once the transport has been closed.
  *
- * `{command: Number, parameters: Buffer?}`
+ * This happens after {@link L8#close} as well as if the connection vanishes,
+ * for example after the L8 has been powered off or reset.
  *
- * The callback is given the error once it has been handled in the form of an
- * {@link L8Error} object.
+ * @param {Error} [error] Error of the transport causing the connection to vanish
+ * @private
+ */
+L8.prototype.onTransportClosed_ = function(error) {
+    if (this.state_ !== L8.STATES.OPEN) {
+        // Closed on purpose, which is handled by L8#close
+        return;
+    }
+
+    this.setState_(L8.STATES.CLOSED);
+    this.stopOrientationPoll_();
+
+    if (this.connectionEnding_) {
+        this.queue_.clear(new L8ConnectionError("Connection to the L8 has been ended"));
+        this.connectionEnding_ = false;
+        this.emit("close");
+        return;
+    }
+
+    this.queue_.clear(new L8ConnectionError("Connection to the L8 has been lost"));
+
+    /**
+     * Event fired if the connection to the L8 vanished unexpectedly
+     *
+     * This is not the case after {@link L8#close}, {@link L8#powerOff},
+     * {@link L8#reset} or {@link L8#enterBootloader}.
+     *
+     * If the connection failed with an error of the transport (eg.
+     * `ECONNRESET`), it is given as event data.
+     *
+     * @event L8#disconnect
+     * @type {Error|undefined}
+     */
+    this.emit("disconnect", error);
+
+    if (this.reconnect_ !== null) {
+        this.scheduleReconnect_(1);
+    }
+};
+
+/**
+ * Callback executed if the transport reports an error of the established
+ * connection.
+ *
+ * The connection is unusable afterwards. It is therefore handled as if it
+ * vanished. The transport is closed to make sure it does not stay half open.
+ *
+ * @param {Error} error
+ * @private
+ */
+L8.prototype.onTransportError_ = function(error) {
+    if (this.state_ !== L8.STATES.OPEN) {
+        return;
+    }
+
+    this.onTransportClosed_(error);
+    this.transport_.close(function() {
+        // The connection is gone already. Closing just cleans up.
+    });
+};
+
+/**
+ * Stop any scheduled automatic reconnection attempt
+ *
+ * @private
+ */
+L8.prototype.cancelReconnect_ = function() {
+    if (this.reconnectTimer_ !== null) {
+        clearTimeout(this.reconnectTimer_);
+        this.reconnectTimer_ = null;
+    }
+};
+
+/**
+ * Schedule the given attempt to reconnect to the L8
+ *
+ * @param {Number} attempt
+ * @private
+ */
+L8.prototype.scheduleReconnect_ = function(attempt) {
+    var delay = Math.min(
+        this.reconnect_.initialDelay * Math.pow(2, attempt - 1),
+        this.reconnect_.maxDelay
+    );
+
+    /**
+     * Event fired every time a reconnection attempt is scheduled
+     *
+     * @event L8#reconnecting
+     * @type {{attempt: Number, delay: Number}}
+     */
+    this.emit("reconnecting", {attempt: attempt, delay: delay});
+
+    this.reconnectTimer_ = setTimeout(function() {
+        this.reconnectTimer_ = null;
+
+        this.openTransport_(function(error) {
+            if (error instanceof L8ConnectionError) {
+                // The connection has been closed on purpose while reconnecting
+                return;
+            }
+
+            if (error) {
+                if (this.reconnect_.maxAttempts > 0 && attempt >= this.reconnect_.maxAttempts) {
+                    /**
+                     * Event fired once all reconnection attempts have failed
+                     *
+                     * @event L8#reconnectFailed
+                     * @type {Error}
+                     */
+                    this.emit("reconnectFailed", error);
+                    return;
+                }
+
+                this.scheduleReconnect_(attempt + 1);
+                return;
+            }
+
+            this.replayDisplayState_(function(error) {
+                /**
+                 * Event fired once the connection has been reestablished and
+                 * the display state has been restored.
+                 *
+                 * `error` is set, if the display state could not be restored.
+                 *
+                 * @event L8#reconnect
+                 * @type {{attempts: Number, error: Error|Boolean}}
+                 */
+                this.emit("reconnect", {attempts: attempt, error: error || false});
+            }.bind(this));
+        }.bind(this));
+    }.bind(this), delay);
+};
+
+/**
+ * Remember the given successfully sent frame, if it changes the display state
+ *
+ * @param {Buffer} buffer
+ * @param {{command: Number, parameters: Buffer?}|Boolean} expectedResponse
+ * @param {{command: Number, parameters: Buffer?}|Boolean} handleError
+ * @private
+ */
+L8.prototype.recordDisplayState_ = function(buffer, expectedResponse, handleError) {
+    var state = this.displayState_;
+    var frame = {buffer: buffer, expectedResponse: expectedResponse, handleError: handleError};
+    var foregroundCommand = (state.foreground !== null) ? state.foreground.buffer[3] : null;
+
+    switch (buffer[3]) {
+        case SLCP.CMD.L8_MATRIX_SET:
+        case SLCP.CMD.L8_MATRIX_OFF:
+        case SLCP.CMD.L8_SET_STORED_L8Y:
+            state.matrix = frame;
+            state.leds = {};
+            break;
+        case SLCP.CMD.L8_LED_SET:
+            state.leds[buffer[4] * 8 + buffer[5]] = frame;
+            break;
+        case SLCP.CMD.L8_SUPERLED_SET:
+            state.superLED = frame;
+            break;
+        case SLCP.CMD.L8_SET_AUTOROTATE:
+            state.autoRotate = frame;
+            state.orientation = null;
+            break;
+        case SLCP.CMD.L8_SET_ORIENTATION:
+            state.orientation = frame;
+            break;
+        case SLCP.CMD.L8_SET_TEXT:
+        case SLCP.CMD.L8_PLAY_ANIM:
+            state.foreground = frame;
+            break;
+        case SLCP.CMD.L8_APP_RUN:
+            state.foreground = null;
+            break;
+        case SLCP.CMD.L8_APP_STOP:
+            if (foregroundCommand === SLCP.CMD.L8_SET_TEXT) {
+                state.foreground = null;
+            }
+            break;
+        case SLCP.CMD.L8_STOP_ANIM:
+        case SLCP.CMD.L8_DELETE_ANIM:
+        case SLCP.CMD.L8_DELETE_USER_MEMORY:
+            if (foregroundCommand === SLCP.CMD.L8_PLAY_ANIM) {
+                state.foreground = null;
+            }
+            break;
+    }
+};
+
+/**
+ * Send all frames defining the last known display state to the L8 again
+ *
+ * @param {Function} fn
+ * @private
+ */
+L8.prototype.replayDisplayState_ = function(fn) {
+    var state = this.displayState_;
+    var frames = [state.autoRotate, state.orientation, state.matrix];
+
+    Object.keys(state.leds).forEach(function(index) {
+        frames.push(state.leds[index]);
+    });
+
+    frames.push(state.superLED, state.foreground);
+
+    async.eachSeries(
+        frames.filter(function(frame) {
+            return frame !== null;
+        }),
+        function(frame, next) {
+            if (!this.isConnected) {
+                next(new Error("L8 is not connected. Can't restore its display state."));
+                return;
+            }
+
+            this.sendFrame(frame.buffer, frame.expectedResponse, frame.handleError, next);
+        }.bind(this),
+        fn
+    );
+};
+
+/**
+ * Retrieve counters about the data received from the L8.
+ *
+ * The returned object has the following structure:
+ *
+ * ```
+ *  {
+ *      frames: Number, // Number of valid frames
+ *      discardedBytes: Number, // Number of bytes thrown away
+ *      invalidFrames: Number // Number of frames dropped due to an invalid length or checksum
+ *  }
+ * ```
+ *
+ * Details about every discarded piece of data are available through
+ * {@link L8#event:protocolError}.
+ *
+ * @returns {{frames: Number, discardedBytes: Number, invalidFrames: Number}}
+ */
+L8.prototype.getProtocolStatistics = function() {
+    return this.parser_.getStatistics();
+};
+
+/**
+ * Callback executed each time data has been received from the L8.
+ *
+ * @param {Buffer} data
+ * @private
+ */
+L8.prototype.onResponse_ = function(data) {
+    // Incomplete frames are kept by the parser until the rest has been received
+    this.handleFrames_(this.parser_.push(data));
+};
+
+/**
+ * Dispatch the given received frames
+ *
+ * @param {{command: Number, parameters: Buffer, checksum: String, payloadLength: Number, raw: Buffer}[]} responses
+ * @private
+ */
+L8.prototype.handleFrames_ = function(responses) {
+    // Redirect all incoming data to all methods, which wanted to be informed about it
+    responses.forEach(function(response) {
+        if (response.command === SLCP.CMD.L8_TRACE_MSG) {
+            // Trace messages are sent unsolicited and never answer a command
+            this.onTrace_(response);
+            return;
+        }
+
+        /**
+         * Event fired every time a frame is received
+         *
+         * Trace messages of the firmware are not reported by this event, but
+         * by {@link L8#event:trace}.
+         *
+         * @event L8#frameReceived
+         *
+         * @type {{command: Number, parameters: Buffer, checksum: String, payloadLength: Number, raw: Buffer}}
+         */
+        this.emit("frameReceived", response);
+
+        this.queue_.handleFrame(response);
+    }.bind(this));
+};
+
+/**
+ * Callback executed each time a trace message has been received from the L8.
+ *
+ * @param {{command: Number, parameters: Buffer, checksum: String, payloadLength: Number, raw: Buffer}} frame
+ * @private
+ */
+L8.prototype.onTrace_ = function(frame) {
+    var trace = {
+        message: frame.parameters.toString("ascii").replace(/[\u0000\r\n]+$/, ""),
+        timestamp: new Date(),
+        frame: frame
+    };
+
+    /**
+     * Event fired every time the firmware of the L8 sends a trace message
+     *
+     * @event L8#trace
+     *
+     * @type {{message: String, timestamp: Date, frame: Object}}
+     */
+    this.emit("trace", trace);
+
+    if (this.traceLogger_ === null) {
+        return;
+    }
+
+    var line = "[L8 trace " + trace.timestamp.toISOString() + "] " + trace.message;
+    if (typeof this.traceLogger_ === "function") {
+        this.traceLogger_(line, trace);
+    } else {
+        this.traceLogger_.log(line);
+    }
+};
+
+/**
+ * Send a raw buffer bytestream to the connected L8
+ *
+ * If the expectedResponse property is set to true the callback will be hold back
+ * until a corresponding CMD_OK response from the L8 has been received. This response
+ * will be given to the callback then.
+ *
+ * If the command does not answer with a callback `false` may be given
+ *
+ * If the command does answer with another then the usual CMD_OK response it's
+ * command code and optional parameters need to be specified as object. The object
+ * has the following structure:
+ *
+ * `{command: Number, parameters: Buffer?}`
+ *
+ * The parameters are optional. If no `parameters` are specified any paramter will be
+ * accepted as soon as the command is matched.
+ *
+ * Most commands will want to wait for the response.
+ *
+ * Most commands answer with an error response if something went wrong
+ * If you want this error to be passed to the callback as an error set `handleError`
+ * to `true`. If you set the argument to `false` the error will not be given to the
+ * callback. Be aware, that in this case no proper answer is available as well.
+ * In most situations you want to pass the error along.
+ *
+ * In cases where the error is not an CMD_ERR followed by the given command as parameter
+ * you may specify an object of the following form to specify it explicitely:
+ *
+ * `{command: Number, parameters: Buffer?}`
+ *
+ * The callback is given the error once it has been handled in the form of an
+ * {@link L8Error} object.
+ *
+ * Frames are not written right away, but added to the command queue of the L8.
+ * Only a limited number of commands (see the `maxInFlight` option of the
+ * {@link L8} constructor) is sent before their responses have been received.
+ * Responses are always assigned to the oldest command waiting for them.
+ * Once all queued commands have been completed {@link L8#event:drain} is fired.
+ *
+ * If no response is received in time an {@link L8TimeoutError} is given to
+ * the callback. Commands listed in {@link L8.IDEMPOTENT_COMMANDS} are retried
+ * before an error is reported. See the `timeout` and `retries` options of the
+ * {@link L8} constructor. Use {@link L8#sendFrameWithTimeout} to wait for a
+ * single command longer or shorter than configured.
  *
  * @param {Buffer} buffer
  * @param {Boolean|{command: Number, parameters: Buffer?}} expectedResponse
@@ -298,19 +1122,62 @@ L8.prototype.onResponse_ = function(data) {
  * @param fn
  */
 L8.prototype.sendFrame = function(buffer, expectedResponse, handleError, fn) {
+    this.sendFrameWithTimeout(buffer, expectedResponse, handleError, null, fn);
+};
+
+/**
+ * Send a raw buffer bytestream to the connected L8 using its own timeout
+ *
+ * This works exactly like {@link L8#sendFrame}, but waits at most `timeout`
+ * msec for the response, regardless of the `timeout` and `commandTimeouts`
+ * options of the L8. A timeout of `0` waits forever. Retries of idempotent
+ * commands wait for the same time.
+ *
+ * @example ```
+ *  l8.sendFrameWithTimeout(l8.buildFrame(SLCP.CMD.PING), {command: SLCP.CMD.PONG}, true, 500, function(error) {
+ *      // error is an L8TimeoutError, if the L8 did not answer within 500 msec
+ *  });
+ * ```
+ *
+ * @param {Buffer} buffer
+ * @param {Boolean|{command: Number, parameters: Buffer?}} expectedResponse
+ * @param {Boolean|{command: Number, parameters: Buffer?}} handleError
+ * @param {Number} timeout
+ * @param fn
+ */
+L8.prototype.sendFrameWithTimeout = function(buffer, expectedResponse, handleError, timeout, fn) {
     if (!this.isConnected) {
         throw new Error("L8 is not connected. Can't send data to it.");
     }
 
-    this.serialport_.write(buffer, function(error, writeCount) {
+    this.queue_.push(buffer, expectedResponse, handleError, function(error, result) {
+        if (!error) {
+            this.recordDisplayState_(buffer, expectedResponse, handleError);
+        }
+
+        fn(error, result);
+    }.bind(this), timeout);
+};
+
+/**
+ * Write the given frame to the transport and wait for it to be drained
+ *
+ * This is the writer used by the command queue of the L8.
+ *
+ * @param {Buffer} buffer
+ * @param {Function} fn
+ * @private
+ */
+L8.prototype.writeFrame_ = function(buffer, fn) {
+    this.transport_.write(buffer, function(error, writeCount) {
         if (error) {
             fn(error, writeCount);
             return;
         }
 
-        this.serialport_.drain(function(error, drainCount) {
+        this.transport_.drain(function(error) {
             if (error) {
-                fn(error, writeCount + drainCount);
+                fn(error, writeCount);
                 return;
             }
 
@@ -324,77 +1191,31 @@ L8.prototype.sendFrame = function(buffer, expectedResponse, handleError, fn) {
              */
             this.emit("frameSent", buffer);
 
-            // If a response is expected we need to introduce another indirection.
-            // Otherwise we might return immediately
-            if (expectedResponse === false) {
-                // No response expected. We are ready to return
-                fn(error, writeCount + drainCount);
-                return;
-            }
-
-            var onReceive = function(frame) {
-                var error = false;
-                /* Always check for possible error states */
-                if (
-                    (handleError === true &&
-                        frame.command === SLCP.CMD.ERR && frame.parameters[0] === buffer[3])
-                    || (handleError !== true && (
-                        (handleError.parameters !== undefined && frame.command === handleError.command && frame.parameters.toString("hex") === handleError.parameters.toString("hex"))
-                        || (handleError.parameters === undefined && frame.command === handleError.command)
-                    ))
-                ) {
-                    // An error occured. Set error and abort further processing.
-                    error = new L8Error("L8 Error received during command execution", frame);
-                } else if (expectedResponse === true) {
-                    /* Skip processing if it is not the awaited response */
-                    if (frame.command !== SLCP.CMD.OK || frame.parameters[0] !== buffer[3]) {
-                        // It is not the OK response for the issued command. Skip it.
-                        return;
-                    }
-                } else {
-                    // We are expecting another return command
-                    if (frame.command !== expectedResponse.command) {
-                        // Not the command/response we waited for
-                        // Skip it.
-                        return;
-                    }
-
-                    if (expectedResponse.parameters !== undefined && frame.parameters.toString("hex") !== expectedResponse.parameters.toString("hex")) {
-                        // Not the parameters we expected.
-                        // Skip it
-                        return;
-                    }
-                }
-                this.removeListener("frameReceived", onReceive);
-                fn(error, frame);
-            }.bind(this); /* onReceive */
-            this.on("frameReceived", onReceive);
+            fn(false, writeCount);
         }.bind(this)); /* drain */
     }.bind(this)); /* write */
 };
 
 /**
- * Build a frame in order to be sent to the L8
- *
- * An L8 frame has the following structure:
- * ```
- * MAGIC_BYTES|PayloadLength|Payload|PayloadCRC8
- * ```
+ * Retrieve the number of commands, which have been sent using {@link L8#sendFrame},
+ * but have not been completed yet.
  *
- * The Payload consists of a command as well as optional arguments
+ * This includes the commands currently awaiting their response from the L8.
  *
- * The command is an integer, as documented here:
- * http://www.l8smartlight.com/dev/slcp/1.0/
- *
- * The {@link module:SLCP} does encode all the specified commands into
- * a human readable object structure. You may want to take a look at it, if you
- * intend to use this method for sending raw commands.
+ * @returns {Number}
+ */
+L8.prototype.getQueueDepth = function() {
+    return this.queue_.getDepth();
+};
+
+/**
+ * Build a frame in order to be sent to the L8
  *
- * The parameters are documented there as well. If a command does not have a
- * parameter (eg. `CMD_PING`). The `parametersBuffer` argument to this function may
+ * The parameters may be provided as a hex string or a Buffer object for convenience.
+ * If a command does not have a parameter the `parametersBuffer` argument may
  * be omitted.
  *
- * The parameters may be provided as a hex string or a Buffer object for convenience.
+ * See {@link module:SLCP.buildFrame} for details about the frame structure.
  *
  * The return value of this method is a ready to be sent Buffer, which can be
  * given to {@link L8#sendFrame} for transmission.
@@ -404,41 +1225,7 @@ L8.prototype.sendFrame = function(buffer, expectedResponse, handleError, fn) {
  * @returns {Buffer}
  */
 L8.prototype.buildFrame = function(command, parametersBuffer) {
-    // Allow parameters to be buffer or hex string for convenience
-    if (typeof parametersBuffer === "string") {
-        parametersBuffer = new Buffer(parametersBuffer, "hex");
-    }
-
-    var commandBuffer = new Buffer(1);
-    commandBuffer[0] = command;
-
-    var fullPayloadBuffer;
-    // There are commands without parameters
-    if (parametersBuffer === null || parametersBuffer === undefined) {
-        fullPayloadBuffer = commandBuffer;
-    } else {
-        fullPayloadBuffer = Buffer.concat([
-            commandBuffer,
-            parametersBuffer
-        ], 1 + parametersBuffer.length);
-    }
-
-    var contentLengthBuffer = new Buffer(1);
-    contentLengthBuffer[0] = fullPayloadBuffer.length;
-
-    var frameLength = 2 /*MAGIC_BYTES*/ + 1 /*LENGTH*/ + fullPayloadBuffer.length + 1 /*CHECKSUM*/;
-
-    var checksumBuffer = new Buffer(
-        CRC.crc8(fullPayloadBuffer),
-        "hex"
-    );
-
-    return Buffer.concat([
-        L8.MAGIC_BYTES,
-        contentLengthBuffer,
-        fullPayloadBuffer,
-        checksumBuffer
-    ], frameLength);
+    return SLCP.buildFrame(command, parametersBuffer);
 };
 
 /**
@@ -457,24 +1244,105 @@ L8.prototype.createAccelerationStream = function(samplingRate) {
 };
 
 /**
- * Query the L8s accelerometer for data.
- *
- * The data given to the callback is an object of the following form:
+ * Create an object stream of button events.
  *
- * ```
- *  {
- *      x: Number,
- *      y: Number,
- *      z: Number,
- *      lying: String,
- *      orientation: String,
- *      tap: Boolean,
- *      shake: Boolean
- *  }
- * ```
+ * See {@link ButtonStream} for details about the created stream and the
+ * available `options`.
  *
- * The data structure corresponds to the response specified inside the
- * [L8 SLCP documentation about the CMD_L8_ACC_RESPONSE](http://www.l8smartlight.com/dev/slcp/1.0/#_Toc380755790).
+ * @param {{samplingRate: Number?, debounce: Number?, longPressDuration: Number?}} [options]
+ * @returns {ButtonStream}
+ */
+L8.prototype.createButtonStream = function(options) {
+    return new ButtonStream(this, options);
+};
+
+/**
+ * Start emitting the events of the button as `button` event
+ *
+ * @private
+ */
+L8.prototype.startButtonEvents_ = function() {
+    if (this.buttonStream_ !== null) {
+        return;
+    }
+
+    this.buttonStream_ = new ButtonStream(this, this.buttonOptions_);
+
+    ButtonStream.EVENTS.forEach(function(type) {
+        this.buttonStream_.on(type, function(event) {
+            /**
+             * Event fired every time the button of the L8 is pressed, released
+             * or held for a longpress
+             *
+             * The button is polled automatically as long as anybody listens to
+             * this event. See {@link ButtonStream} for details about the event
+             * data.
+             *
+             * @event L8#button
+             * @type {{type: String, timestamp: Date, duration: Number}}
+             */
+            this.emit("button", event);
+        }.bind(this));
+    }.bind(this));
+};
+
+/**
+ * Stop emitting the `button` event
+ *
+ * The button stream is stopped, which also cancels waiting for the L8 to be
+ * opened again.
+ *
+ * @private
+ */
+L8.prototype.stopButtonEvents_ = function() {
+    if (this.buttonStream_ === null) {
+        return;
+    }
+
+    ButtonStream.EVENTS.forEach(function(type) {
+        this.buttonStream_.removeAllListeners(type);
+    }.bind(this));
+
+    this.buttonStream_.stop();
+    this.buttonStream_ = null;
+};
+
+/**
+ * Query the state of the L8s button.
+ *
+ * The data given to the callback is an object of the following form:
+ *
+ * ```
+ *  {
+ *      pressed: Boolean
+ *  }
+ * ```
+ *
+ * @param {Function} fn
+ */
+L8.prototype.getButton = function(fn) {
+    this.query_(SLCP.CMD.L8_BUTTON_QUERY, SLCP.CMD.L8_BUTTON_RESPONSE, Decoders.button, fn);
+};
+
+/**
+ * Query the L8s accelerometer for data.
+ *
+ * The data given to the callback is an object of the following form:
+ *
+ * ```
+ *  {
+ *      x: Number,
+ *      y: Number,
+ *      z: Number,
+ *      lying: String,
+ *      orientation: String,
+ *      tap: Boolean,
+ *      shake: Boolean
+ *  }
+ * ```
+ *
+ * The data structure corresponds to the response specified inside the
+ * [L8 SLCP documentation about the CMD_L8_ACC_RESPONSE](http://www.l8smartlight.com/dev/slcp/1.0/#_Toc380755790).
  *
  * @param {Function} fn
  */
@@ -489,33 +1357,11 @@ L8.prototype.getAcceleration = function(fn) {
                 return;
             }
 
-            var orientation;
-            var parameters;
+            var parameters = data.parameters;
+            var orientation = Decoders.orientation(parameters[4]);
             var response;
 
-            /*
-             * Handle proper orientation mapping
-             */
-            parameters = data.parameters;
-            switch (parameters[4]) {
-                case 1:
-                    orientation = 'up';
-                    break;
-                case 2:
-                    orientation = 'down';
-                    break;
-                case 5:
-                    orientation = 'left';
-                    break;
-                case 6:
-                    orientation = 'right';
-                    break;
-                default:
-                    //@TODO: Passing the parameter through in case it is not recognized
-                    //       doesn't seem to be the right way. Analyse what happens here
-                    //       and provide proper output in the future.
-                    orientation = parameters[4];
-            }
+            this.updateOrientation_(orientation);
 
             response = {
                 'x': parameters[0],
@@ -528,479 +1374,1840 @@ L8.prototype.getAcceleration = function(fn) {
             };
 
             fn(error, response);
+        }.bind(this)
+    );
+};
+
+/**
+ * Send a query to the L8 and decode its response.
+ *
+ * The query is sent without any parameters. Once the `responseCommand` has been
+ * received its parameters are handed to the given `decoder` function, whose
+ * result is provided to the callback.
+ *
+ * @param {Number} queryCommand
+ * @param {Number} responseCommand
+ * @param {Function} decoder
+ * @param {Function} fn
+ * @private
+ */
+L8.prototype.query_ = function(queryCommand, responseCommand, decoder, fn) {
+    this.sendFrame(
+        this.buildFrame(queryCommand),
+        {command: responseCommand},
+        true,
+        function(error, data) {
+            if (error) {
+                fn(error, false);
+                return;
+            }
+
+            fn(error, decoder(data.parameters));
         }
     );
 };
 
 /**
- * Ping the L8 in order to check if it is there.
+ * Query the battery voltage of the L8.
+ *
+ * The data given to the callback is an object of the following form:
  *
- * The response is currently not handled automatically. If you want to check if
- * a pong reply has been sent back using the {@link L8#event:frameReceived} event.
+ * ```
+ *  {
+ *      value: Number, // millivolts
+ *      unit: "mV",
+ *      percentage: Number
+ *  }
+ * ```
  *
  * @param {Function} fn
  */
-L8.prototype.ping = function(fn) {
+L8.prototype.getVoltage = function(fn) {
+    this.query_(SLCP.CMD.L8_VOLTAGE_QUERY, SLCP.CMD.L8_VOLTAGE_RESPONSE, Decoders.voltage, fn);
+};
+
+/**
+ * Query the temperature measured by the L8s temperature sensor.
+ *
+ * The data given to the callback is an object of the following form:
+ *
+ * ```
+ *  {
+ *      value: Number, // degree celsius
+ *      unit: "°C"
+ *  }
+ * ```
+ *
+ * @param {Function} fn
+ */
+L8.prototype.getTemperature = function(fn) {
+    this.query_(SLCP.CMD.L8_TEMP_QUERY, SLCP.CMD.L8_TEMP_RESPONSE, Decoders.temperature, fn);
+};
+
+/**
+ * Query the temperature of the L8s microcontroller.
+ *
+ * The data given to the callback has the same structure as the one provided
+ * by {@link L8#getTemperature}.
+ *
+ * @param {Function} fn
+ */
+L8.prototype.getMcuTemperature = function(fn) {
+    this.query_(SLCP.CMD.L8_MCUTEMP_QUERY, SLCP.CMD.L8_MCUTEMP_RESPONSE, Decoders.temperature, fn);
+};
+
+/**
+ * Query the ambient light sensor of the L8.
+ *
+ * The data given to the callback is an object of the following form:
+ *
+ * ```
+ *  {
+ *      value: Number, // percentage
+ *      unit: "%",
+ *      raw: Number
+ *  }
+ * ```
+ *
+ * @param {Function} fn
+ */
+L8.prototype.getAmbientLight = function(fn) {
+    this.query_(SLCP.CMD.L8_AMBIENT_QUERY, SLCP.CMD.L8_AMBIENT_RESPONSE, Decoders.percentageSensor, fn);
+};
+
+/**
+ * Query the proximity sensor of the L8.
+ *
+ * The data given to the callback has the same structure as the one provided
+ * by {@link L8#getAmbientLight}.
+ *
+ * @param {Function} fn
+ */
+L8.prototype.getProximity = function(fn) {
+    this.query_(SLCP.CMD.L8_PROX_QUERY, SLCP.CMD.L8_PROX_RESPONSE, Decoders.percentageSensor, fn);
+};
+
+/**
+ * Query the noise level measured by the L8s microphone.
+ *
+ * The data given to the callback is an object of the following form:
+ *
+ * ```
+ *  {
+ *      value: Number, // decibel
+ *      unit: "dB"
+ *  }
+ * ```
+ *
+ * @param {Function} fn
+ */
+L8.prototype.getMicLevel = function(fn) {
+    this.query_(SLCP.CMD.L8_MIC_QUERY, SLCP.CMD.L8_MIC_RESPONSE, Decoders.mic, fn);
+};
+
+/**
+ * Query the voltage present on the usb bus of the L8.
+ *
+ * The data given to the callback is an object of the following form:
+ *
+ * ```
+ *  {
+ *      value: Number, // millivolts
+ *      unit: "mV"
+ *  }
+ * ```
+ *
+ * @param {Function} fn
+ */
+L8.prototype.getVbus = function(fn) {
+    this.query_(SLCP.CMD.L8_VBUS_QUERY, SLCP.CMD.L8_VBUS_RESPONSE, Decoders.vbus, fn);
+};
+
+/**
+ * Query the state of the L8s battery charger.
+ *
+ * The data given to the callback is an object of the following form:
+ *
+ * ```
+ *  {
+ *      status: String, // "discharging", "charging", "charged" or "unknown"
+ *      code: Number
+ *  }
+ * ```
+ *
+ * @param {Function} fn
+ */
+L8.prototype.getBatteryCharge = function(fn) {
+    this.query_(SLCP.CMD.L8_BATCHG_QUERY, SLCP.CMD.L8_BATCHG_RESPONSE, Decoders.batteryCharge, fn);
+};
+
+/**
+ * Query all environmental sensors of the L8 at once.
+ *
+ * The sensors are queried one after another. The data given to the callback
+ * is an object containing the result of each of the single sensor queries:
+ *
+ * ```
+ *  {
+ *      voltage: Object,
+ *      temperature: Object,
+ *      mcuTemperature: Object,
+ *      ambientLight: Object,
+ *      proximity: Object,
+ *      micLevel: Object,
+ *      vbus: Object,
+ *      batteryCharge: Object
+ *  }
+ * ```
+ *
+ * @param {Function} fn
+ */
+L8.prototype.getSensors = function(fn) {
+    async.series({
+        voltage: this.getVoltage.bind(this),
+        temperature: this.getTemperature.bind(this),
+        mcuTemperature: this.getMcuTemperature.bind(this),
+        ambientLight: this.getAmbientLight.bind(this),
+        proximity: this.getProximity.bind(this),
+        micLevel: this.getMicLevel.bind(this),
+        vbus: this.getVbus.bind(this),
+        batteryCharge: this.getBatteryCharge.bind(this)
+    }, function(error, sensors) {
+        if (error) {
+            fn(error, false);
+            return;
+        }
+
+        fn(false, sensors);
+    });
+};
+
+/**
+ * Validate a pair of sensor thresholds
+ *
+ * Both thresholds need to be integers between 0 and the given `limit`. The
+ * minimum may not be greater than the maximum. If one of the thresholds is
+ * invalid an exception will be thrown.
+ *
+ * @param {Number} min
+ * @param {Number} max
+ * @param {Number} limit
+ * @private
+ */
+L8.prototype.validateThresholds_ = function(min, max, limit) {
+    [min, max].forEach(function(threshold) {
+        if (typeof threshold !== "number" || threshold < 0 || threshold > limit || threshold % 1 !== 0) {
+            throw new RangeError("Invalid threshold provided. Expected an integer between 0 and " + limit + ", got " + threshold);
+        }
+    });
+
+    if (min > max) {
+        throw new RangeError("Minimum threshold " + min + " is greater than maximum threshold " + max);
+    }
+};
+
+/**
+ * Set the thresholds of the noise sensor.
+ *
+ * The thresholds are given in decibel and need to be between 0 and 255.
+ *
+ * @param {Number} min
+ * @param {Number} max
+ * @param {Function} fn
+ */
+L8.prototype.setNoiseThresholds = function(min, max, fn) {
+    this.validateThresholds_(min, max, 0xFF);
+
+    var parameters = new Buffer(2);
+    parameters[0] = min;
+    parameters[1] = max;
+
     this.sendFrame(
-        this.buildFrame(SLCP.CMD.PING, null),
+        this.buildFrame(SLCP.CMD.L8_NOISE_THRESHOLDS_SET, parameters),
         true, true, fn
     );
 };
 
 /**
- * Encode a color object to the BGR bytesequence accepted by the L8 as a single color (3-byte)
+ * Set the thresholds of the proximity sensor.
  *
- * The color needs to be represented as object with `r`, `g` and `b` properties.
+ * The thresholds are given as raw sensor values, as reported by
+ * {@link L8#getProximity}, and need to be between 0 and 65535.
  *
- * The color values need to be within the limits [0,15]. Where 0 represents the lightest
- * and 15 the highest value.
+ * @param {Number} min
+ * @param {Number} max
+ * @param {Function} fn
+ */
+L8.prototype.setProximityThresholds = function(min, max, fn) {
+    this.validateThresholds_(min, max, 0xFFFF);
+
+    var parameters = new Buffer(4);
+    parameters.writeUInt16BE(min, 0);
+    parameters.writeUInt16BE(max, 2);
+
+    this.sendFrame(
+        this.buildFrame(SLCP.CMD.L8_PROX_THRESHOLDS_SET, parameters),
+        true, true, fn
+    );
+};
+
+/**
+ * Set the thresholds of the ambient light sensor.
  *
- * @param {Object} color
- * @returns {Buffer}
+ * The thresholds are given as raw sensor values, as reported by
+ * {@link L8#getAmbientLight}, and need to be between 0 and 65535.
+ *
+ * @param {Number} min
+ * @param {Number} max
+ * @param {Function} fn
  */
-L8.prototype.encodeBGRSingleColor = function(color) {
-    if (color.r === undefined || color.r < 0 || color.r > 15
-     || color.g === undefined || color.g < 0 || color.g > 15
-     || color.b === undefined || color.b < 0 || color.b > 15) {
-        throw new RangeError("Invalid color definition provided: " + JSON.stringify(color));
+L8.prototype.setAmbientThresholds = function(min, max, fn) {
+    this.validateThresholds_(min, max, 0xFFFF);
+
+    var parameters = new Buffer(4);
+    parameters.writeUInt16BE(min, 0);
+    parameters.writeUInt16BE(max, 2);
+
+    this.sendFrame(
+        this.buildFrame(SLCP.CMD.L8_AMB_THRESHOLDS_SET, parameters),
+        true, true, fn
+    );
+};
+
+/**
+ * Query the thresholds of the noise, proximity and ambient light sensors.
+ *
+ * The data given to the callback is an object of the following form:
+ *
+ * ```
+ *  {
+ *      noise: {min: Number, max: Number},
+ *      proximity: {min: Number, max: Number},
+ *      ambient: {min: Number, max: Number}
+ *  }
+ * ```
+ *
+ * @param {Function} fn
+ */
+L8.prototype.getSensorThresholds = function(fn) {
+    this.query_(SLCP.CMD.L8_SENSORS_THRESHOLDS_QUERY, SLCP.CMD.L8_SENSORS_THRESHOLDS_RESPONSE, Decoders.sensorThresholds, fn);
+};
+
+/**
+ * Query the unique id of the L8.
+ *
+ * The id is given to the callback as hex string. It may be used to tell
+ * multiple connected L8s apart.
+ *
+ * @param {Function} fn
+ */
+L8.prototype.getUID = function(fn) {
+    this.query_(SLCP.CMD.L8_UID_QUERY, SLCP.CMD.L8_UID_RESPONSE, Decoders.uid, fn);
+};
+
+/**
+ * Query the firmware and hardware versions of the L8.
+ *
+ * The data given to the callback is an object of the following form:
+ *
+ * ```
+ *  {
+ *      lightOS: String,
+ *      hardware: String,
+ *      bootloader: String,
+ *      userSpace: String
+ *  }
+ * ```
+ *
+ * @param {Function} fn
+ */
+L8.prototype.getVersions = function(fn) {
+    this.query_(SLCP.CMD.L8_VERSIONS_QUERY, SLCP.CMD.L8_VERSIONS_RESPONSE, Decoders.versions, fn);
+};
+
+/**
+ * Query the total size of the L8s User Memory in bytes.
+ *
+ * @param {Function} fn
+ */
+L8.prototype.getTotalMemory = function(fn) {
+    this.query_(SLCP.CMD.L8_TOTALMEM_QUERY, SLCP.CMD.L8_TOTALMEM_RESPONSE, Decoders.memory, fn);
+};
+
+/**
+ * Query the amount of free User Memory of the L8 in bytes.
+ *
+ * It is a good idea to check the free memory before storing larger amounts of
+ * data, like an animation using {@link L8#prepareAnimation}.
+ *
+ * @param {Function} fn
+ */
+L8.prototype.getFreeMemory = function(fn) {
+    this.query_(SLCP.CMD.L8_FREEMEM_QUERY, SLCP.CMD.L8_FREEMEM_RESPONSE, Decoders.memory, fn);
+};
+
+/**
+ * Query the initialization status of the L8.
+ *
+ * The data given to the callback is an object of the following form:
+ *
+ * ```
+ *  {
+ *      initialized: Boolean,
+ *      status: Number
+ *  }
+ * ```
+ *
+ * @param {Function} fn
+ */
+L8.prototype.getInitStatus = function(fn) {
+    this.sendFrame(
+        this.buildFrame(SLCP.CMD.L8_INIT_STATUS_QUERY),
+        true, true,
+        function(error, data) {
+            if (error) {
+                fn(error, false);
+                return;
+            }
+
+            fn(error, Decoders.initStatus(data.parameters));
+        }
+    );
+};
+
+/**
+ * Query the number of L8Ys stored on the L8.
+ *
+ * @param {Function} fn
+ */
+L8.prototype.getL8yCount = function(fn) {
+    this.query_(SLCP.CMD.L8_NUML8IES_QUERY, SLCP.CMD.L8_NUML8IES_RESPONSE, Decoders.count, fn);
+};
+
+/**
+ * Query the number of animations stored on the L8.
+ *
+ * @param {Function} fn
+ */
+L8.prototype.getAnimationCount = function(fn) {
+    this.query_(SLCP.CMD.L8_NUMANIMS_QUERY, SLCP.CMD.L8_NUMANIMS_RESPONSE, Decoders.count, fn);
+};
+
+/**
+ * Query the number of animation frames stored on the L8.
+ *
+ * @param {Function} fn
+ */
+L8.prototype.getFrameCount = function(fn) {
+    this.query_(SLCP.CMD.L8_NUMFRAMES_QUERY, SLCP.CMD.L8_NUMFRAMES_RESPONSE, Decoders.count, fn);
+};
+
+/**
+ * Query all identity and inventory information of the L8 at once.
+ *
+ * The information is queried one after another. The data given to the callback
+ * is an object of the following form:
+ *
+ * ```
+ *  {
+ *      uid: String,
+ *      versions: Object,
+ *      totalMemory: Number,
+ *      freeMemory: Number,
+ *      usedMemory: Number,
+ *      initStatus: Object,
+ *      l8yCount: Number,
+ *      animationCount: Number,
+ *      frameCount: Number
+ *  }
+ * ```
+ *
+ * See the corresponding single queries for details about each of the values.
+ *
+ * @param {Function} fn
+ */
+L8.prototype.getDeviceInfo = function(fn) {
+    async.series({
+        uid: this.getUID.bind(this),
+        versions: this.getVersions.bind(this),
+        totalMemory: this.getTotalMemory.bind(this),
+        freeMemory: this.getFreeMemory.bind(this),
+        initStatus: this.getInitStatus.bind(this),
+        l8yCount: this.getL8yCount.bind(this),
+        animationCount: this.getAnimationCount.bind(this),
+        frameCount: this.getFrameCount.bind(this)
+    }, function(error, info) {
+        if (error) {
+            fn(error, false);
+            return;
+        }
+
+        info.usedMemory = info.totalMemory - info.freeMemory;
+        fn(false, info);
+    });
+};
+
+/**
+ * Set the real-time clock of the L8 to the given date.
+ *
+ * The L8 does not know anything about timezones. Therefore the local time of
+ * the given date is transmitted. The clock has a resolution of seconds, any
+ * milliseconds are discarded.
+ *
+ * @param {Date} date
+ * @param {Function} fn
+ */
+L8.prototype.setTime = function(date, fn) {
+    if (!(date instanceof Date) || isNaN(date.getTime())) {
+        throw new RangeError("Valid Date object expected, got " + date);
+    }
+
+    var parameters = new Buffer(7);
+    parameters.writeUInt16BE(date.getFullYear(), 0);
+    parameters[2] = date.getMonth() + 1;
+    parameters[3] = date.getDate();
+    parameters[4] = date.getHours();
+    parameters[5] = date.getMinutes();
+    parameters[6] = date.getSeconds();
+
+    this.sendFrame(
+        this.buildFrame(SLCP.CMD.L8_TIME_SET, parameters),
+        true, true, fn
+    );
+};
+
+/**
+ * Query the current time of the L8s real-time clock.
+ *
+ * The time is given to the callback as `Date` object interpreted as local time.
+ *
+ * @param {Function} fn
+ */
+L8.prototype.getTime = function(fn) {
+    this.query_(SLCP.CMD.L8_TIME_QUERY, SLCP.CMD.L8_TIME_RESPONSE, Decoders.time, fn);
+};
+
+/**
+ * Keep the real-time clock of the L8 aligned with the clock of the host.
+ *
+ * The clock is set immediately and checked periodically afterwards. See
+ * {@link ClockSync} for details about the available options and the emitted
+ * events.
+ *
+ * Call {@link ClockSync#stop} on the returned object to end the
+ * synchronization.
+ *
+ * @param {{interval: Number?, maxDrift: Number?}} [options]
+ * @returns {ClockSync}
+ */
+L8.prototype.syncClock = function(options) {
+    var clockSync = new ClockSync(this, options);
+    clockSync.start();
+    return clockSync;
+};
+
+/**
+ * Record all frames sent to and received from the L8.
+ *
+ * The capture is written to the given stream in the format documented by
+ * {@link module:Recorder}. It may be replayed later on using a
+ * {@link ReplayTransport}.
+ *
+ * Call {@link Recorder#stop} on the returned object to end the recording.
+ *
+ * @param {stream.Writable} stream
+ * @returns {Recorder}
+ */
+L8.prototype.record = function(stream) {
+    var recorder = new Recorder(this, stream);
+    recorder.start();
+    return recorder;
+};
+
+/**
+ * Query the orientation of the L8.
+ *
+ * The data given to the callback is an object of the following form:
+ *
+ * ```
+ *  {
+ *      orientation: String, // "up", "down", "left", "right" or "unknown"
+ *      autoRotate: Boolean
+ *  }
+ * ```
+ *
+ * The orientation uses the same values accepted by {@link L8#setOrientation}.
+ *
+ * @param {Function} fn
+ */
+L8.prototype.getOrientation = function(fn) {
+    this.query_(
+        SLCP.CMD.L8_ORIENTATION_QUERY, SLCP.CMD.L8_ORIENTATION_RESPONSE, Decoders.orientationResponse,
+        function(error, data) {
+            if (error) {
+                fn(error, false);
+                return;
+            }
+
+            this.updateOrientation_(data.orientation);
+            fn(error, data);
+        }.bind(this)
+    );
+};
+
+/**
+ * Update the last known orientation of the L8.
+ *
+ * A change of the orientation is announced using the `orientationchange` event.
+ * The first orientation to be known does not count as change. Unknown
+ * orientations, like raw codes reported by {@link L8#getAcceleration}, are
+ * ignored.
+ *
+ * @param {String|Number} orientation
+ * @private
+ */
+L8.prototype.updateOrientation_ = function(orientation) {
+    var previous = this.orientation_;
+
+    if (typeof orientation !== "string" || orientation === "unknown" || orientation === previous) {
+        return;
+    }
+
+    this.orientation_ = orientation;
+
+    if (previous === null) {
+        return;
+    }
+
+    /**
+     * Event fired every time the orientation of the L8 changes
+     *
+     * The orientation is polled automatically as long as anybody listens to this
+     * event. Additionally all orientations reported by
+     * {@link L8#getAcceleration} are taken into account.
+     *
+     * @event L8#orientationchange
+     *
+     * @type {{orientation: String, previous: String}}
+     */
+    this.emit("orientationchange", {
+        orientation: orientation,
+        previous: previous
+    });
+};
+
+/**
+ * Schedule the next orientation poll.
+ *
+ * @private
+ */
+L8.prototype.scheduleOrientationPoll_ = function() {
+    this.orientationTimer_ = setTimeout(this.pollOrientation_.bind(this), this.orientationPollInterval_);
+};
+
+/**
+ * Stop polling the orientation.
+ *
+ * Polling is resumed once the connection has been opened again, if anybody
+ * still listens for orientation changes.
+ *
+ * @private
+ */
+L8.prototype.stopOrientationPoll_ = function() {
+    clearTimeout(this.orientationTimer_);
+    this.orientationTimer_ = null;
+};
+
+/**
+ * Poll the orientation of the L8, as long as anybody listens for orientation
+ * changes and the L8 is connected.
+ *
+ * @private
+ */
+L8.prototype.pollOrientation_ = function() {
+    var timer = this.orientationTimer_;
+
+    if (this.listeners("orientationchange").length === 0 || !this.isConnected) {
+        this.orientationTimer_ = null;
+        return;
+    }
+
+    this.getOrientation(function() {
+        // Polling may have been stopped or restarted in the meantime
+        if (this.orientationTimer_ !== timer) {
+            return;
+        }
+
+        // Failed polls are simply retried with the next interval
+        this.scheduleOrientationPoll_();
+    }.bind(this));
+};
+
+/**
+ * Ping the L8 in order to check if it is there.
+ *
+ * The callback is invoked once the CMD_PONG reply of the L8 has been received.
+ *
+ * @param {Function} fn
+ */
+L8.prototype.ping = function(fn) {
+    this.sendFrame(
+        this.buildFrame(SLCP.CMD.PING, null),
+        {command: SLCP.CMD.PONG}, true, fn
+    );
+};
+
+/**
+ * Encode a color object to the BGR bytesequence accepted by the L8 as a single color (3-byte)
+ *
+ * The color needs to be represented as object with `r`, `g` and `b` properties.
+ *
+ * The color values need to be within the limits [0,15]. Where 0 represents the lightest
+ * and 15 the highest value.
+ *
+ * @param {Object} color
+ * @returns {Buffer}
+ */
+L8.prototype.encodeBGRSingleColor = function(color) {
+    if (color.r === undefined || color.r < 0 || color.r > 15
+     || color.g === undefined || color.g < 0 || color.g > 15
+     || color.b === undefined || color.b < 0 || color.b > 15) {
+        throw new RangeError("Invalid color definition provided: " + JSON.stringify(color));
+    }
+
+    var colorBuffer = new Buffer(3);
+    colorBuffer[0] = color.b;
+    colorBuffer[1] = color.g;
+    colorBuffer[2] = color.r;
+
+    return colorBuffer;
+};
+
+/**
+ * Encode a color object to the RGB bytesequence accepted by the L8 as a single color (3-byte)
+ *
+ * This color is for example used by the text scroller application
+ *
+ * The color needs to be represented as object with `r`, `g` and `b` properties.
+ *
+ * The color values need to be within the limits [0,15]. Where 0 represents the lightest
+ * and 15 the highest value.
+ *
+ * @param {Object} color
+ * @returns {Buffer}
+ */
+L8.prototype.encodeRGBSingleColor = function(color) {
+    if (color.r === undefined || color.r < 0 || color.r > 15
+        || color.g === undefined || color.g < 0 || color.g > 15
+        || color.b === undefined || color.b < 0 || color.b > 15) {
+        throw new RangeError("Invalid color definition provided: " + JSON.stringify(color));
+    }
+
+    var colorBuffer = new Buffer(3);
+    colorBuffer[0] = color.r;
+    colorBuffer[1] = color.g;
+    colorBuffer[2] = color.b;
+
+    return colorBuffer;
+};
+
+/**
+ * Encode a color object to the BGR bytesequence accepted by the L8 as a matrix color (2-byte)
+ *
+ * The color needs to be represented as object with `r`, `g` and `b` properties.
+ *
+ * The color values need to be within the limits [0,15]. Where 0 represents the lightest
+ * and 15 the highest value.
+ *
+ * @param {Object} color
+ * @returns {Buffer}
+ */
+L8.prototype.encodeBGRMatrixColor = function(color) {
+    if (color.r === undefined || color.r < 0 || color.r > 15
+        || color.g === undefined || color.g < 0 || color.g > 15
+        || color.b === undefined || color.b < 0 || color.b > 15) {
+        throw new RangeError("Invalid color definiiton provided: " + JSON.stringify(color));
+    }
+
+    var colorBuffer = new Buffer(2);
+    colorBuffer[0] = color.b;
+    colorBuffer[1] = color.g << 4 | color.r;
+
+    return colorBuffer;
+};
+
+/**
+ * Encode a complete matrix of color objects to the bytesequence accepted by the L8 (128-byte)
+ *
+ * The provided matrix needs to be a 64 elements long array of color objects.
+ * Each of them is encoded using {@link L8#encodeBGRMatrixColor}.
+ *
+ * @param {Array} matrix
+ * @returns {Buffer}
+ */
+L8.prototype.encodeBGRMatrix = function(matrix) {
+    if (matrix.length != 64) {
+        throw new RangeError("Given matrix has the wrong length. Expected 64, got " + matrix.length);
+    }
+
+    return Buffer.concat(
+        matrix.map(this.encodeBGRMatrixColor.bind(this)),
+        8 /*LINES*/ * 8 /*COLUMNS*/ * 2 /*COLOR_LENGTH*/
+    );
+};
+
+/**
+ * Set a specific LED inside the 8x8 L8 grid to a given color
+ *
+ * The color needs to be represented as object with `r`, `g` and `b` properties.
+ *
+ * The color values need to be within the limits [0,15]. Where 0 represents the lightest
+ * and 15 the highest value.
+ *
+ * @param {Number} x
+ * @param {Number} y
+ * @param {Object} color
+ * @param {Function} fn
+ */
+L8.prototype.setLED = function(x, y, color, fn) {
+    if (x < 0 || x > 7 || y < 0 || y > 7) {
+        throw new RangeError("x and y led coordinates are out of bounds: (" + x + " x " + y + ")");
+    }
+
+    var coordinateBuffer = new Buffer(2);
+    coordinateBuffer[0] = y;
+    coordinateBuffer[1] = x;
+
+    var parametersBuffer = Buffer.concat([
+        coordinateBuffer,
+        this.encodeBGRSingleColor(color)
+    ], 2 + 4);
+
+    this.sendFrame(
+        this.buildFrame(SLCP.CMD.L8_LED_SET, parametersBuffer),
+        true, true, fn
+    );
+};
+
+/**
+ * Convenience function to switch of a single LED in the matrix.
+ *
+ * The same behaviour is archivable by setting all color components of the LED
+ * to 0.
+ *
+ * @param {Number} x
+ * @param {Number} y
+ * @param {Function} fn
+ */
+L8.prototype.clearLED = function(x, y, fn) {
+    this.setLED(x, y, {r: 0, g: 0, b: 0}, fn);
+};
+
+/**
+ * Set the complete matrix of LEDs with one command
+ *
+ * This method should be used if you want display an "image" of sorts
+ *
+ * The provided matrix needs to be a 64 elements long array of color objects.
+ *
+ * Each of the color objects needs to provide an `r`, `g` and `b` property.
+ *
+ * The color values need to be within the limits [0,15]. Where 0 represents the
+ * lightest and 15 the highest value.
+ *
+ * The matrix is provided line by line. Starting in the upper left corner, while
+ * ending in the lower right.
+ *
+ * @param {Array} matrix
+ * @param fn
+ */
+L8.prototype.setMatrix = function(matrix, fn) {
+    this.sendFrame(
+        this.buildFrame(SLCP.CMD.L8_MATRIX_SET, this.encodeBGRMatrix(matrix)),
+        true, true, fn
+    );
+};
+
+/**
+ * Clear the matrix by switching off all its LEDs
+ *
+ * It is not necessary to execute this command between different `setMatrix` calls
+ * Only use it if you explicitly want to turn the matrix off.
+ *
+ * This command does not affect the Super LED, which needs to be controlled
+ * separately.
+ *
+ * @param fn
+ */
+L8.prototype.clearMatrix = function(fn) {
+    /* According to the documentation of the protocol the CMD_L8_MATRIX_OFF has no
+       parameters. Unfortunately this doesn't seem to be true. A zero byte is needed
+       as parameter in order for the command to be accepted */
+    this.sendFrame(
+        this.buildFrame(SLCP.CMD.L8_MATRIX_OFF, "00"),
+        true, true, fn
+    );
+};
+
+/**
+ * Read the matrix currently displayed by the L8.
+ *
+ * The matrix given to the callback has the same format as the one accepted by
+ * {@link L8#setMatrix}. It reflects whatever is shown on the device, even if
+ * the content has been drawn by one of the L8s own applications.
+ *
+ * This allows to take a snapshot of the display, show something else for a
+ * while and restore the original content using {@link L8#setMatrix} afterwards.
+ *
+ * @param {Function} fn
+ */
+L8.prototype.grabFrame = function(fn) {
+    this.query_(SLCP.CMD.L8_FRAMEGRAB_QUERY, SLCP.CMD.L8_FRAMEGRAB_RESPONSE, Decoders.matrix, fn);
+};
+
+/**
+ * Set the SuperLED on the back of the L8 to the given color.
+ *
+ * The color needs to be represented as object with `r`, `g` and `b` properties.
+ *
+ * The color values need to be within the limits [0,15]. Where 0 represents the lightest
+ * and 15 the highest value.
+ *
+ * @param {Object} color
+ * @param {Function} fn
+ */
+L8.prototype.setSuperLED = function(color, fn) {
+    this.sendFrame(
+        this.buildFrame(SLCP.CMD.L8_SUPERLED_SET, this.encodeBGRSingleColor(color)),
+        true, true, fn
+    );
+};
+
+/**
+ * Convenience function to switch off the SuperLED.
+ *
+ * The same effect may be created by setting all color components of the LED to 0
+ *
+ * @param {Function} fn
+ */
+L8.prototype.clearSuperLED = function(fn) {
+    this.setSuperLED({r:0, g: 0, b: 0}, fn);
+};
+
+/**
+ * Send a command to the L8, which ends the connection to it.
+ *
+ * The L8 does not acknowledge those commands, as it is powered off or reset
+ * right away. Instead the sent bytes are given to the callback.
+ *
+ * @param {Number} command
+ * @param {Function} fn
+ * @private
+ */
+L8.prototype.sendConnectionEndingFrame_ = function(command, fn) {
+    this.sendFrame(
+        this.buildFrame(command),
+        false, true,
+        function(error, writeCount) {
+            if (!error) {
+                this.connectionEnding_ = true;
+            }
+
+            fn(error, writeCount);
+        }.bind(this)
+    );
+};
+
+/**
+ * Power off the L8.
+ *
+ * The connection to the L8 ends once the device is switched off. Call
+ * {@link L8#close} afterwards in order to clean up.
+ *
+ * @param {Function} fn
+ */
+L8.prototype.powerOff = function(fn) {
+    this.sendConnectionEndingFrame_(SLCP.CMD.L8_POWEROFF, fn);
+};
+
+/**
+ * Reset the L8.
+ *
+ * The connection to the L8 ends during the reset. Call {@link L8#close}
+ * afterwards and {@link L8#open} once the device is back.
+ *
+ * @param {Function} fn
+ */
+L8.prototype.reset = function(fn) {
+    this.sendConnectionEndingFrame_(SLCP.CMD.RESET, fn);
+};
+
+/**
+ * Reboot the L8 into its bootloader in order to update the firmware.
+ *
+ * The connection to the L8 ends once the bootloader is started. Call
+ * {@link L8#close} afterwards in order to clean up.
+ *
+ * @param {Function} fn
+ */
+L8.prototype.enterBootloader = function(fn) {
+    this.sendConnectionEndingFrame_(SLCP.CMD.L8_BOOTLOADER, fn);
+};
+
+/**
+ * Enable or disable the status LEDs of the L8.
+ *
+ * @param {Boolean} enabled
+ * @param {Function} fn
+ */
+L8.prototype.setStatusLeds = function(enabled, fn) {
+    var parameters = new Buffer(1);
+    parameters[0] = (enabled === true) ? 1 : 0;
+
+    this.sendFrame(
+        this.buildFrame(SLCP.CMD.L8_STATUSLEDS_ENABLE, parameters),
+        true, true, fn
+    );
+};
+
+/**
+ * Enable or disable the low brightness mode of the L8.
+ *
+ * @param {Boolean} enabled
+ * @param {Function} fn
+ */
+L8.prototype.setLowBrightness = function(enabled, fn) {
+    var parameters = new Buffer(1);
+    parameters[0] = (enabled === true) ? 1 : 0;
+
+    this.sendFrame(
+        this.buildFrame(SLCP.CMD.L8_SET_LOW_BRIGHTNESS, parameters),
+        true, true, fn
+    );
+};
+
+/**
+ * Run one of the applications built into the L8.
+ *
+ * The `application` is one of the ids defined in {@link L8.APPLICATIONS}.
+ *
+ * Once started the application needs to be stopped explicitly using
+ * {@link L8#stopApplication}.
+ *
+ * @param {Number} application
+ * @param {Function} fn
+ */
+L8.prototype.runApplication = function(application, fn) {
+    var known = Object.keys(L8.APPLICATIONS).some(function(name) {
+        return L8.APPLICATIONS[name] === application;
+    });
+
+    if (!known) {
+        throw new RangeError("Unknown application provided. Expected one of L8.APPLICATIONS, got " + application);
+    }
+
+    var parameters = new Buffer(1);
+    parameters[0] = application;
+
+    this.sendFrame(
+        this.buildFrame(SLCP.CMD.L8_APP_RUN, parameters),
+        true, true, fn
+    );
+};
+
+/**
+ * Set the operation mode of the L8.
+ *
+ * The `mode` is the numeric mode id as defined by the L8 firmware (0-255).
+ *
+ * @param {Number} mode
+ * @param {Function} fn
+ */
+L8.prototype.setMode = function(mode, fn) {
+    if (typeof mode !== "number" || mode < 0 || mode > 255 || mode % 1 !== 0) {
+        throw new RangeError("Invalid mode provided. Expected an integer between 0 and 255, got " + mode);
+    }
+
+    var parameters = new Buffer(1);
+    parameters[0] = mode;
+
+    this.sendFrame(
+        this.buildFrame(SLCP.CMD.L8_MODE_SET, parameters),
+        true, true, fn
+    );
+};
+
+/**
+ * Query the current operation mode of the L8.
+ *
+ * The numeric mode id is given to the callback.
+ *
+ * @param {Function} fn
+ */
+L8.prototype.getMode = function(fn) {
+    this.query_(SLCP.CMD.L8_MODE_QUERY, SLCP.CMD.L8_MODE_RESPONSE, Decoders.mode, fn);
+};
+
+/**
+ * Display a single character on the matrix of the L8.
+ *
+ * The `character` is supposed to be a single ascii character.
+ *
+ * Color is specified as object with the usual `r`, `g`, `b` properties ranging
+ * from 0-15.
+ *
+ * @param {String} character
+ * @param {Object} color
+ * @param {Function} fn
+ */
+L8.prototype.showCharacter = function(character, color, fn) {
+    if (typeof character !== "string" || character.length !== 1) {
+        throw new RangeError("Exactly one character expected, got " + character);
+    }
+
+    var parameters = Buffer.concat([
+        this.encodeRGBSingleColor(color),
+        new Buffer(character, "ascii")
+    ], 3 /*COLOR*/ + 1 /*CHARACTER*/);
+
+    this.sendFrame(
+        this.buildFrame(SLCP.CMD.L8_DISP_CHAR, parameters),
+        true, true, fn
+    );
+};
+
+/**
+ * Stop the currently running L8 application on the device.
+ *
+ * The L8 has certain predefined "Apps", which can be executed. This method
+ * stops the currently running application.
+ *
+ * @param {Function} fn
+ */
+L8.prototype.stopApplication = function(fn) {
+    this.sendFrame(
+        this.buildFrame(SLCP.CMD.L8_APP_STOP, null),
+        true, true, fn
+    );
+};
+
+/**
+ * Start the internal L8 application to scroll text across the device
+ *
+ * Once the scrolling has been started it needs to be stopped explicitly using
+ * {@link L8#stopApplication} or the convenience method {@link L8#clearScrollingText}
+ * Simply setting other colors to the LED matrix is not enough to cancel the
+ * scrolling text.
+ *
+ * The `text` is supposed to be an ascii encoded string
+ *
+ * Color is specified as object with the usual `r`, `g`, `b` properties ranging
+ * from 0-15.
+ *
+ * `speed` defines the scrolling speed. It is supposed to be one of "slow", "medium"
+ * or "fast".
+ *
+ * `loop` is a boolean value specifying if the animation is supposed to be looped,
+ * after it completed once. If it is set to `false` the scrolling application is
+ * exited after the first run through the text.
+ *
+ * This command is not acquitted by an L8 response. Instead the sent bytes are given to
+ * the callback
+ *
+ * @param {String} text
+ * @param {Object} color
+ * @param {String} speed
+ * @param {Boolean} loop
+ * @param {Function} fn
+ */
+L8.prototype.setScrollingText = function(text, color, speed, loop, fn) {
+    var parametersBuffer = new Buffer(1 /*LOOP*/ + 1 /*SPEED*/ + 3 /*COLOR*/ + text.length);
+
+    parametersBuffer[0] = (loop === true) ? 1 : 0;
+
+    switch(speed) {
+        case "slow":
+            parametersBuffer[1] = 3;
+        break;
+        case "medium":
+            parametersBuffer[1] = 2;
+        break;
+        case "fast":
+            parametersBuffer[1] = 0;
+        break;
+        default:
+            throw new RangeError("Invalid speed for scrolling text provided. Expected one of slow, medium or fast, got " + speed);
+    }
+
+    var colorBuffer = this.encodeRGBSingleColor(color);
+    colorBuffer.copy(parametersBuffer, 2);
+
+    var textBuffer = new Buffer(text, "ascii");
+    textBuffer.copy(parametersBuffer, 5);
+
+    this.sendFrame(
+        this.buildFrame(SLCP.CMD.L8_SET_TEXT, parametersBuffer),
+        false, true, fn
+    );
+};
+
+/**
+ * Convenience method to stop scrolling text from being displayed.
+ *
+ * The same behaviour is achievable by calling {@link L8#stopApplication} as the text
+ * scroller is an internal L8 application.
+ *
+ * @param {Function} fn
+ */
+L8.prototype.clearScrollingText = function(fn) {
+    this.stopApplication(fn);
+};
+
+/**
+ * Manually set the orientation of the L8
+ *
+ * The orientation setting determines in which way the pixel matrix is drawn.
+ *
+ * Valid orientations are:
+ *
+ * - up
+ * - down
+ * - left
+ * - right
+ * - auto
+ *
+ * The orientation denotes, which side of the L8 is facing upwards. While the side
+ * with the power on switch is considered the Top side, while the one with the usb
+ * port is the Bottom side.
+ *
+ * This command is not acquitted by an L8 response all cases. Instead the sent
+ * bytes are given to the callback in this situations.
+ *
+ * @param {String} orientation
+ * @param {Function} fn
+ */
+L8.prototype.setOrientation = function(orientation, fn) {
+    var parametersBuffer = new Buffer(1);
+
+    if (orientation === "auto") {
+        // Enable autoration an exit.
+        parametersBuffer[0] = 1;
+        this.sendFrame(
+            this.buildFrame(SLCP.CMD.L8_SET_AUTOROTATE, parametersBuffer),
+            {command: SLCP.CMD.OK, parameters: new Buffer("6a", "hex")}, true, fn
+        );
+    } else {
+        // Disable autoration and set orientation manually.
+        parametersBuffer[0] = 0;
+        this.sendFrame(
+            this.buildFrame(SLCP.CMD.L8_SET_AUTOROTATE, parametersBuffer),
+            {command: SLCP.CMD.OK, parameters: new Buffer("6a", "hex")}, true,
+            function(error, response) {
+                switch(orientation) {
+                    case "up":
+                        parametersBuffer[0] = 1;
+                        break;
+                    case "down":
+                        parametersBuffer[0] = 2;
+                        break;
+                    case "left":
+                        parametersBuffer[0] = 5;
+                        break;
+                    case "right":
+                        parametersBuffer[0] = 6;
+                        break;
+                    default:
+                        throw new RangeError("Unexpected orientation: " + orientation);
+                }
+
+                this.sendFrame(
+                    this.buildFrame(SLCP.CMD.L8_SET_ORIENTATION, parametersBuffer),
+                    false, true, fn
+                );
+            }.bind(this)
+        );
+    }
+};
+
+/**
+ * Store a single frame of an animation inside the L8
+ *
+ * On success the id of the stored frame will be returned to the given callback.
+ *
+ * @param {Array} matrix
+ * @param {Function} fn
+ * @private
+ */
+L8.prototype.storeAnimationFrame = function(matrix, fn) {
+    var parameters = new Buffer(128);
+
+    matrix.forEach(function(color, index) {
+        var encodedColor = this.encodeBGRMatrixColor(color);
+        encodedColor.copy(parameters, index*2);
+    }.bind(this));
+
+    this.sendFrame(
+        this.buildFrame(SLCP.CMD.L8_STORE_FRAME, parameters),
+        {command: SLCP.CMD.L8_STORE_FRAME_RESPONSE}, {command: SLCP.CMD.ERR, parameters: new Buffer("6a", "hex")}, fn
+    );
+};
+
+/**
+ * Create a new animation consisting of the given stored frames and duration
+ * information
+ *
+ * The frames are specified by frame ids, which need to have already been stored
+ * on the device.
+ * The duration is specified in millisecond values. As the L8 does only provide
+ * a timer resolution of tenth of seconds. Therefore the given frame durations
+ * will be rounded to this scale.
+ *
+ * @param {Array} frames
+ * @param {Array} durations
+ * @param {Function} fn
+ */
+L8.prototype.storeAnimation = function(frames, durations, fn) {
+    if (frames.length !== durations.length) {
+        throw new RangeError("Frames and durations array need to be of the same length. Each frame needs a duration");
+    }
+
+    var tenthOfASecondDurations = durations.map(function(duration) {
+        return Math.round(duration / 100);
+    });
+
+    var parameters = new Buffer(1 /*NUMBER_OF_FRAMES*/ + frames.length + durations.length);
+    parameters[0] = frames.length;
+    frames.forEach(function(frame, index) {
+        var duration = tenthOfASecondDurations[index];
+        parameters[index*2+1] = frame;
+        parameters[index*2+2] = duration;
+    });
+
+    this.sendFrame(
+        this.buildFrame(SLCP.CMD.L8_STORE_ANIM, parameters),
+        {command: SLCP.CMD.L8_STORE_ANIM_RESPONSE}, true, fn
+    );
+};
+
+/**
+ * Store an animation sequence on the L8 and prepare it for execution.
+ *
+ * Animation sequences are defined as an array of matrices, which represent the
+ * animation frames, as well as an array of duration values in milliseconds of
+ * corresponding length, which represent the duration each of the frames is
+ * displayed.
+ *
+ * The L8 does only provide a timer resolution of tenth of seconds. Therefore
+ * the given frame durations will be rounded to this scale.
+ *
+ * On success an {@link Animation} handle is given to the callback, which allows
+ * to play, stop and delete the stored animation.
+ *
+ * @param {Array} matrices
+ * @param {Array} durations
+ * @param {Function} fn
+ */
+L8.prototype.prepareAnimation = function(matrices, durations, fn) {
+    if (matrices.length !== durations.length) {
+        throw new RangeError("Matrices and durations array need to be of the same length. Each frame needs a duration");
     }
 
-    var colorBuffer = new Buffer(3);
-    colorBuffer[0] = color.b;
-    colorBuffer[1] = color.g;
-    colorBuffer[2] = color.r;
+    async.mapSeries(matrices, function(matrix, next) {
+        this.storeAnimationFrame(matrix, next);
+    }.bind(this), function(error, responses) {
+        if (error) {
+            return fn(error, false);
+        }
 
-    return colorBuffer;
+        var frameIndices = responses.map(function(response) {
+            return response.parameters[0];
+        });
+        this.storeAnimation(frameIndices, durations, function(error, response) {
+            if (error) {
+                return fn(error, false);
+            }
+
+            var storedDurations = durations.map(function(duration) {
+                return Math.round(duration / 100) * 100;
+            });
+            fn(error, new Animation(this, response.parameters[0], frameIndices, storedDurations));
+        }.bind(this));
+    }.bind(this));
 };
 
 /**
- * Encode a color object to the RGB bytesequence accepted by the L8 as a single color (3-byte)
- *
- * This color is for example used by the text scroller application
- *
- * The color needs to be represented as object with `r`, `g` and `b` properties.
+ * Read a stored animation frame back from the L8.
  *
- * The color values need to be within the limits [0,15]. Where 0 represents the lightest
- * and 15 the highest value.
+ * The matrix given to the callback has the same format as the one accepted by
+ * {@link L8#setMatrix}.
  *
- * @param {Object} color
- * @returns {Buffer}
+ * @param {Number} frameId
+ * @param {Function} fn
  */
-L8.prototype.encodeRGBSingleColor = function(color) {
-    if (color.r === undefined || color.r < 0 || color.r > 15
-        || color.g === undefined || color.g < 0 || color.g > 15
-        || color.b === undefined || color.b < 0 || color.b > 15) {
-        throw new RangeError("Invalid color definition provided: " + JSON.stringify(color));
-    }
+L8.prototype.readFrame = function(frameId, fn) {
+    this.validateStorageId_(frameId);
 
-    var colorBuffer = new Buffer(3);
-    colorBuffer[0] = color.r;
-    colorBuffer[1] = color.g;
-    colorBuffer[2] = color.b;
+    var parameters = new Buffer(1);
+    parameters[0] = frameId;
 
-    return colorBuffer;
+    this.sendFrame(
+        this.buildFrame(SLCP.CMD.L8_READ_FRAME, parameters),
+        {command: SLCP.CMD.L8_READ_FRAME_RESPONSE}, true,
+        function(error, response) {
+            if (error) {
+                fn(error, false);
+                return;
+            }
+
+            fn(error, Decoders.matrix(response.parameters));
+        }
+    );
 };
 
 /**
- * Encode a color object to the BGR bytesequence accepted by the L8 as a matrix color (2-byte)
- *
- * The color needs to be represented as object with `r`, `g` and `b` properties.
+ * Delete a stored animation frame from the User Memory of the L8.
  *
- * The color values need to be within the limits [0,15]. Where 0 represents the lightest
- * and 15 the highest value.
+ * Frames still used by an animation should not be deleted before the
+ * animation itself.
  *
- * @param {Object} color
- * @returns {Buffer}
+ * @param {Number} frameId
+ * @param {Function} fn
  */
-L8.prototype.encodeBGRMatrixColor = function(color) {
-    if (color.r === undefined || color.r < 0 || color.r > 15
-        || color.g === undefined || color.g < 0 || color.g > 15
-        || color.b === undefined || color.b < 0 || color.b > 15) {
-        throw new RangeError("Invalid color definiiton provided: " + JSON.stringify(color));
-    }
+L8.prototype.deleteFrame = function(frameId, fn) {
+    this.validateStorageId_(frameId);
 
-    var colorBuffer = new Buffer(2);
-    colorBuffer[0] = color.b;
-    colorBuffer[1] = color.g << 4 | color.r;
+    var parameters = new Buffer(1);
+    parameters[0] = frameId;
 
-    return colorBuffer;
+    this.sendFrame(
+        this.buildFrame(SLCP.CMD.L8_DELETE_FRAME, parameters),
+        true, true, fn
+    );
 };
 
 /**
- * Set a specific LED inside the 8x8 L8 grid to a given color
+ * Read the definition of a stored animation back from the L8.
  *
- * The color needs to be represented as object with `r`, `g` and `b` properties.
+ * The data given to the callback is an object of the following form:
  *
- * The color values need to be within the limits [0,15]. Where 0 represents the lightest
- * and 15 the highest value.
+ * ```
+ *  {
+ *      frames: Number[], // ids of the stored frames
+ *      durations: Number[] // milliseconds
+ *  }
+ * ```
  *
- * @param {Number} x
- * @param {Number} y
- * @param {Object} color
+ * @param {Number} animationId
  * @param {Function} fn
  */
-L8.prototype.setLED = function(x, y, color, fn) {
-    if (x < 0 || x > 7 || y < 0 || y > 7) {
-        throw new RangeError("x and y led coordinates are out of bounds: (" + x + " x " + y + ")");
-    }
-
-    var coordinateBuffer = new Buffer(2);
-    coordinateBuffer[0] = y;
-    coordinateBuffer[1] = x;
+L8.prototype.readAnimation = function(animationId, fn) {
+    this.validateStorageId_(animationId);
 
-    var parametersBuffer = Buffer.concat([
-        coordinateBuffer,
-        this.encodeBGRSingleColor(color)
-    ], 2 + 4);
+    var parameters = new Buffer(1);
+    parameters[0] = animationId;
 
     this.sendFrame(
-        this.buildFrame(SLCP.CMD.L8_LED_SET, parametersBuffer),
-        true, true, fn
+        this.buildFrame(SLCP.CMD.L8_READ_ANIM, parameters),
+        {command: SLCP.CMD.L8_READ_ANIM_RESPONSE}, true,
+        function(error, response) {
+            if (error) {
+                fn(error, false);
+                return;
+            }
+
+            fn(error, Decoders.animation(response.parameters));
+        }
     );
 };
 
 /**
- * Convenience function to switch of a single LED in the matrix.
+ * Delete a stored animation from the User Memory of the L8.
  *
- * The same behaviour is archivable by setting all color components of the LED
- * to 0.
+ * The frames used by the animation are not deleted. Use {@link L8#deleteFrame}
+ * or {@link Animation#delete} to remove them as well.
  *
- * @param {Number} x
- * @param {Number} y
+ * @param {Number} animationId
  * @param {Function} fn
  */
-L8.prototype.clearLED = function(x, y, fn) {
-    this.setLED(x, y, {r: 0, g: 0, b: 0}, fn);
+L8.prototype.deleteAnimation = function(animationId, fn) {
+    this.validateStorageId_(animationId);
+
+    var parameters = new Buffer(1);
+    parameters[0] = animationId;
+
+    this.sendFrame(
+        this.buildFrame(SLCP.CMD.L8_DELETE_ANIM, parameters),
+        true, true, fn
+    );
 };
 
 /**
- * Set the complete matrix of LEDs with one command
- *
- * This method should be used if you want display an "image" of sorts
+ * Register a new notification app on the L8.
  *
- * The provided matrix needs to be a 64 elements long array of color objects.
- *
- * Each of the color objects needs to provide an `r`, `g` and `b` property.
+ * Notification apps define how the L8 displays a notification issued using
+ * {@link L8#showNotification}. Each app consists of a `name`, an icon `matrix`
+ * in the format accepted by {@link L8#setMatrix} as well as the `color` the
+ * Super LED lights up in.
  *
- * The color values need to be within the limits [0,15]. Where 0 represents the
- * lightest and 15 the highest value.
+ * The `name` is supposed to be an ascii encoded string of at most 121
+ * characters. Disabled apps (`enabled` set to `false`) are stored, but their
+ * notifications are not displayed.
  *
- * The matrix is provided line by line. Starting in the upper left corner, while
- * ending in the lower right.
+ * On success the id of the registered app will be given to the callback.
  *
+ * @param {String} name
  * @param {Array} matrix
- * @param fn
+ * @param {Object} color
+ * @param {Boolean} enabled
+ * @param {Function} fn
  */
-L8.prototype.setMatrix = function(matrix, fn) {
-    if (matrix.length != 64) {
-        throw new RangeError("Given matrix has the wrong length. Expected 64, got " + matrix.length);
+L8.prototype.storeNotificationApp = function(name, matrix, color, enabled, fn) {
+    if (name.length > 121) {
+        throw new RangeError("Notification app name is too long. Expected at most 121 characters, got " + name.length);
     }
 
-    var parametersBuffer = Buffer.concat(
-        matrix.map(this.encodeBGRMatrixColor.bind(this)),
-        8 /*LINES*/ * 8 /*COLUMNS*/ * 2 /*COLOR_LENGTH*/
-    );
+    var enabledBuffer = new Buffer(1);
+    enabledBuffer[0] = (enabled === true) ? 1 : 0;
+
+    var parameters = Buffer.concat([
+        enabledBuffer,
+        this.encodeBGRSingleColor(color),
+        this.encodeBGRMatrix(matrix),
+        new Buffer(name, "ascii")
+    ]);
 
     this.sendFrame(
-        this.buildFrame(SLCP.CMD.L8_MATRIX_SET, parametersBuffer),
-        true, true, fn
+        this.buildFrame(SLCP.CMD.L8_NOTIFAPP_STORE, parameters),
+        true, true,
+        function(error, response) {
+            if (error) {
+                fn(error, false);
+                return;
+            }
+
+            fn(error, response.parameters[1]);
+        }
     );
 };
 
 /**
- * Clear the matrix by switching off all its LEDs
- *
- * It is not necessary to execute this command between different `setMatrix` calls
- * Only use it if you explicitly want to turn the matrix off.
+ * Query the number of notification apps registered on the L8.
  *
- * This command does not affect the Super LED, which needs to be controlled
- * separately.
- *
- * @param fn
+ * @param {Function} fn
  */
-L8.prototype.clearMatrix = function(fn) {
-    /* According to the documentation of the protocol the CMD_L8_MATRIX_OFF has no
-       parameters. Unfortunately this doesn't seem to be true. A zero byte is needed
-       as parameter in order for the command to be accepted */
-    this.sendFrame(
-        this.buildFrame(SLCP.CMD.L8_MATRIX_OFF, "00"),
-        true, true, fn
-    );
+L8.prototype.getNotificationAppCount = function(fn) {
+    this.query_(SLCP.CMD.L8_NOTIFAPPS_NUM_QUERY, SLCP.CMD.L8_NOTIFAPPS_NUM_RESPONSE, Decoders.count, fn);
 };
 
 /**
- * Set the SuperLED on the back of the L8 to the given color.
+ * Query a registered notification app by its index.
  *
- * The color needs to be represented as object with `r`, `g` and `b` properties.
+ * The `index` ranges from `0` to the number of registered apps as reported by
+ * {@link L8#getNotificationAppCount}. The data given to the callback is an
+ * object of the following form:
  *
- * The color values need to be within the limits [0,15]. Where 0 represents the lightest
- * and 15 the highest value.
+ * ```
+ *  {
+ *      id: Number,
+ *      name: String,
+ *      matrix: Array,
+ *      color: Object,
+ *      enabled: Boolean
+ *  }
+ * ```
  *
- * @param {Object} color
+ * @param {Number} index
  * @param {Function} fn
  */
-L8.prototype.setSuperLED = function(color, fn) {
+L8.prototype.getNotificationApp = function(index, fn) {
+    this.validateStorageId_(index);
+
+    var parameters = new Buffer(1);
+    parameters[0] = index;
+
     this.sendFrame(
-        this.buildFrame(SLCP.CMD.L8_SUPERLED_SET, this.encodeBGRSingleColor(color)),
-        true, true, fn
+        this.buildFrame(SLCP.CMD.L8_NOTIFAPP_QUERY, parameters),
+        {command: SLCP.CMD.L8_NOTIFAPP_RESPONSE}, true,
+        function(error, response) {
+            if (error) {
+                fn(error, false);
+                return;
+            }
+
+            fn(error, Decoders.notificationApp(response.parameters));
+        }
     );
 };
 
 /**
- * Convenience function to switch off the SuperLED.
+ * List all notification apps registered on the L8.
  *
- * The same effect may be created by setting all color components of the LED to 0
+ * An array of notification app objects, as described by
+ * {@link L8#getNotificationApp}, is given to the callback.
  *
  * @param {Function} fn
  */
-L8.prototype.clearSuperLED = function(fn) {
-    this.setSuperLED({r:0, g: 0, b: 0}, fn);
+L8.prototype.getNotificationApps = function(fn) {
+    this.getNotificationAppCount(function(error, count) {
+        if (error) {
+            fn(error, false);
+            return;
+        }
+
+        var indices = [];
+        for (var index = 0; index < count; index++) {
+            indices.push(index);
+        }
+
+        async.mapSeries(indices, function(index, next) {
+            this.getNotificationApp(index, next);
+        }.bind(this), function(error, apps) {
+            if (error) {
+                fn(error, false);
+                return;
+            }
+
+            fn(false, apps);
+        });
+    }.bind(this));
 };
 
 /**
- * Stop the currently running L8 application on the device.
- *
- * The L8 has certain predefined "Apps", which can be executed. This method
- * stops the currently running application.
+ * Enable or disable a registered notification app.
  *
+ * @param {Number} appId
+ * @param {Boolean} enabled
  * @param {Function} fn
  */
-L8.prototype.stopApplication = function(fn) {
+L8.prototype.enableNotificationApp = function(appId, enabled, fn) {
+    this.validateStorageId_(appId);
+
+    var parameters = new Buffer(2);
+    parameters[0] = appId;
+    parameters[1] = (enabled === true) ? 1 : 0;
+
     this.sendFrame(
-        this.buildFrame(SLCP.CMD.L8_APP_STOP, null),
+        this.buildFrame(SLCP.CMD.L8_NOTIFAPP_ENABLE, parameters),
         true, true, fn
     );
 };
 
 /**
- * Start the internal L8 application to scroll text across the device
- *
- * Once the scrolling has been started it needs to be stopped explicitly using
- * {@link L8#stopApplication} or the convenience method {@link L8#clearScrollingText}
- * Simply setting other colors to the LED matrix is not enough to cancel the
- * scrolling text.
- *
- * The `text` is supposed to be an ascii encoded string
- *
- * Color is specified as object with the usual `r`, `g`, `b` properties ranging
- * from 0-15.
- *
- * `speed` defines the scrolling speed. It is supposed to be one of "slow", "medium"
- * or "fast".
- *
- * `loop` is a boolean value specifying if the animation is supposed to be looped,
- * after it completed once. If it is set to `false` the scrolling application is
- * exited after the first run through the text.
- *
- * This command is not acquitted by an L8 response. Instead the sent bytes are given to
- * the callback
+ * Enable or disable all registered notification apps at once.
  *
- * @param {String} text
- * @param {Object} color
- * @param {String} speed
- * @param {Boolean} loop
+ * @param {Boolean} enabled
  * @param {Function} fn
  */
-L8.prototype.setScrollingText = function(text, color, speed, loop, fn) {
-    var parametersBuffer = new Buffer(1 /*LOOP*/ + 1 /*SPEED*/ + 3 /*COLOR*/ + text.length);
-
-    parametersBuffer[0] = (loop === true) ? 1 : 0;
-
-    switch(speed) {
-        case "slow":
-            parametersBuffer[1] = 3;
-        break;
-        case "medium":
-            parametersBuffer[1] = 2;
-        break;
-        case "fast":
-            parametersBuffer[1] = 0;
-        break;
-        default:
-            throw new RangeError("Invalid speed for scrolling text provided. Expected one of slow, medium or fast, got " + speed);
-    }
+L8.prototype.enableAllNotificationApps = function(enabled, fn) {
+    var parameters = new Buffer(1);
+    parameters[0] = (enabled === true) ? 1 : 0;
 
-    var colorBuffer = this.encodeRGBSingleColor(color);
-    colorBuffer.copy(parametersBuffer, 2);
+    this.sendFrame(
+        this.buildFrame(SLCP.CMD.L8_NOTIFAPPS_ENABLE_ALL, parameters),
+        true, true, fn
+    );
+};
 
-    var textBuffer = new Buffer(text, "ascii");
-    textBuffer.copy(parametersBuffer, 5);
+/**
+ * Delete a registered notification app from the L8.
+ *
+ * @param {Number} appId
+ * @param {Function} fn
+ */
+L8.prototype.deleteNotificationApp = function(appId, fn) {
+    this.validateStorageId_(appId);
+
+    var parameters = new Buffer(1);
+    parameters[0] = appId;
 
     this.sendFrame(
-        this.buildFrame(SLCP.CMD.L8_SET_TEXT, parametersBuffer),
-        false, true, fn
+        this.buildFrame(SLCP.CMD.L8_NOTIFAPP_DELETE, parameters),
+        true, true, fn
     );
 };
 
 /**
- * Convenience method to stop scrolling text from being displayed.
+ * Trigger a notification of the given notification app.
  *
- * The same behaviour is achievable by calling {@link L8#stopApplication} as the text
- * scroller is an internal L8 application.
+ * The L8 displays the icon and Super LED color registered for the app, unless
+ * the app is disabled or notifications are silenced.
  *
+ * @param {Number} appId
  * @param {Function} fn
  */
-L8.prototype.clearScrollingText = function(fn) {
-    this.stopApplication(fn);
+L8.prototype.showNotification = function(appId, fn) {
+    this.validateStorageId_(appId);
+
+    var parameters = new Buffer(1);
+    parameters[0] = appId;
+
+    this.sendFrame(
+        this.buildFrame(SLCP.CMD.L8_SET_NOTIFICATION, parameters),
+        true, true, fn
+    );
 };
 
 /**
- * Manually set the orientation of the L8
- *
- * The orientation setting determines in which way the pixel matrix is drawn.
- *
- * Valid orientations are:
+ * Silence or unsilence all notifications on the L8.
  *
- * - up
- * - down
- * - left
- * - right
- * - auto
+ * @param {Boolean} silenced
+ * @param {Function} fn
+ */
+L8.prototype.setNotificationsSilenced = function(silenced, fn) {
+    var parameters = new Buffer(1);
+    parameters[0] = (silenced === true) ? 1 : 0;
+
+    this.sendFrame(
+        this.buildFrame(SLCP.CMD.L8_NOTIFAPPS_SILENCE, parameters),
+        true, true, fn
+    );
+};
+
+/**
+ * Query whether notifications are currently silenced on the L8.
  *
- * The orientation denotes, which side of the L8 is facing upwards. While the side
- * with the power on switch is considered the Top side, while the one with the usb
- * port is the Bottom side.
+ * @param {Function} fn
+ */
+L8.prototype.getNotificationsSilenced = function(fn) {
+    this.query_(SLCP.CMD.L8_NOTIFAPPS_SILENCE_QUERY, SLCP.CMD.L8_NOTIFAPPS_SILENCE_RESPONSE, Decoders.flag, fn);
+};
+
+/**
+ * Validate a range inside the flash memory of the L8
  *
- * This command is not acquitted by an L8 response all cases. Instead the sent
- * bytes are given to the callback in this situations.
+ * If the range is invalid an exception will be thrown.
  *
- * @param {String} orientation
- * @param {Function} fn
+ * @param {Number} address
+ * @param {Number} length
+ * @private
  */
-L8.prototype.setOrientation = function(orientation, fn) {
-    var parametersBuffer = new Buffer(1);
+L8.prototype.validateFlashRange_ = function(address, length) {
+    if (typeof address !== "number" || address < 0 || address % 1 !== 0) {
+        throw new RangeError("Invalid flash address provided. Expected a positive integer, got " + address);
+    }
 
-    if (orientation === "auto") {
-        // Enable autoration an exit.
-        parametersBuffer[0] = 1;
-        this.sendFrame(
-            this.buildFrame(SLCP.CMD.L8_SET_AUTOROTATE, parametersBuffer),
-            {command: SLCP.CMD.OK, parameters: new Buffer("6a", "hex")}, true, fn
-        );
-    } else {
-        // Disable autoration and set orientation manually.
-        parametersBuffer[0] = 0;
-        this.sendFrame(
-            this.buildFrame(SLCP.CMD.L8_SET_AUTOROTATE, parametersBuffer),
-            {command: SLCP.CMD.OK, parameters: new Buffer("6a", "hex")}, true,
-            function(error, response) {
-                switch(orientation) {
-                    case "up":
-                        parametersBuffer[0] = 1;
-                        break;
-                    case "down":
-                        parametersBuffer[0] = 2;
-                        break;
-                    case "left":
-                        parametersBuffer[0] = 5;
-                        break;
-                    case "right":
-                        parametersBuffer[0] = 6;
-                        break;
-                    default:
-                        throw new RangeError("Unexpected orientation: " + orientation);
-                }
+    if (typeof length !== "number" || length < 0 || length % 1 !== 0) {
+        throw new RangeError("Invalid flash length provided. Expected a positive integer, got " + length);
+    }
 
-                this.sendFrame(
-                    this.buildFrame(SLCP.CMD.L8_SET_ORIENTATION, parametersBuffer),
-                    false, true, fn
-                );
-            }.bind(this)
-        );
+    if (address + length > 0xFFFFFFFF) {
+        throw new RangeError("Flash range exceeds the addressable memory: " + address + " + " + length);
     }
 };
 
 /**
- * Store a single frame of an animation inside the L8
- *
- * On success the id of the stored frame will be returned to the given callback.
+ * Split a range of the flash memory into chunks of the given maximal size
  *
- * @param {Array} matrix
- * @param {Function} fn
+ * @param {Number} address
+ * @param {Number} length
+ * @param {Number} chunkSize
+ * @returns {{address: Number, offset: Number, length: Number}[]}
  * @private
  */
-L8.prototype.storeAnimationFrame = function(matrix, fn) {
-    var parameters = new Buffer(128);
-
-    matrix.forEach(function(color, index) {
-        var encodedColor = this.encodeBGRMatrixColor(color);
-        encodedColor.copy(parameters, index*2);
-    }.bind(this));
+L8.prototype.splitFlashRange_ = function(address, length, chunkSize) {
+    var chunks = [];
+    var offset;
+
+    for (offset = 0; offset < length; offset += chunkSize) {
+        chunks.push({
+            address: address + offset,
+            offset: offset,
+            length: Math.min(chunkSize, length - offset)
+        });
+    }
 
-    this.sendFrame(
-        this.buildFrame(SLCP.CMD.L8_STORE_FRAME, parameters),
-        {command: SLCP.CMD.L8_STORE_FRAME_RESPONSE}, {command: SLCP.CMD.ERR, parameters: new Buffer("6a", "hex")}, fn
-    );
+    return chunks;
 };
 
 /**
- * Create a new animation consisting of the given stored frames and duration
- * information
+ * Read a range of the flash memory of the L8.
  *
- * The frames are specified by frame ids, which need to have already been stored
- * on the device.
- * The duration is specified in millisecond values. As the L8 does only provide
- * a timer resolution of tenth of seconds. Therefore the given frame durations
- * will be rounded to this scale.
+ * Ranges exceeding {@link L8.FLASH_READ_CHUNK_SIZE} are automatically read
+ * using multiple commands. The read data is given to the callback as Buffer.
  *
- * @param {Array} frames
- * @param {Array} durations
+ * @param {Number} address
+ * @param {Number} length
  * @param {Function} fn
  */
-L8.prototype.storeAnimation = function(frames, durations, fn) {
-    if (frames.length !== durations.length) {
-        throw new RangeError("Frames and durations array need to be of the same length. Each frame needs a duration");
-    }
+L8.prototype.readFlash = function(address, length, fn) {
+    this.validateFlashRange_(address, length);
 
-    var tenthOfASecondDurations = durations.map(function(duration) {
-        return Math.round(duration / 100);
-    });
+    var chunks = this.splitFlashRange_(address, length, L8.FLASH_READ_CHUNK_SIZE);
 
-    var parameters = new Buffer(1 /*NUMBER_OF_FRAMES*/ + frames.length + durations.length);
-    parameters[0] = frames.length;
-    frames.forEach(function(frame, index) {
-        var duration = tenthOfASecondDurations[index];
-        parameters[index*2+1] = frame;
-        parameters[index*2+2] = duration;
-    });
+    async.mapSeries(chunks, function(chunk, next) {
+        var parameters = new Buffer(5);
+        parameters.writeUInt32BE(chunk.address, 0);
+        parameters[4] = chunk.length;
 
-    this.sendFrame(
-        this.buildFrame(SLCP.CMD.L8_STORE_ANIM, parameters),
-        {command: SLCP.CMD.L8_STORE_ANIM_RESPONSE}, true, fn
-    );
+        this.sendFrame(
+            this.buildFrame(SLCP.CMD.FLASH_READ, parameters),
+            true, true,
+            function(error, response) {
+                if (error) {
+                    next(error, false);
+                    return;
+                }
+
+                next(error, response.parameters.slice(1));
+            }
+        );
+    }.bind(this), function(error, buffers) {
+        if (error) {
+            fn(error, false);
+            return;
+        }
+
+        fn(false, Buffer.concat(buffers, length));
+    });
 };
 
 /**
- * Store an animation sequence on the L8 and prepare it for execution.
- *
- * Animation sequences are defined as an array of matrices, which represent the
- * animation frames, as well as an array of duration values in milliseconds of
- * corresponding length, which represent the duration each of the frames is
- * displayed.
+ * Write the given buffer to the flash memory of the L8.
  *
- * The L8 does only provide a timer resolution of tenth of seconds. Therefore
- * the given frame durations will be rounded to this scale.
+ * Buffers exceeding {@link L8.FLASH_WRITE_CHUNK_SIZE} are automatically
+ * written using multiple commands. Once everything has been written the range
+ * is read back in order to verify its contents. If they do not match an
+ * {@link L8Error} is given to the callback.
  *
- * @param {Array} matrices
- * @param {Array} durations
+ * @param {Number} address
+ * @param {Buffer} buffer
  * @param {Function} fn
  */
-L8.prototype.prepareAnimation = function(matrices, durations, fn) {
-    if (matrices.length !== durations.length) {
-        throw new RangeError("Matrices and durations array need to be of the same length. Each frame needs a duration");
-    }
+L8.prototype.writeFlash = function(address, buffer, fn) {
+    this.validateFlashRange_(address, buffer.length);
 
-    async.mapSeries(matrices, function(matrix, next) {
-        this.storeAnimationFrame(matrix, next);
-    }.bind(this), function(error, responses) {
+    var chunks = this.splitFlashRange_(address, buffer.length, L8.FLASH_WRITE_CHUNK_SIZE);
+
+    async.eachSeries(chunks, function(chunk, next) {
+        var addressBuffer = new Buffer(4);
+        addressBuffer.writeUInt32BE(chunk.address, 0);
+
+        this.sendFrame(
+            this.buildFrame(SLCP.CMD.FLASH_WRITE, Buffer.concat([
+                addressBuffer,
+                buffer.slice(chunk.offset, chunk.offset + chunk.length)
+            ])),
+            true, true, next
+        );
+    }.bind(this), function(error) {
         if (error) {
-            return fn(error, false);
+            fn(error, false);
+            return;
         }
 
-        var frameIndices = responses.map(function(response) {
-            return response.parameters[0];
+        this.readFlash(address, buffer.length, function(error, written) {
+            if (error) {
+                fn(error, false);
+                return;
+            }
+
+            if (written.toString("hex") !== buffer.toString("hex")) {
+                fn(new L8Error("Flash verification failed. The data read back from address " + address + " does not match the written data"), false);
+                return;
+            }
+
+            fn(error, true);
         });
-        this.storeAnimation(frameIndices, durations, fn);
     }.bind(this));
 };
 
@@ -1023,6 +3230,113 @@ L8.prototype.clearUserMemory = function(fn) {
     );
 };
 
+/**
+ * Validate a numeric id of an item stored inside the L8s User Memory
+ *
+ * If the id is invalid an exception will be thrown.
+ *
+ * @param {Number} id
+ * @private
+ */
+L8.prototype.validateStorageId_ = function(id) {
+    if (typeof id !== "number" || id < 0 || id > 255 || id % 1 !== 0) {
+        throw new RangeError("Invalid storage id provided. Expected an integer between 0 and 255, got " + id);
+    }
+};
+
+/**
+ * Store the given matrix as L8Y inside the User Memory of the L8.
+ *
+ * L8Ys are images stored on the device, which may be displayed later on using
+ * {@link L8#showL8y} without transmitting the whole matrix again.
+ *
+ * The matrix has the same format as the one accepted by {@link L8#setMatrix}.
+ *
+ * On success the id of the stored L8Y will be given to the callback.
+ *
+ * @param {Array} matrix
+ * @param {Function} fn
+ */
+L8.prototype.storeL8y = function(matrix, fn) {
+    this.sendFrame(
+        this.buildFrame(SLCP.CMD.L8_STORE_L8Y, this.encodeBGRMatrix(matrix)),
+        {command: SLCP.CMD.L8_STORE_L8Y_RESPONSE}, true,
+        function(error, response) {
+            if (error) {
+                fn(error, false);
+                return;
+            }
+
+            fn(error, response.parameters[0]);
+        }
+    );
+};
+
+/**
+ * Read a stored L8Y back from the L8.
+ *
+ * The matrix given to the callback has the same format as the one accepted by
+ * {@link L8#setMatrix}.
+ *
+ * @param {Number} l8yId
+ * @param {Function} fn
+ */
+L8.prototype.readL8y = function(l8yId, fn) {
+    this.validateStorageId_(l8yId);
+
+    var parameters = new Buffer(1);
+    parameters[0] = l8yId;
+
+    this.sendFrame(
+        this.buildFrame(SLCP.CMD.L8_READ_L8Y, parameters),
+        {command: SLCP.CMD.L8_READ_L8Y_RESPONSE}, true,
+        function(error, response) {
+            if (error) {
+                fn(error, false);
+                return;
+            }
+
+            fn(error, Decoders.matrix(response.parameters));
+        }
+    );
+};
+
+/**
+ * Display a stored L8Y on the matrix of the L8.
+ *
+ * @param {Number} l8yId
+ * @param {Function} fn
+ */
+L8.prototype.showL8y = function(l8yId, fn) {
+    this.validateStorageId_(l8yId);
+
+    var parameters = new Buffer(1);
+    parameters[0] = l8yId;
+
+    this.sendFrame(
+        this.buildFrame(SLCP.CMD.L8_SET_STORED_L8Y, parameters),
+        true, true, fn
+    );
+};
+
+/**
+ * Delete a stored L8Y from the User Memory of the L8.
+ *
+ * @param {Number} l8yId
+ * @param {Function} fn
+ */
+L8.prototype.deleteL8y = function(l8yId, fn) {
+    this.validateStorageId_(l8yId);
+
+    var parameters = new Buffer(1);
+    parameters[0] = l8yId;
+
+    this.sendFrame(
+        this.buildFrame(SLCP.CMD.L8_DELETE_L8Y, parameters),
+        true, true, fn
+    );
+};
+
 /**
  * Play an animation stored on the L8.
  *
@@ -1050,4 +3364,16 @@ L8.prototype.playAnimation = function(animationId, loop, fn) {
     );
 };
 
+/**
+ * Stop the animation currently playing on the L8.
+ *
+ * @param {Function} fn
+ */
+L8.prototype.stopAnimation = function(fn) {
+    this.sendFrame(
+        this.buildFrame(SLCP.CMD.L8_STOP_ANIM),
+        true, true, fn
+    );
+};
+
 exports.L8 = L8;
\ No newline at end of file
@@ -0,0 +1,965 @@
+var util = require("util");
+
+var SLCP = require("./SLCP");
+var Decoders = require("./Decoders");
+var Collection = require("./Collection");
+var FrameParser = require("./FrameParser").FrameParser;
+var Transport = require("./Transport").Transport;
+
+/**
+ * Numeric orientation codes used by the L8 firmware
+ *
+ * @type {Object.<String, Number>}
+ * @private
+ */
+var ORIENTATION_CODES = {
+    up: 1,
+    down: 2,
+    left: 5,
+    right: 6
+};
+
+/**
+ * Check whether the given value is a plain object, which is merged key by key
+ *
+ * @param {*} value
+ * @returns {boolean}
+ * @private
+ */
+var isPlainObject_ = function(value) {
+    return (
+        value !== null &&
+        typeof value === "object" &&
+        !Array.isArray(value) &&
+        !Buffer.isBuffer(value)
+    );
+};
+
+/**
+ * Merge the given options into the state of the emulator
+ *
+ * Nested objects are merged recursively. Therefore only the values to be
+ * changed need to be given, eg. `{sensors: {voltage: 3600}}`. All other values
+ * are replaced as a whole.
+ *
+ * @param {Object} state
+ * @param {Object} options
+ * @returns {Object}
+ * @private
+ */
+var mergeState_ = function(state, options) {
+    Collection.forEach(options, function(value, key) {
+        if (isPlainObject_(value) && isPlainObject_(state[key])) {
+            mergeState_(state[key], value);
+        } else {
+            state[key] = value;
+        }
+    });
+
+    return state;
+};
+
+/**
+ * In-process emulation of an L8 Smartlight speaking SLCP.
+ *
+ * The emulator is a {@link Transport}. Therefore it can be handed to an
+ * {@link L8} instead of a serial port. Every frame written to it is decoded
+ * and answered the same way a real L8 would, including CMD_ERR responses for
+ * unknown commands or invalid parameters.
+ *
+ * All emulated device state is available through the public `state` property.
+ * It may be inspected in order to verify the effects of commands, or modified
+ * in order to fake sensor readings or button presses. Initial values may be
+ * provided as `options`, which are merged into the default state. Nested
+ * objects like `sensors` or `thresholds` only need to contain the values to be
+ * changed.
+ *
+ * @example ```
+ *  var emulator = new L8Emulator({button: true});
+ *  var l8 = new L8(emulator);
+ *
+ *  l8.open().then(function() {
+ *      return l8.setSuperLED({r: 15, g: 0, b: 0});
+ *  }).then(function() {
+ *      console.log(emulator.state.superLED); // {r: 15, g: 0, b: 0}
+ *  });
+ * ```
+ *
+ * @param {Object} [options]
+ *
+ * @fires L8Emulator#command
+ *
+ * @constructor
+ * @extends Transport
+ */
+var L8Emulator = function(options) {
+    Transport.call(this);
+
+    /**
+     * Complete state of the emulated device
+     *
+     * @type {Object}
+     */
+    this.state = mergeState_(L8Emulator.createDefaultState(), options || {});
+
+    /**
+     * Indicator whether the emulated connection is open
+     *
+     * @type {boolean}
+     */
+    this.isOpen = false;
+
+    /**
+     * Parser for all received frames. Invalid data is dropped silently, like
+     * the L8 does.
+     *
+     * @type {FrameParser}
+     * @private
+     */
+    this.parser_ = new FrameParser();
+    this.parser_.on("frames", function(frames) {
+        frames.forEach(this.handleFrame_.bind(this));
+    }.bind(this));
+};
+util.inherits(L8Emulator, Transport);
+
+/**
+ * Create the state of a freshly started L8
+ *
+ * @returns {Object}
+ * @static
+ */
+L8Emulator.createDefaultState = function() {
+    var flash = new Buffer(64 * 1024);
+    flash.fill(0xFF);
+
+    var matrix = new Buffer(128);
+    matrix.fill(0);
+
+    return {
+        uid: "4c38454d554c41544f520001",
+        versions: [1, 0, 0, 1, 0, 1, 0, 1, 0, 0],
+        totalMemory: 16 * 1024,
+        matrix: matrix,
+        superLED: {r: 0, g: 0, b: 0},
+        orientation: "up",
+        autoRotate: false,
+        application: null,
+        text: null,
+        character: null,
+        animation: null,
+        notification: null,
+        mode: 0,
+        statusLeds: true,
+        lowBrightness: false,
+        l8ys: {},
+        frames: {},
+        animations: {},
+        notificationApps: {},
+        notificationsSilenced: false,
+        sensors: {
+            voltage: 4100,
+            batteryPercentage: 95,
+            temperature: 23.5,
+            mcuTemperature: 31.2,
+            ambient: 2048,
+            ambientPercentage: 50,
+            proximity: 120,
+            proximityPercentage: 3,
+            mic: 40,
+            vbus: 5000,
+            batteryCharge: 1
+        },
+        acceleration: {x: 0, y: 0, z: 21, lying: 2, tap: false, shake: false},
+        button: false,
+        thresholds: {
+            noise: {min: 0, max: 255},
+            proximity: {min: 0, max: 65535},
+            ambient: {min: 0, max: 65535}
+        },
+        timeOffset: 0,
+        flash: flash
+    };
+};
+
+/**
+ * Open the emulated connection.
+ *
+ * @param {Function} fn
+ */
+L8Emulator.prototype.open = function(fn) {
+    this.isOpen = true;
+    this.parser_.reset();
+    setImmediate(function() {
+        fn(false, true);
+    });
+};
+
+/**
+ * Hand the given frames to the emulated L8.
+ *
+ * @param {Buffer} buffer
+ * @param {Function} fn
+ */
+L8Emulator.prototype.write = function(buffer, fn) {
+    if (!this.isOpen) {
+        fn(new Error("L8 emulator is not open."), 0);
+        return;
+    }
+
+    var frames = this.parser_.push(buffer);
+
+    setImmediate(function() {
+        fn(false, buffer.length);
+        frames.forEach(this.handleFrame_.bind(this));
+    }.bind(this));
+};
+
+/**
+ * Wait until all written data has been processed.
+ *
+ * @param {Function} fn
+ */
+L8Emulator.prototype.drain = function(fn) {
+    setImmediate(fn);
+};
+
+/**
+ * Close the emulated connection.
+ *
+ * @param {Function} fn
+ */
+L8Emulator.prototype.close = function(fn) {
+    if (!this.isOpen) {
+        fn(new Error("L8 emulator is not open."), false);
+        return;
+    }
+
+    this.isOpen = false;
+    setImmediate(function() {
+        this.emit("close");
+        fn(false, true);
+    }.bind(this));
+};
+
+/**
+ * Read the currently displayed matrix in the format accepted by {@link L8#setMatrix}.
+ *
+ * @returns {Array}
+ */
+L8Emulator.prototype.getMatrix = function() {
+    return Decoders.matrix(this.state.matrix);
+};
+
+/**
+ * Calculate the amount of User Memory currently in use
+ *
+ * @returns {Number}
+ * @private
+ */
+L8Emulator.prototype.usedMemory_ = function() {
+    var used = 0;
+
+    used += Object.keys(this.state.l8ys).length * 128;
+    used += Object.keys(this.state.frames).length * 128;
+    Collection.forEach(this.state.animations, function(animation) {
+        used += 1 + animation.frames.length * 2;
+    });
+    Collection.forEach(this.state.notificationApps, function(app) {
+        used += app.length;
+    });
+
+    return used;
+};
+
+/**
+ * Store the given item in the first free slot of the given storage
+ *
+ * `false` is returned if the User Memory or the slots are exhausted.
+ * Otherwise the id of the stored item is returned.
+ *
+ * @param {Object} storage
+ * @param {*} item
+ * @param {Number} size
+ * @returns {Number|boolean}
+ * @private
+ */
+L8Emulator.prototype.store_ = function(storage, item, size) {
+    if (this.usedMemory_() + size > this.state.totalMemory) {
+        return false;
+    }
+
+    for (var id = 0; id <= 0xFF; id++) {
+        if (storage[id] === undefined) {
+            storage[id] = item;
+            return id;
+        }
+    }
+
+    return false;
+};
+
+/**
+ * Send the given frame back to the L8 instance
+ *
+ * @param {Number} command
+ * @param {Buffer|Number[]} [parameters]
+ * @private
+ */
+L8Emulator.prototype.reply_ = function(command, parameters) {
+    if (parameters !== undefined && !Buffer.isBuffer(parameters)) {
+        parameters = new Buffer(parameters);
+    }
+
+    var frame = SLCP.buildFrame(command, parameters);
+
+    setImmediate(function() {
+        if (this.isOpen) {
+            this.emit("data", frame);
+        }
+    }.bind(this));
+};
+
+/**
+ * Acknowledge the given command with a CMD_OK
+ *
+ * @param {Number} command
+ * @param {Buffer|Number[]} [parameters]
+ * @private
+ */
+L8Emulator.prototype.ok_ = function(command, parameters) {
+    this.reply_(SLCP.CMD.OK, Buffer.concat([new Buffer([command]), new Buffer(parameters || [])]));
+};
+
+/**
+ * Reject the given command with a CMD_ERR
+ *
+ * @param {Number} command
+ * @private
+ */
+L8Emulator.prototype.error_ = function(command) {
+    this.reply_(SLCP.CMD.ERR, [command]);
+};
+
+/**
+ * End the emulated connection, like a powered off or reset L8 does
+ *
+ * @private
+ */
+L8Emulator.prototype.disconnect_ = function() {
+    setImmediate(function() {
+        if (!this.isOpen) {
+            return;
+        }
+
+        this.isOpen = false;
+        this.emit("close");
+    }.bind(this));
+};
+
+/**
+ * Process a single frame sent to the emulated L8
+ *
+ * @param {{command: Number, parameters: Buffer}} frame
+ * @private
+ */
+L8Emulator.prototype.handleFrame_ = function(frame) {
+    /**
+     * Event fired every time a command frame has been received by the emulator
+     *
+     * @event L8Emulator#command
+     * @type {{command: Number, parameters: Buffer, checksum: String, payloadLength: Number, payload: Buffer, raw: Buffer}}
+     */
+    this.emit("command", frame);
+
+    var handler = L8Emulator.HANDLERS[frame.command];
+
+    if (handler === undefined || handler.call(this, frame.parameters, frame.command) === false) {
+        this.error_(frame.command);
+    }
+};
+
+/**
+ * Encode a 16 bit unsigned big endian value
+ *
+ * @param {Number} value
+ * @returns {Number[]}
+ * @private
+ */
+var uint16_ = function(value) {
+    value = Math.max(0, Math.min(0xFFFF, Math.round(value)));
+    return [value >> 8, value & 0xFF];
+};
+
+/**
+ * Encode a temperature as signed 16 bit value in tenth of degree celsius
+ *
+ * @param {Number} temperature
+ * @returns {Number[]}
+ * @private
+ */
+var temperature_ = function(temperature) {
+    var value = Math.round(temperature * 10);
+    return uint16_(value < 0 ? value + 0x10000 : value);
+};
+
+/**
+ * Encode the given date in the format of a CMD_L8_TIME_RESPONSE
+ *
+ * @param {Date} date
+ * @returns {Number[]}
+ * @private
+ */
+var time_ = function(date) {
+    return uint16_(date.getFullYear()).concat([
+        date.getMonth() + 1,
+        date.getDate(),
+        date.getHours(),
+        date.getMinutes(),
+        date.getSeconds()
+    ]);
+};
+
+/**
+ * Handlers for all the commands understood by the emulated L8.
+ *
+ * Each handler is called with the parameters of the received frame in the
+ * context of the emulator. Returning `false` answers the command with a
+ * CMD_ERR.
+ *
+ * @type {Object.<Number, Function>}
+ * @const
+ */
+L8Emulator.HANDLERS = {};
+
+var CMD = SLCP.CMD;
+var HANDLERS = L8Emulator.HANDLERS;
+
+HANDLERS[CMD.PING] = function() {
+    this.reply_(CMD.PONG);
+};
+
+HANDLERS[CMD.RESET] = function() {
+    var state = L8Emulator.createDefaultState();
+    // User memory and configuration survive a reset
+    Collection.forEach(["matrix", "superLED", "application", "text", "character", "animation", "notification"], function(key) {
+        this.state[key] = state[key];
+    }.bind(this));
+    this.disconnect_();
+};
+
+HANDLERS[CMD.L8_BOOTLOADER] = function() {
+    this.disconnect_();
+};
+
+HANDLERS[CMD.L8_POWEROFF] = function() {
+    this.disconnect_();
+};
+
+HANDLERS[CMD.FLASH_WRITE] = function(parameters, command) {
+    if (parameters.length < 4) {
+        return false;
+    }
+
+    var address = parameters.readUInt32BE(0);
+    var data = parameters.slice(4);
+
+    if (address + data.length > this.state.flash.length) {
+        return false;
+    }
+
+    data.copy(this.state.flash, address);
+    this.ok_(command);
+};
+
+HANDLERS[CMD.FLASH_READ] = function(parameters, command) {
+    if (parameters.length < 5) {
+        return false;
+    }
+
+    var address = parameters.readUInt32BE(0);
+    var length = parameters[4];
+
+    if (address + length > this.state.flash.length) {
+        return false;
+    }
+
+    this.ok_(command, this.state.flash.slice(address, address + length));
+};
+
+HANDLERS[CMD.L8_LED_SET] = function(parameters, command) {
+    if (parameters.length < 5 || parameters[0] > 7 || parameters[1] > 7) {
+        return false;
+    }
+
+    var index = (parameters[0] * 8 + parameters[1]) * 2;
+    this.state.matrix[index] = parameters[2] & 0x0F;
+    this.state.matrix[index + 1] = (parameters[3] & 0x0F) << 4 | (parameters[4] & 0x0F);
+    this.ok_(command);
+};
+
+HANDLERS[CMD.L8_MATRIX_SET] = function(parameters, command) {
+    if (parameters.length !== 128) {
+        return false;
+    }
+
+    parameters.copy(this.state.matrix);
+    this.ok_(command);
+};
+
+HANDLERS[CMD.L8_MATRIX_OFF] = function(parameters, command) {
+    this.state.matrix.fill(0);
+    this.ok_(command);
+};
+
+HANDLERS[CMD.L8_VOLTAGE_QUERY] = function() {
+    this.reply_(CMD.L8_VOLTAGE_RESPONSE, uint16_(this.state.sensors.voltage).concat([this.state.sensors.batteryPercentage]));
+};
+
+HANDLERS[CMD.L8_TEMP_QUERY] = function() {
+    this.reply_(CMD.L8_TEMP_RESPONSE, temperature_(this.state.sensors.temperature));
+};
+
+HANDLERS[CMD.L8_MCUTEMP_QUERY] = function() {
+    this.reply_(CMD.L8_MCUTEMP_RESPONSE, temperature_(this.state.sensors.mcuTemperature));
+};
+
+HANDLERS[CMD.L8_SUPERLED_SET] = function(parameters, command) {
+    if (parameters.length !== 3) {
+        return false;
+    }
+
+    this.state.superLED = Decoders.bgrSingleColor(parameters, 0);
+    this.ok_(command);
+};
+
+HANDLERS[CMD.L8_ACC_QUERY] = function() {
+    var acceleration = this.state.acceleration;
+    this.reply_(CMD.L8_ACC_RESPONSE, [
+        acceleration.x & 0xFF,
+        acceleration.y & 0xFF,
+        acceleration.z & 0xFF,
+        acceleration.lying,
+        ORIENTATION_CODES[this.state.orientation],
+        acceleration.tap ? 1 : 0,
+        acceleration.shake ? 1 : 0
+    ]);
+};
+
+HANDLERS[CMD.L8_UID_QUERY] = function() {
+    this.reply_(CMD.L8_UID_RESPONSE, new Buffer(this.state.uid, "hex"));
+};
+
+HANDLERS[CMD.L8_AMBIENT_QUERY] = function() {
+    this.reply_(CMD.L8_AMBIENT_RESPONSE, uint16_(this.state.sensors.ambient).concat([this.state.sensors.ambientPercentage]));
+};
+
+HANDLERS[CMD.L8_PROX_QUERY] = function() {
+    this.reply_(CMD.L8_PROX_RESPONSE, uint16_(this.state.sensors.proximity).concat([this.state.sensors.proximityPercentage]));
+};
+
+HANDLERS[CMD.L8_TOTALMEM_QUERY] = function() {
+    var parameters = new Buffer(4);
+    parameters.writeUInt32BE(this.state.totalMemory, 0);
+    this.reply_(CMD.L8_TOTALMEM_RESPONSE, parameters);
+};
+
+HANDLERS[CMD.L8_FREEMEM_QUERY] = function() {
+    var parameters = new Buffer(4);
+    parameters.writeUInt32BE(this.state.totalMemory - this.usedMemory_(), 0);
+    this.reply_(CMD.L8_FREEMEM_RESPONSE, parameters);
+};
+
+HANDLERS[CMD.L8_MODE_SET] = function(parameters, command) {
+    if (parameters.length !== 1) {
+        return false;
+    }
+
+    this.state.mode = parameters[0];
+    this.ok_(command);
+};
+
+HANDLERS[CMD.L8_MODE_QUERY] = function() {
+    this.reply_(CMD.L8_MODE_RESPONSE, [this.state.mode]);
+};
+
+HANDLERS[CMD.L8_VERSIONS_QUERY] = function() {
+    this.reply_(CMD.L8_VERSIONS_RESPONSE, this.state.versions);
+};
+
+HANDLERS[CMD.L8_BUTTON_QUERY] = function() {
+    this.reply_(CMD.L8_BUTTON_RESPONSE, [this.state.button ? 1 : 0]);
+};
+
+HANDLERS[CMD.L8_MIC_QUERY] = function() {
+    this.reply_(CMD.L8_MIC_RESPONSE, [this.state.sensors.mic]);
+};
+
+HANDLERS[CMD.L8_VBUS_QUERY] = function() {
+    this.reply_(CMD.L8_VBUS_RESPONSE, uint16_(this.state.sensors.vbus));
+};
+
+HANDLERS[CMD.L8_BATCHG_QUERY] = function() {
+    this.reply_(CMD.L8_BATCHG_RESPONSE, [this.state.sensors.batteryCharge]);
+};
+
+HANDLERS[CMD.L8_STORE_L8Y] = function(parameters) {
+    if (parameters.length !== 128) {
+        return false;
+    }
+
+    var id = this.store_(this.state.l8ys, new Buffer(parameters), 128);
+    if (id === false) {
+        return false;
+    }
+
+    this.reply_(CMD.L8_STORE_L8Y_RESPONSE, [id]);
+};
+
+HANDLERS[CMD.L8_READ_L8Y] = function(parameters) {
+    var l8y = this.state.l8ys[parameters[0]];
+    if (l8y === undefined) {
+        return false;
+    }
+
+    this.reply_(CMD.L8_READ_L8Y_RESPONSE, l8y);
+};
+
+HANDLERS[CMD.L8_SET_STORED_L8Y] = function(parameters, command) {
+    var l8y = this.state.l8ys[parameters[0]];
+    if (l8y === undefined) {
+        return false;
+    }
+
+    l8y.copy(this.state.matrix);
+    this.ok_(command);
+};
+
+HANDLERS[CMD.L8_DELETE_L8Y] = function(parameters, command) {
+    if (this.state.l8ys[parameters[0]] === undefined) {
+        return false;
+    }
+
+    delete this.state.l8ys[parameters[0]];
+    this.ok_(command);
+};
+
+HANDLERS[CMD.L8_STORE_FRAME] = function(parameters) {
+    var id = (parameters.length === 128) ? this.store_(this.state.frames, new Buffer(parameters), 128) : false;
+
+    if (id === false) {
+        // The firmware reports failures to store a frame using this code
+        this.reply_(CMD.ERR, [CMD.L8_STORE_L8Y]);
+        return;
+    }
+
+    this.reply_(CMD.L8_STORE_FRAME_RESPONSE, [id]);
+};
+
+HANDLERS[CMD.L8_READ_FRAME] = function(parameters) {
+    var frame = this.state.frames[parameters[0]];
+    if (frame === undefined) {
+        return false;
+    }
+
+    this.reply_(CMD.L8_READ_FRAME_RESPONSE, frame);
+};
+
+HANDLERS[CMD.L8_DELETE_FRAME] = function(parameters, command) {
+    if (this.state.frames[parameters[0]] === undefined) {
+        return false;
+    }
+
+    delete this.state.frames[parameters[0]];
+    this.ok_(command);
+};
+
+HANDLERS[CMD.L8_STORE_ANIM] = function(parameters) {
+    var count = parameters[0];
+    var animation = {frames: [], durations: []};
+
+    if (parameters.length !== 1 + count * 2) {
+        return false;
+    }
+
+    for (var index = 0; index < count; index++) {
+        if (this.state.frames[parameters[index * 2 + 1]] === undefined) {
+            return false;
+        }
+
+        animation.frames.push(parameters[index * 2 + 1]);
+        animation.durations.push(parameters[index * 2 + 2]);
+    }
+
+    var id = this.store_(this.state.animations, animation, parameters.length);
+    if (id === false) {
+        return false;
+    }
+
+    this.reply_(CMD.L8_STORE_ANIM_RESPONSE, [id]);
+};
+
+HANDLERS[CMD.L8_READ_ANIM] = function(parameters) {
+    var animation = this.state.animations[parameters[0]];
+    if (animation === undefined) {
+        return false;
+    }
+
+    var response = [animation.frames.length];
+    animation.frames.forEach(function(frame, index) {
+        response.push(frame, animation.durations[index]);
+    });
+
+    this.reply_(CMD.L8_READ_ANIM_RESPONSE, response);
+};
+
+HANDLERS[CMD.L8_DELETE_ANIM] = function(parameters, command) {
+    if (this.state.animations[parameters[0]] === undefined) {
+        return false;
+    }
+
+    delete this.state.animations[parameters[0]];
+    this.ok_(command);
+};
+
+HANDLERS[CMD.L8_PLAY_ANIM] = function(parameters) {
+    var animation = this.state.animations[parameters[0]];
+    if (animation === undefined) {
+        return false;
+    }
+
+    this.state.animation = {id: parameters[0], loop: (parameters[1] !== 0)};
+    this.state.frames[animation.frames[0]].copy(this.state.matrix);
+};
+
+HANDLERS[CMD.L8_STOP_ANIM] = function(parameters, command) {
+    this.state.animation = null;
+    this.ok_(command);
+};
+
+HANDLERS[CMD.L8_DELETE_USER_MEMORY] = function(parameters, command) {
+    this.state.l8ys = {};
+    this.state.frames = {};
+    this.state.animations = {};
+    this.state.animation = null;
+    this.ok_(command);
+};
+
+HANDLERS[CMD.L8_DISP_CHAR] = function(parameters, command) {
+    if (parameters.length !== 4) {
+        return false;
+    }
+
+    this.state.character = {
+        character: String.fromCharCode(parameters[3]),
+        color: {r: parameters[0], g: parameters[1], b: parameters[2]}
+    };
+    this.ok_(command);
+};
+
+HANDLERS[CMD.L8_SET_ORIENTATION] = function(parameters) {
+    var orientation = Decoders.orientation(parameters[0]);
+    if (typeof orientation !== "string") {
+        return false;
+    }
+
+    this.state.orientation = orientation;
+};
+
+HANDLERS[CMD.L8_APP_RUN] = function(parameters, command) {
+    if (parameters.length < 1) {
+        return false;
+    }
+
+    this.state.application = parameters[0];
+    this.ok_(command);
+};
+
+HANDLERS[CMD.L8_APP_STOP] = function(parameters, command) {
+    this.state.application = null;
+    this.state.text = null;
+    this.ok_(command);
+};
+
+HANDLERS[CMD.L8_SET_TEXT] = function(parameters) {
+    if (parameters.length < 5) {
+        return false;
+    }
+
+    this.state.text = {
+        text: parameters.slice(5).toString("ascii"),
+        color: {r: parameters[2], g: parameters[3], b: parameters[4]},
+        speed: parameters[1],
+        loop: (parameters[0] !== 0)
+    };
+};
+
+HANDLERS[CMD.L8_INIT_STATUS_QUERY] = function(parameters, command) {
+    this.ok_(command, [0]);
+};
+
+HANDLERS[CMD.L8_SET_AUTOROTATE] = function(parameters) {
+    this.state.autoRotate = (parameters[0] !== 0);
+    // The firmware acknowledges this command using a CMD_OK with a fixed parameter
+    this.reply_(CMD.OK, [CMD.L8_STORE_L8Y]);
+};
+
+HANDLERS[CMD.L8_TIME_SET] = function(parameters, command) {
+    if (parameters.length !== 7) {
+        return false;
+    }
+
+    this.state.timeOffset = Decoders.time(parameters).getTime() - Date.now();
+    this.ok_(command);
+};
+
+HANDLERS[CMD.L8_TIME_QUERY] = function() {
+    this.reply_(CMD.L8_TIME_RESPONSE, time_(new Date(Date.now() + this.state.timeOffset)));
+};
+
+HANDLERS[CMD.L8_ORIENTATION_QUERY] = function() {
+    this.reply_(CMD.L8_ORIENTATION_RESPONSE, [ORIENTATION_CODES[this.state.orientation], this.state.autoRotate ? 1 : 0]);
+};
+
+HANDLERS[CMD.L8_NUML8IES_QUERY] = function() {
+    this.reply_(CMD.L8_NUML8IES_RESPONSE, [Object.keys(this.state.l8ys).length]);
+};
+
+HANDLERS[CMD.L8_NUMANIMS_QUERY] = function() {
+    this.reply_(CMD.L8_NUMANIMS_RESPONSE, [Object.keys(this.state.animations).length]);
+};
+
+HANDLERS[CMD.L8_NUMFRAMES_QUERY] = function() {
+    this.reply_(CMD.L8_NUMFRAMES_RESPONSE, [Object.keys(this.state.frames).length]);
+};
+
+HANDLERS[CMD.L8_NOTIFAPP_STORE] = function(parameters, command) {
+    if (parameters.length < 1 + 3 + 128) {
+        return false;
+    }
+
+    var id = this.store_(this.state.notificationApps, new Buffer(parameters), parameters.length);
+    if (id === false) {
+        return false;
+    }
+
+    this.ok_(command, [id]);
+};
+
+HANDLERS[CMD.L8_NOTIFAPP_QUERY] = function(parameters) {
+    var ids = Object.keys(this.state.notificationApps);
+    var id = ids[parameters[0]];
+
+    if (id === undefined) {
+        return false;
+    }
+
+    this.reply_(CMD.L8_NOTIFAPP_RESPONSE, Buffer.concat([
+        new Buffer([Number(id)]),
+        this.state.notificationApps[id]
+    ]));
+};
+
+HANDLERS[CMD.L8_NOTIFAPPS_NUM_QUERY] = function() {
+    this.reply_(CMD.L8_NOTIFAPPS_NUM_RESPONSE, [Object.keys(this.state.notificationApps).length]);
+};
+
+HANDLERS[CMD.L8_NOTIFAPP_ENABLE] = function(parameters, command) {
+    var app = this.state.notificationApps[parameters[0]];
+    if (app === undefined) {
+        return false;
+    }
+
+    app[0] = (parameters[1] !== 0) ? 1 : 0;
+    this.ok_(command);
+};
+
+HANDLERS[CMD.L8_NOTIFAPP_DELETE] = function(parameters, command) {
+    if (this.state.notificationApps[parameters[0]] === undefined) {
+        return false;
+    }
+
+    delete this.state.notificationApps[parameters[0]];
+    this.ok_(command);
+};
+
+HANDLERS[CMD.L8_SET_NOTIFICATION] = function(parameters, command) {
+    var app = this.state.notificationApps[parameters[0]];
+    if (app === undefined) {
+        return false;
+    }
+
+    if (app[0] !== 0 && !this.state.notificationsSilenced) {
+        this.state.notification = parameters[0];
+        this.state.superLED = Decoders.bgrSingleColor(app, 1);
+        app.copy(this.state.matrix, 0, 4, 4 + 128);
+    }
+    this.ok_(command);
+};
+
+HANDLERS[CMD.L8_SET_LOW_BRIGHTNESS] = function(parameters, command) {
+    this.state.lowBrightness = (parameters[0] !== 0);
+    this.ok_(command);
+};
+
+HANDLERS[CMD.L8_FRAMEGRAB_QUERY] = function() {
+    this.reply_(CMD.L8_FRAMEGRAB_RESPONSE, this.state.matrix);
+};
+
+HANDLERS[CMD.L8_STATUSLEDS_ENABLE] = function(parameters, command) {
+    this.state.statusLeds = (parameters[0] !== 0);
+    this.ok_(command);
+};
+
+HANDLERS[CMD.L8_NOISE_THRESHOLDS_SET] = function(parameters, command) {
+    if (parameters.length !== 2 || parameters[0] > parameters[1]) {
+        return false;
+    }
+
+    this.state.thresholds.noise = {min: parameters[0], max: parameters[1]};
+    this.ok_(command);
+};
+
+HANDLERS[CMD.L8_PROX_THRESHOLDS_SET] = function(parameters, command) {
+    if (parameters.length !== 4 || parameters.readUInt16BE(0) > parameters.readUInt16BE(2)) {
+        return false;
+    }
+
+    this.state.thresholds.proximity = {min: parameters.readUInt16BE(0), max: parameters.readUInt16BE(2)};
+    this.ok_(command);
+};
+
+HANDLERS[CMD.L8_AMB_THRESHOLDS_SET] = function(parameters, command) {
+    if (parameters.length !== 4 || parameters.readUInt16BE(0) > parameters.readUInt16BE(2)) {
+        return false;
+    }
+
+    this.state.thresholds.ambient = {min: parameters.readUInt16BE(0), max: parameters.readUInt16BE(2)};
+    this.ok_(command);
+};
+
+HANDLERS[CMD.L8_SENSORS_THRESHOLDS_QUERY] = function() {
+    var thresholds = this.state.thresholds;
+    this.reply_(CMD.L8_SENSORS_THRESHOLDS_RESPONSE, [thresholds.noise.min, thresholds.noise.max].concat(
+        uint16_(thresholds.proximity.min), uint16_(thresholds.proximity.max),
+        uint16_(thresholds.ambient.min), uint16_(thresholds.ambient.max)
+    ));
+};
+
+HANDLERS[CMD.L8_NOTIFAPPS_ENABLE_ALL] = function(parameters, command) {
+    Collection.forEach(this.state.notificationApps, function(app) {
+        app[0] = (parameters[0] !== 0) ? 1 : 0;
+    });
+    this.ok_(command);
+};
+
+HANDLERS[CMD.L8_NOTIFAPPS_SILENCE] = function(parameters, command) {
+    this.state.notificationsSilenced = (parameters[0] !== 0);
+    this.ok_(command);
+};
+
+HANDLERS[CMD.L8_NOTIFAPPS_SILENCE_QUERY] = function() {
+    this.reply_(CMD.L8_NOTIFAPPS_SILENCE_RESPONSE, [this.state.notificationsSilenced ? 1 : 0]);
+};
+
+exports.L8Emulator = L8Emulator;
@@ -0,0 +1,443 @@
+var util = require("util");
+var EventEmitter = require("events").EventEmitter;
+
+var async = require("async");
+
+var L8 = require("./L8").L8;
+var SerialTransport = require("./SerialTransport").SerialTransport;
+
+/**
+ * Watcher reporting L8s being attached to or detached from this machine.
+ *
+ * Once started the available serial ports are checked every `interval`
+ * milliseconds (default `2000`). New ports are identified using
+ * {@link L8.identify}. Ports, which do not answer like an L8 (eg. as the L8 is
+ * still booting), are probed again later on. The delay between those attempts
+ * starts at `interval` and doubles with every failure up to
+ * {@link L8Watcher.MAX_RETRY_DELAY}. Use the `filter` option to keep the
+ * watcher away from ports of other devices.
+ *
+ * If `autoOpen` is set, a connection to every attached L8 is opened, before
+ * it is reported. The created {@link L8} instance is part of the device
+ * information then. It is constructed using the given `l8Options`. If the
+ * connection can not be opened, the error is reported and the port is probed
+ * again with the same backoff.
+ *
+ * L8s are detached, once their port vanishes. Ports of wireless L8s (eg.
+ * Bluetooth rfcomm devices) stay listed, even if the L8 is gone. Therefore
+ * L8s opened due to `autoOpen` are detached as well, as soon as their
+ * connection is closed, or lost without being reestablished. Their port is
+ * probed again afterwards.
+ *
+ * Errors are only emitted as `error` event, if a listener is attached. They
+ * are dropped otherwise, as the watcher retries with the next check anyway.
+ *
+ * The information about an attached device has the following structure:
+ *
+ * ```
+ *  {
+ *      port: String,
+ *      baudrate: Number,
+ *      uid: String,
+ *      versions: {lightOS: String, hardware: String, bootloader: String, userSpace: String},
+ *      l8: L8 // Only if autoOpen is enabled
+ *  }
+ * ```
+ *
+ * @example ```
+ *  var watcher = new L8Watcher({autoOpen: true});
+ *  watcher.on("attach", function(device) {
+ *      device.l8.setScrollingText("Hello " + device.uid, {r: 15, g: 15, b: 15}, "fast", false);
+ *  });
+ *  watcher.on("detach", function(device) {
+ *      console.log("L8 " + device.uid + " is gone");
+ *  });
+ *  watcher.start();
+ * ```
+ *
+ * Besides `interval`, `autoOpen` and `l8Options` all options of {@link L8.discover}
+ * are supported.
+ *
+ * @param {{interval: Number?, autoOpen: Boolean?, l8Options: Object?, baudrate: Number?, timeout: Number?, filter: Function?}} [options]
+ *
+ * @fires L8Watcher#attach
+ * @fires L8Watcher#detach
+ * @fires L8Watcher#error
+ *
+ * @constructor
+ */
+var L8Watcher = function(options) {
+    EventEmitter.call(this);
+
+    /**
+     * Options given to the watcher
+     *
+     * @type {Object}
+     * @private
+     */
+    this.options_ = options || {};
+
+    /**
+     * Interval in milliseconds between two checks of the serial ports
+     *
+     * @type {Number}
+     * @private
+     */
+    this.interval_ = this.options_.interval || 2000;
+
+    /**
+     * Attached devices indexed by their port
+     *
+     * @type {Object.<String, Object>}
+     * @private
+     */
+    this.devices_ = {};
+
+    /**
+     * Ports, which could not be identified or opened, indexed by port
+     *
+     * `attempts` counts the consecutive failures, `retryAt` is the timestamp
+     * before which the port is not probed again.
+     *
+     * @type {Object.<String, {attempts: Number, retryAt: Number}>}
+     * @private
+     */
+    this.failedPorts_ = {};
+
+    /**
+     * Handle of the currently scheduled check
+     *
+     * @type {Object}
+     * @private
+     */
+    this.timer_ = null;
+
+    /**
+     * Status flag indicating whether the watcher is running
+     *
+     * @type {boolean}
+     * @private
+     */
+    this.running_ = false;
+
+    /**
+     * Number of times the watcher has been started or stopped
+     *
+     * Checks still in flight compare it to the value they have been started
+     * with, to not report any devices after the watcher has been stopped.
+     *
+     * @type {Number}
+     * @private
+     */
+    this.generation_ = 0;
+};
+util.inherits(L8Watcher, EventEmitter);
+
+/**
+ * Maximal delay in milliseconds between two attempts to probe a failed port
+ *
+ * @type {Number}
+ */
+L8Watcher.MAX_RETRY_DELAY = 60000;
+
+/**
+ * Start watching the serial ports.
+ *
+ * The first check is executed right away.
+ */
+L8Watcher.prototype.start = function() {
+    if (this.running_) {
+        return;
+    }
+
+    this.running_ = true;
+    this.generation_++;
+    this.check_();
+};
+
+/**
+ * Stop watching the serial ports.
+ *
+ * Connections opened due to the `autoOpen` option stay open. Ports probed at
+ * the moment are not reported anymore.
+ */
+L8Watcher.prototype.stop = function() {
+    this.running_ = false;
+    this.generation_++;
+    clearTimeout(this.timer_);
+    this.timer_ = null;
+};
+
+/**
+ * Retrieve information about all currently attached L8s.
+ *
+ * @returns {Object[]}
+ */
+L8Watcher.prototype.getDevices = function() {
+    return Object.keys(this.devices_).map(function(port) {
+        return this.devices_[port];
+    }.bind(this));
+};
+
+/**
+ * Retrieve information about the attached L8 with the given UID.
+ *
+ * `null` is returned, if no such L8 is attached.
+ *
+ * @param {String} uid
+ * @returns {Object|null}
+ */
+L8Watcher.prototype.getDevice = function(uid) {
+    var devices = this.getDevices().filter(function(device) {
+        return device.uid === uid;
+    });
+
+    return (devices.length > 0) ? devices[0] : null;
+};
+
+/**
+ * Schedule the next check of the serial ports
+ *
+ * @private
+ */
+L8Watcher.prototype.schedule_ = function() {
+    if (!this.running_) {
+        return;
+    }
+
+    this.timer_ = setTimeout(this.check_.bind(this), this.interval_);
+};
+
+/**
+ * Compare the available serial ports with the known ones
+ *
+ * @private
+ */
+L8Watcher.prototype.check_ = function() {
+    var generation = this.generation_;
+
+    SerialTransport.list(function(error, ports) {
+        if (generation !== this.generation_) {
+            // Stopped in the meantime
+            return;
+        }
+
+        if (error) {
+            this.emitError_(error);
+            this.schedule_();
+            return;
+        }
+
+        if (typeof this.options_.filter === "function") {
+            ports = ports.filter(this.options_.filter);
+        }
+
+        var available = ports.map(function(port) {
+            return port.port;
+        });
+
+        Object.keys(this.failedPorts_).forEach(function(port) {
+            if (available.indexOf(port) === -1) {
+                delete this.failedPorts_[port];
+            }
+        }.bind(this));
+
+        Object.keys(this.devices_).forEach(function(port) {
+            if (available.indexOf(port) === -1) {
+                this.detach_(port);
+            }
+        }.bind(this));
+
+        var now = Date.now();
+        var candidates = available.filter(function(port) {
+            var failed = this.failedPorts_[port];
+            if (failed !== undefined && failed.retryAt > now) {
+                return false;
+            }
+
+            return this.devices_[port] === undefined;
+        }.bind(this));
+
+        async.eachSeries(candidates, this.probe_.bind(this, generation), function() {
+            if (generation === this.generation_) {
+                this.schedule_();
+            }
+        }.bind(this));
+    }.bind(this));
+};
+
+/**
+ * Identify the L8 attached to the given port and report it
+ *
+ * Nothing is reported, if the watcher has been stopped or restarted since
+ * the check probing the port has been started.
+ *
+ * @param {Number} generation
+ * @param {String} port
+ * @param {Function} fn
+ * @private
+ */
+L8Watcher.prototype.probe_ = function(generation, port, fn) {
+    if (generation !== this.generation_) {
+        fn();
+        return;
+    }
+
+    L8.identify(port, this.options_, function(error, device) {
+        if (generation !== this.generation_) {
+            fn();
+            return;
+        }
+
+        if (error) {
+            // Not an L8, or one which is not ready yet
+            this.fail_(port);
+            fn();
+            return;
+        }
+
+        if (!this.options_.autoOpen) {
+            this.attach_(device);
+            fn();
+            return;
+        }
+
+        device.l8 = new L8(device, null, this.options_.l8Options);
+        device.l8.open(function(error) {
+            if (error) {
+                this.fail_(port, error);
+                fn();
+                return;
+            }
+
+            if (generation !== this.generation_) {
+                device.l8.close(function() {});
+                fn();
+                return;
+            }
+
+            this.attach_(device);
+            this.watchConnection_(device);
+            fn();
+        }.bind(this));
+    }.bind(this));
+};
+
+/**
+ * Detach the given device, once the connection of its L8 is gone for good
+ *
+ * This is the case, if the connection is closed, or lost without the L8
+ * trying to reconnect, or if reconnecting failed.
+ *
+ * @param {Object} device
+ * @private
+ */
+L8Watcher.prototype.watchConnection_ = function(device) {
+    var l8Options = this.options_.l8Options || {};
+
+    var onGone = function() {
+        if (this.devices_[device.port] === device) {
+            this.detach_(device.port);
+        }
+    }.bind(this);
+
+    device.l8.on("close", onGone);
+    device.l8.on("reconnectFailed", onGone);
+    if (!l8Options.reconnect) {
+        device.l8.on("disconnect", onGone);
+    }
+};
+
+/**
+ * Remember that the given port could not be identified or opened
+ *
+ * The port is not probed again, before the backoff delay has passed. Errors
+ * opening an identified L8 are reported.
+ *
+ * @param {String} port
+ * @param {Error} [error]
+ * @private
+ */
+L8Watcher.prototype.fail_ = function(port, error) {
+    var attempts = (this.failedPorts_[port] === undefined) ? 1 : this.failedPorts_[port].attempts + 1;
+    var delay = Math.min(this.interval_ * Math.pow(2, attempts - 1), L8Watcher.MAX_RETRY_DELAY);
+
+    this.failedPorts_[port] = {attempts: attempts, retryAt: Date.now() + delay};
+
+    if (error) {
+        this.emitError_(error);
+    }
+};
+
+/**
+ * Remember the given device and report it as attached
+ *
+ * @param {Object} device
+ * @private
+ */
+L8Watcher.prototype.attach_ = function(device) {
+    if (!this.running_) {
+        return;
+    }
+
+    delete this.failedPorts_[device.port];
+    this.devices_[device.port] = device;
+
+    /**
+     * Event fired every time an L8 has been attached
+     *
+     * @event L8Watcher#attach
+     * @type {{port: String, baudrate: Number, uid: String, versions: Object, l8: L8?}}
+     */
+    this.emit("attach", device);
+};
+
+/**
+ * Forget the device attached to the given port and report it as detached
+ *
+ * @param {String} port
+ * @private
+ */
+L8Watcher.prototype.detach_ = function(port) {
+    var device = this.devices_[port];
+    delete this.devices_[port];
+
+    if (device.l8 !== undefined) {
+        // The connection is gone already. Closing just cleans up.
+        device.l8.close(function() {});
+    }
+
+    /**
+     * Event fired every time an L8 has been detached
+     *
+     * @event L8Watcher#detach
+     * @type {{port: String, baudrate: Number, uid: String, versions: Object, l8: L8?}}
+     */
+    this.emit("detach", device);
+};
+
+/**
+ * Report the given error to all attached `error` listeners
+ *
+ * Without any listener the error is dropped, as the failed operation is
+ * retried later on anyway.
+ *
+ * @param {Error} error
+ * @private
+ */
+L8Watcher.prototype.emitError_ = function(error) {
+    if (this.listeners("error").length === 0) {
+        return;
+    }
+
+    /**
+     * Event fired if the serial ports could not be listed or the connection
+     * to an attached L8 could not be opened
+     *
+     * @event L8Watcher#error
+     * @type {Error}
+     */
+    this.emit("error", error);
+};
+
+exports.L8Watcher = L8Watcher;
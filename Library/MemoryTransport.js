@@ -0,0 +1,132 @@
+var util = require("util");
+
+var Transport = require("./Transport").Transport;
+
+/**
+ * In-memory transport connecting two ends within the same process.
+ *
+ * Everything written to one end of the transport is received by its peer.
+ * This allows to talk to an L8 without any hardware, for example to replay
+ * recorded responses in tests.
+ *
+ * Both ends are created at once using {@link MemoryTransport.createPair}.
+ * Closing one of the ends closes its peer as well.
+ *
+ * @example ```
+ *  var pair = MemoryTransport.createPair();
+ *  var l8 = new L8(pair[0]);
+ *
+ *  pair[1].on("data", function(data) {
+ *      // Answer the frames sent by the L8 using pair[1].write(...)
+ *  });
+ * ```
+ *
+ * @constructor
+ * @extends Transport
+ */
+var MemoryTransport = function() {
+    Transport.call(this);
+
+    /**
+     * The other end of the transport
+     *
+     * @type {MemoryTransport}
+     */
+    this.peer = null;
+
+    /**
+     * Indicator whether this end is open
+     *
+     * @type {boolean}
+     */
+    this.isOpen = false;
+};
+util.inherits(MemoryTransport, Transport);
+
+/**
+ * Create two connected ends of an in-memory transport.
+ *
+ * @returns {MemoryTransport[]}
+ * @static
+ */
+MemoryTransport.createPair = function() {
+    var first = new MemoryTransport();
+    var second = new MemoryTransport();
+
+    first.peer = second;
+    second.peer = first;
+
+    return [first, second];
+};
+
+/**
+ * Open this end of the transport.
+ *
+ * @param {Function} fn
+ */
+MemoryTransport.prototype.open = function(fn) {
+    this.isOpen = true;
+    setImmediate(function() {
+        fn(false, true);
+    });
+};
+
+/**
+ * Write the given buffer to the peer.
+ *
+ * The data is delivered asynchronously, as it would be by any real connection.
+ *
+ * @param {Buffer} buffer
+ * @param {Function} fn
+ */
+MemoryTransport.prototype.write = function(buffer, fn) {
+    if (!this.isOpen) {
+        fn(new Error("Memory transport is not open."), 0);
+        return;
+    }
+
+    var data = new Buffer(buffer.length);
+    buffer.copy(data);
+
+    setImmediate(function() {
+        if (this.peer !== null && this.peer.isOpen) {
+            this.peer.emit("data", data);
+        }
+        fn(false, data.length);
+    }.bind(this));
+};
+
+/**
+ * Wait until all written data has been delivered.
+ *
+ * @param {Function} fn
+ */
+MemoryTransport.prototype.drain = function(fn) {
+    setImmediate(fn);
+};
+
+/**
+ * Close this end of the transport as well as its peer.
+ *
+ * @param {Function} fn
+ */
+MemoryTransport.prototype.close = function(fn) {
+    if (!this.isOpen) {
+        fn(new Error("Memory transport is not open."), false);
+        return;
+    }
+
+    this.isOpen = false;
+    setImmediate(function() {
+        this.emit("close");
+
+        if (this.peer !== null && this.peer.isOpen) {
+            this.peer.isOpen = false;
+            this.peer.emit("close");
+        }
+
+        fn(false, true);
+    }.bind(this));
+};
+
+exports.MemoryTransport = MemoryTransport;
@@ -9,7 +9,9 @@ var Promise = require("rsvp").Promise;
  *
  * The promise based version is identical to the one given, it allows non promise
  * calls by supplying all the arguments as usual. But if the callback function
- * is omitted it returns a promise instead.
+ * is omitted it returns a promise instead. Trailing optional arguments may be
+ * omitted in both cases: A function given as the last argument is always
+ * considered to be the callback.
  *
  * This function assumes that the given function has already been checked to be
  * a valid candidate for promise wrapping (last argument is a callback).
@@ -21,14 +23,18 @@ var wrapInPromise = function(originalFunction) {
     return function(/* variable arguments */) {
         var self = this;
 
-        if (arguments.length !== arity - 1) {
-            // If any other constelation then not providing the last argument callback
-            // is found we simply call through
+        if (arguments.length >= arity || typeof arguments[arguments.length - 1] === "function") {
+            // A callback has been given, possibly in place of omitted optional
+            // arguments, therefore we simply call through
             return originalFunction.apply(self, arguments);
         }
 
         var args = Array.prototype.slice.call(arguments);
 
+        // Omitted optional arguments are passed as undefined
+        while (args.length < arity - 1) {
+            args.push(undefined);
+        }
 
         // The callback has not been given lets promisify it
         return new Promise(function(resolve, reject) {
@@ -0,0 +1,205 @@
+/**
+ * Recording of the SLCP traffic between an {@link L8} and the host.
+ *
+ * Captures are written as [NDJSON](http://ndjson.org/), one JSON object per
+ * line. The first line is a header identifying the capture:
+ *
+ * ```
+ *  {"format": "slcp-capture", "version": 1, "start": "2015-01-01T12:00:00.000Z"}
+ * ```
+ *
+ * Every following line describes one complete frame:
+ *
+ * ```
+ *  {"time": 12, "direction": "sent", "frame": "aa55010101"}
+ *  {"time": 31, "direction": "received", "frame": "aa5501020e"}
+ * ```
+ *
+ * - `time`: msec since the start of the recording
+ * - `direction`: `sent` for frames sent to the L8, `received` for frames sent
+ *   by it, including firmware trace messages
+ * - `frame`: The complete raw frame including magic bytes and checksum as hex string
+ *
+ * Captures may be fed back to an L8 instance using a {@link ReplayTransport}.
+ *
+ * @module Recorder
+ */
+
+/**
+ * Identifier of the capture file format
+ *
+ * @type {String}
+ * @const
+ */
+var FORMAT = "slcp-capture";
+
+/**
+ * Version of the capture file format
+ *
+ * @type {Number}
+ * @const
+ */
+var VERSION = 1;
+
+/**
+ * Recorder writing all frames sent and received by an L8 to a writable stream.
+ *
+ * @example ```
+ *  var fs = require("fs");
+ *  var l8 = //...
+ *
+ *  var recorder = l8.record(fs.createWriteStream("l8.capture"));
+ *  // ...
+ *  recorder.stop();
+ * ```
+ *
+ * @param {L8} l8 Instance of the L8 to record.
+ * @param {stream.Writable} stream Stream the capture is written to.
+ *
+ * @constructor
+ */
+var Recorder = function(l8, stream) {
+    /**
+     * Instance of the L8 to record
+     *
+     * @type {L8}
+     * @private
+     */
+    this.l8_ = l8;
+
+    /**
+     * Stream the capture is written to
+     *
+     * @type {stream.Writable}
+     * @private
+     */
+    this.stream_ = stream;
+
+    /**
+     * Time the recording has been started at
+     *
+     * @type {Date}
+     * @private
+     */
+    this.start_ = null;
+
+    this.onFrameSent_ = this.onFrameSent_.bind(this);
+    this.onFrameReceived_ = this.onFrameReceived_.bind(this);
+    this.onTrace_ = this.onTrace_.bind(this);
+};
+
+/**
+ * Start recording.
+ *
+ * The header of the capture is written right away.
+ */
+Recorder.prototype.start = function() {
+    if (this.start_ !== null) {
+        return;
+    }
+
+    this.start_ = new Date();
+    this.write_({format: FORMAT, version: VERSION, start: this.start_.toISOString()});
+
+    this.l8_.on("frameSent", this.onFrameSent_);
+    this.l8_.on("frameReceived", this.onFrameReceived_);
+    this.l8_.on("trace", this.onTrace_);
+};
+
+/**
+ * Stop recording.
+ *
+ * The stream is not ended, as it is owned by the caller.
+ */
+Recorder.prototype.stop = function() {
+    this.l8_.removeListener("frameSent", this.onFrameSent_);
+    this.l8_.removeListener("frameReceived", this.onFrameReceived_);
+    this.l8_.removeListener("trace", this.onTrace_);
+};
+
+/**
+ * Write the given object as one line to the capture
+ *
+ * @param {Object} object
+ * @private
+ */
+Recorder.prototype.write_ = function(object) {
+    this.stream_.write(JSON.stringify(object) + "\n");
+};
+
+/**
+ * Write a frame to the capture
+ *
+ * @param {String} direction
+ * @param {Buffer} frame
+ * @private
+ */
+Recorder.prototype.record_ = function(direction, frame) {
+    this.write_({
+        time: Date.now() - this.start_.getTime(),
+        direction: direction,
+        frame: frame.toString("hex")
+    });
+};
+
+/**
+ * Callback executed every time the L8 sent a frame
+ *
+ * @param {Buffer} buffer
+ * @private
+ */
+Recorder.prototype.onFrameSent_ = function(buffer) {
+    this.record_("sent", buffer);
+};
+
+/**
+ * Callback executed every time the L8 received a frame
+ *
+ * @param {{raw: Buffer}} frame
+ * @private
+ */
+Recorder.prototype.onFrameReceived_ = function(frame) {
+    this.record_("received", frame.raw);
+};
+
+/**
+ * Callback executed every time the L8 received a trace message
+ *
+ * @param {{frame: {raw: Buffer}}} trace
+ * @private
+ */
+Recorder.prototype.onTrace_ = function(trace) {
+    this.record_("received", trace.frame.raw);
+};
+
+/**
+ * Parse the contents of a capture.
+ *
+ * The header as well as all recorded frames are returned. An error is thrown,
+ * if the content is not a capture in a supported version.
+ *
+ * @param {String|Buffer} content
+ * @returns {{header: {format: String, version: Number, start: String}, entries: {time: Number, direction: String, frame: String}[]}}
+ * @static
+ */
+Recorder.parse = function(content) {
+    var lines = content.toString("utf8").split("\n").filter(function(line) {
+        return line.trim() !== "";
+    }).map(function(line) {
+        return JSON.parse(line);
+    });
+
+    var header = lines.shift();
+    if (header === undefined || header.format !== FORMAT || header.version !== VERSION) {
+        throw new Error("Unsupported capture. Expected format " + FORMAT + " in version " + VERSION);
+    }
+
+    return {
+        header: header,
+        entries: lines
+    };
+};
+
+exports.FORMAT = FORMAT;
+exports.VERSION = VERSION;
+exports.Recorder = Recorder;
@@ -0,0 +1,240 @@
+var util = require("util");
+
+var Transport = require("./Transport").Transport;
+var Recorder = require("./Recorder").Recorder;
+
+/**
+ * Transport replaying a capture written by a {@link Recorder}.
+ *
+ * The transport plays the role of the recorded L8. Frames received during the
+ * recording are delivered to the {@link L8} using the transport, while frames
+ * sent during the recording are awaited from it:
+ *
+ * - After opening all received frames up to the first sent frame are delivered.
+ * - Every written frame is matched against the next sent frame of the capture.
+ *   All received frames following it are delivered afterwards, until the next
+ *   sent frame is reached.
+ *
+ * If a written frame differs from the recorded one, a `mismatch` event is
+ * fired, but the replay continues. Once the whole capture has been replayed
+ * the `end` event is fired. Frames written afterwards are not answered anymore.
+ *
+ * By default the recorded timing between the frames is honored. If the
+ * `realtime` option is set to `false` the capture is replayed as fast as
+ * possible.
+ *
+ * @example ```
+ *  var fs = require("fs");
+ *
+ *  var l8 = new L8(new ReplayTransport(fs.readFileSync("l8.capture"), {realtime: false}));
+ * ```
+ *
+ * @param {String|Buffer|{time: Number, direction: String, frame: String}[]} capture
+ *        Content of a capture or its already parsed entries
+ * @param {{realtime: Boolean?}} [options]
+ *
+ * @fires ReplayTransport#mismatch
+ * @fires ReplayTransport#end
+ *
+ * @constructor
+ * @extends Transport
+ */
+var ReplayTransport = function(capture, options) {
+    Transport.call(this);
+
+    options = options || {};
+
+    /**
+     * Recorded frames in the order they have been recorded
+     *
+     * @type {{time: Number, direction: String, frame: String}[]}
+     * @private
+     */
+    this.entries_ = Array.isArray(capture) ? capture : Recorder.parse(capture).entries;
+
+    /**
+     * Indicator whether the recorded timing is honored
+     *
+     * @type {boolean}
+     * @private
+     */
+    this.realtime_ = (options.realtime !== false);
+
+    /**
+     * Index of the next entry to be replayed
+     *
+     * @type {Number}
+     * @private
+     */
+    this.position_ = 0;
+
+    /**
+     * Frames written while received frames were still being delivered
+     *
+     * @type {Buffer[]}
+     * @private
+     */
+    this.pendingWrites_ = [];
+
+    /**
+     * Handle of the currently scheduled delivery
+     *
+     * @type {Object}
+     * @private
+     */
+    this.timer_ = null;
+
+    /**
+     * Indicator whether the replay is open
+     *
+     * @type {boolean}
+     */
+    this.isOpen = false;
+};
+util.inherits(ReplayTransport, Transport);
+
+/**
+ * Open the transport and start the replay from the beginning.
+ *
+ * @param {Function} fn
+ */
+ReplayTransport.prototype.open = function(fn) {
+    this.isOpen = true;
+    this.position_ = 0;
+    this.pendingWrites_ = [];
+
+    setImmediate(function() {
+        fn(false, true);
+        this.continue_();
+    }.bind(this));
+};
+
+/**
+ * Match the given frame against the capture.
+ *
+ * @param {Buffer} buffer
+ * @param {Function} fn
+ */
+ReplayTransport.prototype.write = function(buffer, fn) {
+    if (!this.isOpen) {
+        fn(new Error("Replay transport is not open."), 0);
+        return;
+    }
+
+    this.pendingWrites_.push(new Buffer(buffer));
+
+    setImmediate(function() {
+        fn(false, buffer.length);
+
+        if (this.timer_ === null) {
+            this.continue_();
+        }
+    }.bind(this));
+};
+
+/**
+ * Wait until all written data has been processed.
+ *
+ * @param {Function} fn
+ */
+ReplayTransport.prototype.drain = function(fn) {
+    setImmediate(fn);
+};
+
+/**
+ * Stop the replay.
+ *
+ * @param {Function} fn
+ */
+ReplayTransport.prototype.close = function(fn) {
+    if (!this.isOpen) {
+        fn(new Error("Replay transport is not open."), false);
+        return;
+    }
+
+    this.isOpen = false;
+    clearTimeout(this.timer_);
+    this.timer_ = null;
+
+    setImmediate(function() {
+        this.emit("close");
+        fn(false, true);
+    }.bind(this));
+};
+
+/**
+ * Replay as many entries as possible
+ *
+ * Received frames are delivered, until a sent frame is reached, which has not
+ * been written yet.
+ *
+ * @private
+ */
+ReplayTransport.prototype.continue_ = function() {
+    var entry = this.entries_[this.position_];
+
+    if (!this.isOpen || entry === undefined) {
+        return;
+    }
+
+    if (entry.direction === "sent") {
+        if (this.pendingWrites_.length === 0) {
+            // Wait for the L8 to write this frame
+            return;
+        }
+
+        var written = this.pendingWrites_.shift();
+        if (written.toString("hex") !== entry.frame) {
+            /**
+             * Event fired every time a written frame differs from the recorded one
+             *
+             * @event ReplayTransport#mismatch
+             * @type {{position: Number, expected: Buffer, actual: Buffer}}
+             */
+            this.emit("mismatch", {
+                position: this.position_,
+                expected: new Buffer(entry.frame, "hex"),
+                actual: written
+            });
+        }
+
+        this.advance_();
+        this.continue_();
+        return;
+    }
+
+    var previous = this.entries_[this.position_ - 1];
+    var delay = (this.realtime_ && previous !== undefined) ? Math.max(0, entry.time - previous.time) : 0;
+
+    this.timer_ = setTimeout(function() {
+        this.timer_ = null;
+
+        if (!this.isOpen) {
+            return;
+        }
+
+        this.emit("data", new Buffer(entry.frame, "hex"));
+        this.advance_();
+        this.continue_();
+    }.bind(this), delay);
+};
+
+/**
+ * Move on to the next entry of the capture
+ *
+ * @private
+ */
+ReplayTransport.prototype.advance_ = function() {
+    this.position_++;
+
+    if (this.position_ === this.entries_.length) {
+        /**
+         * Event fired once the whole capture has been replayed
+         *
+         * @event ReplayTransport#end
+         */
+        this.emit("end");
+    }
+};
+
+exports.ReplayTransport = ReplayTransport;
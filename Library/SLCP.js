@@ -2,6 +2,11 @@
  * @module SLCP
  */
 
+var CRC = require("crc");
+
+var L8ProtocolError = require("./Errors").L8ProtocolError;
+var Decoders = require("./Decoders");
+
 /**
  * All different kinds of command codes and responses defined by the SLCP
  * specification.
@@ -143,4 +148,582 @@ var CMD = {
     L8_NOTIFAPPS_SILENCE_RESPONSE: 0xA7
 };
 
+/**
+ * Magic byte sequence used to identify any SLCP command or response
+ *
+ * @type {Buffer}
+ * @const
+ */
+var MAGIC_BYTES = new Buffer("AA55", "hex");
+
+/**
+ * Build a frame in order to be sent to the L8
+ *
+ * An L8 frame has the following structure:
+ * ```
+ * MAGIC_BYTES|PayloadLength|Payload|PayloadCRC8
+ * ```
+ *
+ * The Payload consists of a command as well as optional arguments
+ *
+ * The command is an integer, as documented here:
+ * http://www.l8smartlight.com/dev/slcp/1.0/
+ *
+ * The {@link module:SLCP.CMD} object does encode all the specified commands into
+ * a human readable object structure. You may want to take a look at it, if you
+ * intend to use this method for sending raw commands.
+ *
+ * The parameters are documented in the specification as well. If a command does not have a
+ * parameter (eg. `CMD_PING`). The `parametersBuffer` argument to this function may
+ * be omitted.
+ *
+ * The parameters may be provided as a hex string or a Buffer object for convenience.
+ *
+ * The return value of this method is a ready to be sent Buffer, which can be
+ * given to {@link L8#sendFrame} for transmission.
+ *
+ * @param {Number} command
+ * @param {Buffer|String} [parametersBuffer]
+ * @returns {Buffer}
+ */
+var buildFrame = function(command, parametersBuffer) {
+    // Allow parameters to be buffer or hex string for convenience
+    if (typeof parametersBuffer === "string") {
+        parametersBuffer = new Buffer(parametersBuffer, "hex");
+    }
+
+    var commandBuffer = new Buffer(1);
+    commandBuffer[0] = command;
+
+    var fullPayloadBuffer;
+    // There are commands without parameters
+    if (parametersBuffer === null || parametersBuffer === undefined) {
+        fullPayloadBuffer = commandBuffer;
+    } else {
+        fullPayloadBuffer = Buffer.concat([
+            commandBuffer,
+            parametersBuffer
+        ], 1 + parametersBuffer.length);
+    }
+
+    if (fullPayloadBuffer.length > 0xFF) {
+        throw new RangeError("Frame payload is too long. Expected at most 255 bytes, got " + fullPayloadBuffer.length);
+    }
+
+    var contentLengthBuffer = new Buffer(1);
+    contentLengthBuffer[0] = fullPayloadBuffer.length;
+
+    var frameLength = 2 /*MAGIC_BYTES*/ + 1 /*LENGTH*/ + fullPayloadBuffer.length + 1 /*CHECKSUM*/;
+
+    var checksumBuffer = new Buffer(
+        CRC.crc8(fullPayloadBuffer),
+        "hex"
+    );
+
+    return Buffer.concat([
+        MAGIC_BYTES,
+        contentLengthBuffer,
+        fullPayloadBuffer,
+        checksumBuffer
+    ], frameLength);
+};
+
+/**
+ * Find the position of the next magic byte sequence inside the given buffer
+ *
+ * If no complete sequence is found, but the last byte may be the start of one,
+ * its position is returned. Otherwise the result is `length`.
+ *
+ * @param {Buffer} data
+ * @param {Number} length
+ * @returns {Number}
+ * @private
+ */
+var findMagicBytes_ = function(data, length) {
+    for (var index = 0; index < length; index++) {
+        if (data[index] === MAGIC_BYTES[0] && (index + 1 === length || data[index + 1] === MAGIC_BYTES[1])) {
+            return index;
+        }
+    }
+
+    return length;
+};
+
+/**
+ * Calculate the checksum of the frame starting at the given position
+ *
+ * @param {Buffer} data
+ * @param {Number} position
+ * @param {Number} frameLength
+ * @returns {{received: String, calculated: String}}
+ * @private
+ */
+var checksum_ = function(data, position, frameLength) {
+    return {
+        received: data.slice(position + frameLength - 1, position + frameLength).toString("hex"),
+        calculated: CRC.crc8(data.slice(position + 2 /*MAGIC*/ + 1 /*LENGTH*/, position + frameLength - 1))
+    };
+};
+
+/**
+ * Find the position of the next complete frame with a valid checksum
+ *
+ * Only positions starting at `offset` are considered. If no such frame is
+ * found `-1` is returned.
+ *
+ * @param {Buffer} data
+ * @param {Number} offset
+ * @param {Number} length
+ * @returns {Number}
+ * @private
+ */
+var findValidFrame_ = function(data, offset, length) {
+    for (var position = offset; position + 4 <= length; position++) {
+        if (data[position] !== MAGIC_BYTES[0] || data[position + 1] !== MAGIC_BYTES[1] || data[position + 2] === 0) {
+            continue;
+        }
+
+        var frameLength = 2 /*MAGIC*/ + 1 /*LENGTH*/ + data[position + 2] + 1 /*CHECKSUM*/;
+        if (position + frameLength > length) {
+            continue;
+        }
+
+        var checksum = checksum_(data, position, frameLength);
+        if (checksum.received === checksum.calculated) {
+            return position;
+        }
+    }
+
+    return -1;
+};
+
+/**
+ * Remove the given amount of bytes from the beginning of the receiveBuffer
+ *
+ * @param {{buffer: Buffer, length: Number}} receiveBuffer
+ * @param {Number} count
+ * @returns {Buffer} Copy of the removed bytes
+ * @private
+ */
+var consume_ = function(receiveBuffer, count) {
+    var removed = new Buffer(count);
+    receiveBuffer.buffer.copy(removed, 0, 0, count);
+    receiveBuffer.buffer.copy(receiveBuffer.buffer, 0, count, receiveBuffer.length);
+    receiveBuffer.length -= count;
+    return removed;
+};
+
+/**
+ * Try to parse as many frames out of the given receiveBuffer, as possible.
+ *
+ * The response is either an array containing a frame definition or `false` if the frame wasn't complete yet.
+ *
+ * The parser never throws on invalid data. Bytes not belonging to a frame are
+ * skipped until the next magic byte sequence is found. Frames with an invalid
+ * length or checksum are dropped. All discarded data is reported to the
+ * optional `onProtocolError` callback in form of an {@link L8ProtocolError}.
+ *
+ * If the checksum of a frame does not match, only its magic bytes are dropped,
+ * as a corrupted length may have swallowed the following frames. Parsing
+ * continues with the next magic byte sequence.
+ *
+ * Incomplete frames are kept until the rest of them has been received. Only if
+ * `resync` is set or the receiveBuffer is full, the received data is searched
+ * for a following complete frame with a valid checksum. If there is one, the
+ * incomplete frame is assumed to have a corrupted length and dropped.
+ * Otherwise a single wrong length byte would stall the parser until up to 259
+ * bytes have been received. Resynchronizing is not done right away, as large
+ * payloads may contain something looking like a valid frame by chance, while
+ * their remaining bytes are still in transit.
+ *
+ * @param {{buffer: Buffer, length: Number}} receiveBuffer
+ * @param {Function} [onProtocolError]
+ * @param {Boolean} [resync]
+ * @returns {{command: Number, parameters: Buffer, checksum: String, payloadLength: Number, payload: Buffer, raw: Buffer}[]|Boolean}
+ */
+var parseFrames = function(receiveBuffer, onProtocolError, resync) {
+    var frames = [];
+    var data = receiveBuffer.buffer;
+
+    var discard = function(count, reason, message) {
+        var discarded = consume_(receiveBuffer, count);
+        if (onProtocolError) {
+            onProtocolError(new L8ProtocolError(message, reason, discarded));
+        }
+    };
+
+    while(receiveBuffer.length > 0) {
+        // Skip everything in front of the next magic bytes
+        var magicPosition = findMagicBytes_(data, receiveBuffer.length);
+        if (magicPosition > 0) {
+            discard(magicPosition, "garbage", "Invalid L8 response. Skipped " + magicPosition + " bytes without magic bytes");
+            continue;
+        }
+
+        if (receiveBuffer.length < 4) {
+            // The minimum message is 4 byte. Therefore we need to wait for more data
+            break;
+        }
+
+        var payloadLength = data[2];
+
+        if (payloadLength === 0) {
+            // Every payload contains at least the command
+            discard(3, "length", "Invalid L8 response. Payload length of zero");
+            continue;
+        }
+
+        var frameLength = 2 /*MAGIC*/ + 1 /*LENGTH*/ + payloadLength + 1 /*CHECKSUM*/;
+
+        if (receiveBuffer.length < frameLength) {
+            if (!resync && receiveBuffer.length < data.length) {
+                // Not yet complete
+                break;
+            }
+
+            var nextFrame = findValidFrame_(data, 2, receiveBuffer.length);
+            if (nextFrame === -1) {
+                // Not yet complete
+                break;
+            }
+
+            discard(nextFrame, "length", "Invalid L8 response. Incomplete frame of " + frameLength + " bytes followed by another frame");
+            continue;
+        }
+
+        var checksum = checksum_(data, 0, frameLength);
+        var receivedChecksum = checksum.received;
+        var calculatedChecksum = checksum.calculated;
+
+        if (calculatedChecksum !== receivedChecksum) {
+            discard(2, "checksum", "Response checksum did not match. Expected " + receivedChecksum + " got " + calculatedChecksum);
+            continue;
+        }
+
+        // We need this buffer later on, after the receive buffer has already changed its state
+        // Therefore it is copied
+        var raw = consume_(receiveBuffer, frameLength);
+        var payloadBuffer = raw.slice(2 /*MAGIC*/ + 1 /*LENGTH*/, frameLength - 1);
+
+        // Yeah! We got a valid response let's decode it ;)
+        frames.push({
+            command: payloadBuffer[0],
+            parameters: payloadBuffer.slice(1, payloadBuffer.length),
+            checksum: receivedChecksum,
+            payloadLength: payloadLength,
+            payload: payloadBuffer,
+            raw: raw
+        });
+    }
+
+    if (frames.length === 0) {
+        return false;
+    } else {
+        return frames;
+    }
+};
+
+/**
+ * Retrieve the symbolic name of the given command code.
+ *
+ * The name is the key of the code inside {@link module:SLCP.CMD}. Unknown
+ * codes are returned as hex string (eg. `0xff`).
+ *
+ * @param {Number} command
+ * @returns {String}
+ */
+var commandName = function(command) {
+    var names = Object.keys(CMD).filter(function(name) {
+        return CMD[name] === command;
+    });
+
+    return (names.length > 0) ? names[0] : "0x" + ("0" + command.toString(16)).slice(-2);
+};
+
+/**
+ * Decode the parameters of a frame, which only consist of an id
+ *
+ * @param {Buffer} parameters
+ * @returns {{id: Number}}
+ * @private
+ */
+var idParameters_ = function(parameters) {
+    return {id: parameters[0]};
+};
+
+/**
+ * Decode the parameters of a frame, which only consist of a flag
+ *
+ * @param {Buffer} parameters
+ * @returns {{enabled: Boolean}}
+ * @private
+ */
+var flagParameters_ = function(parameters) {
+    return {enabled: Decoders.flag(parameters)};
+};
+
+/**
+ * Decode the parameters of a frame setting 16 bit sensor thresholds
+ *
+ * @param {Buffer} parameters
+ * @returns {{min: Number, max: Number}}
+ * @private
+ */
+var thresholdParameters_ = function(parameters) {
+    return {min: parameters.readUInt16BE(0), max: parameters.readUInt16BE(2)};
+};
+
+/**
+ * Decode an RGB color with 1 byte per component
+ *
+ * @param {Buffer} parameters
+ * @param {Number} offset
+ * @returns {{r: Number, g: Number, b: Number}}
+ * @private
+ */
+var rgbSingleColor_ = function(parameters, offset) {
+    return {r: parameters[offset], g: parameters[offset + 1], b: parameters[offset + 2]};
+};
+
+/**
+ * Decoders of the parameters of all commands and responses, indexed by their code
+ *
+ * Commands without an entry are decoded into a hex string of their parameters.
+ *
+ * @type {Object.<Number, Function>}
+ * @private
+ */
+var PARAMETER_DECODERS_ = {};
+
+PARAMETER_DECODERS_[CMD.OK] = function(parameters) {
+    if (parameters.length === 0) {
+        // Acknowledgement without the command it refers to
+        return {};
+    }
+    return {command: commandName(parameters[0]), parameters: parameters.slice(1).toString("hex")};
+};
+PARAMETER_DECODERS_[CMD.ERR] = function(parameters) {
+    if (parameters.length === 0) {
+        return {};
+    }
+    return {command: commandName(parameters[0])};
+};
+PARAMETER_DECODERS_[CMD.FLASH_WRITE] = function(parameters) {
+    return {address: parameters.readUInt32BE(0), data: parameters.slice(4).toString("hex")};
+};
+PARAMETER_DECODERS_[CMD.FLASH_READ] = function(parameters) {
+    return {address: parameters.readUInt32BE(0), length: parameters[4]};
+};
+PARAMETER_DECODERS_[CMD.L8_LED_SET] = function(parameters) {
+    return {x: parameters[1], y: parameters[0], color: Decoders.bgrSingleColor(parameters, 2)};
+};
+PARAMETER_DECODERS_[CMD.L8_SUPERLED_SET] = function(parameters) {
+    return Decoders.bgrSingleColor(parameters, 0);
+};
+PARAMETER_DECODERS_[CMD.L8_ACC_RESPONSE] = function(parameters) {
+    return {
+        x: parameters[0],
+        y: parameters[1],
+        z: parameters[2],
+        lying: (parameters[3] === 2) ? "up" : "upside_down",
+        orientation: Decoders.orientation(parameters[4]),
+        tap: (parameters[5] === 1),
+        shake: (parameters[6] !== 0)
+    };
+};
+PARAMETER_DECODERS_[CMD.L8_DISP_CHAR] = function(parameters) {
+    return {color: rgbSingleColor_(parameters, 0), character: String.fromCharCode(parameters[3])};
+};
+PARAMETER_DECODERS_[CMD.L8_SET_ORIENTATION] = function(parameters) {
+    return {orientation: Decoders.orientation(parameters[0])};
+};
+PARAMETER_DECODERS_[CMD.L8_APP_RUN] = function(parameters) {
+    return {application: parameters[0]};
+};
+PARAMETER_DECODERS_[CMD.L8_SET_TEXT] = function(parameters) {
+    return {
+        loop: (parameters[0] !== 0),
+        speed: parameters[1],
+        color: rgbSingleColor_(parameters, 2),
+        text: parameters.slice(5).toString("ascii")
+    };
+};
+PARAMETER_DECODERS_[CMD.L8_TRACE_MSG] = function(parameters) {
+    return {message: parameters.toString("ascii").replace(/[\u0000\r\n]+$/, "")};
+};
+PARAMETER_DECODERS_[CMD.L8_PLAY_ANIM] = function(parameters) {
+    return {id: parameters[0], loop: (parameters[1] !== 0)};
+};
+PARAMETER_DECODERS_[CMD.L8_NOTIFAPP_ENABLE] = function(parameters) {
+    return {id: parameters[0], enabled: (parameters[1] !== 0)};
+};
+PARAMETER_DECODERS_[CMD.L8_NOISE_THRESHOLDS_SET] = function(parameters) {
+    return {min: parameters[0], max: parameters[1]};
+};
+
+[CMD.L8_MATRIX_SET, CMD.L8_STORE_L8Y, CMD.L8_READ_L8Y_RESPONSE, CMD.L8_STORE_FRAME, CMD.L8_READ_FRAME_RESPONSE, CMD.L8_FRAMEGRAB_RESPONSE].forEach(function(command) {
+    PARAMETER_DECODERS_[command] = Decoders.matrix;
+});
+[CMD.L8_STORE_L8Y_RESPONSE, CMD.L8_READ_L8Y, CMD.L8_SET_STORED_L8Y, CMD.L8_DELETE_L8Y, CMD.L8_STORE_FRAME_RESPONSE, CMD.L8_READ_FRAME, CMD.L8_DELETE_FRAME, CMD.L8_STORE_ANIM_RESPONSE, CMD.L8_READ_ANIM, CMD.L8_DELETE_ANIM, CMD.L8_NOTIFAPP_QUERY, CMD.L8_NOTIFAPP_DELETE, CMD.L8_SET_NOTIFICATION].forEach(function(command) {
+    PARAMETER_DECODERS_[command] = idParameters_;
+});
+[CMD.L8_SET_AUTOROTATE, CMD.L8_SET_LOW_BRIGHTNESS, CMD.L8_STATUSLEDS_ENABLE, CMD.L8_NOTIFAPPS_ENABLE_ALL, CMD.L8_NOTIFAPPS_SILENCE, CMD.L8_NOTIFAPPS_SILENCE_RESPONSE].forEach(function(command) {
+    PARAMETER_DECODERS_[command] = flagParameters_;
+});
+[CMD.L8_NUML8IES_RESPONSE, CMD.L8_NUMANIMS_RESPONSE, CMD.L8_NUMFRAMES_RESPONSE, CMD.L8_NOTIFAPPS_NUM_RESPONSE].forEach(function(command) {
+    PARAMETER_DECODERS_[command] = Decoders.count;
+});
+[CMD.L8_PROX_THRESHOLDS_SET, CMD.L8_AMB_THRESHOLDS_SET].forEach(function(command) {
+    PARAMETER_DECODERS_[command] = thresholdParameters_;
+});
+
+PARAMETER_DECODERS_[CMD.L8_VOLTAGE_RESPONSE] = Decoders.voltage;
+PARAMETER_DECODERS_[CMD.L8_TEMP_RESPONSE] = Decoders.temperature;
+PARAMETER_DECODERS_[CMD.L8_MCUTEMP_RESPONSE] = Decoders.temperature;
+PARAMETER_DECODERS_[CMD.L8_UID_RESPONSE] = Decoders.uid;
+PARAMETER_DECODERS_[CMD.L8_AMBIENT_RESPONSE] = Decoders.percentageSensor;
+PARAMETER_DECODERS_[CMD.L8_PROX_RESPONSE] = Decoders.percentageSensor;
+PARAMETER_DECODERS_[CMD.L8_TOTALMEM_RESPONSE] = Decoders.memory;
+PARAMETER_DECODERS_[CMD.L8_FREEMEM_RESPONSE] = Decoders.memory;
+PARAMETER_DECODERS_[CMD.L8_MODE_SET] = Decoders.mode;
+PARAMETER_DECODERS_[CMD.L8_MODE_RESPONSE] = Decoders.mode;
+PARAMETER_DECODERS_[CMD.L8_VERSIONS_RESPONSE] = Decoders.versions;
+PARAMETER_DECODERS_[CMD.L8_BUTTON_RESPONSE] = Decoders.button;
+PARAMETER_DECODERS_[CMD.L8_MIC_RESPONSE] = Decoders.mic;
+PARAMETER_DECODERS_[CMD.L8_VBUS_RESPONSE] = Decoders.vbus;
+PARAMETER_DECODERS_[CMD.L8_BATCHG_RESPONSE] = Decoders.batteryCharge;
+PARAMETER_DECODERS_[CMD.L8_STORE_ANIM] = Decoders.animation;
+PARAMETER_DECODERS_[CMD.L8_READ_ANIM_RESPONSE] = Decoders.animation;
+PARAMETER_DECODERS_[CMD.L8_TIME_SET] = Decoders.time;
+PARAMETER_DECODERS_[CMD.L8_TIME_RESPONSE] = Decoders.time;
+PARAMETER_DECODERS_[CMD.L8_ORIENTATION_RESPONSE] = Decoders.orientationResponse;
+PARAMETER_DECODERS_[CMD.L8_NOTIFAPP_RESPONSE] = Decoders.notificationApp;
+PARAMETER_DECODERS_[CMD.L8_SENSORS_THRESHOLDS_RESPONSE] = Decoders.sensorThresholds;
+
+/**
+ * Decode raw SLCP traffic into a human readable form.
+ *
+ * The `input` is either a Buffer or a hex string, which may contain whitespace.
+ * It is split into frames using the same rules as {@link module:SLCP.parseFrames}.
+ * The result is an array of all found frames and protocol errors in the order
+ * they occurred:
+ *
+ * ```
+ *  {
+ *      offset: Number, // Position inside the input
+ *      raw: Buffer,
+ *      valid: Boolean,
+ *      command: Number, // Only for valid frames
+ *      name: String, // Symbolic command name, see module:SLCP.CMD
+ *      parameters: Buffer,
+ *      decoded: *, // Decoded parameters, eg. colors, coordinates or sensor values
+ *      error: String // Description of the protocol error or invalid parameters
+ *  }
+ * ```
+ *
+ * Incomplete data at the end of the input is reported as an error as well.
+ *
+ * Use {@link module:SLCP.format} to turn the entries into printable text.
+ *
+ * @param {Buffer|String} input
+ * @returns {Object[]}
+ */
+var decode = function(input) {
+    if (typeof input === "string") {
+        input = new Buffer(input.replace(/\s+/g, ""), "hex");
+    }
+
+    var receiveBuffer = {
+        buffer: new Buffer(input),
+        length: input.length
+    };
+    var errors = [];
+
+    var frames = parseFrames(receiveBuffer, function(error) {
+        // Everything in front of the remaining data has been consumed already
+        errors.push({
+            offset: input.length - receiveBuffer.length - error.data.length,
+            raw: error.data,
+            valid: false,
+            error: error.message
+        });
+    }) || [];
+
+    if (receiveBuffer.length > 0) {
+        errors.push({
+            offset: input.length - receiveBuffer.length,
+            raw: receiveBuffer.buffer.slice(0, receiveBuffer.length),
+            valid: false,
+            error: "Incomplete frame"
+        });
+    }
+
+    var entries = [];
+    var offset = 0;
+
+    frames.forEach(function(frame) {
+        while (errors.length > 0 && errors[0].offset === offset) {
+            offset += errors[0].raw.length;
+            entries.push(errors.shift());
+        }
+
+        var entry = {
+            offset: offset,
+            raw: frame.raw,
+            valid: true,
+            command: frame.command,
+            name: commandName(frame.command),
+            parameters: frame.parameters,
+            decoded: frame.parameters.toString("hex")
+        };
+
+        if (PARAMETER_DECODERS_[frame.command] !== undefined) {
+            try {
+                entry.decoded = PARAMETER_DECODERS_[frame.command](frame.parameters, 0);
+            } catch (error) {
+                entry.error = "Invalid parameters: " + error.message;
+            }
+        }
+
+        offset += frame.raw.length;
+        entries.push(entry);
+    });
+
+    return entries.concat(errors);
+};
+
+/**
+ * Format an entry created by {@link module:SLCP.decode} as single line of text.
+ *
+ * @example ```
+ *  SLCP.decode("aa55044f010000").map(SLCP.format);
+ * ```
+ *
+ * @param {Object} entry
+ * @returns {String}
+ */
+var format = function(entry) {
+    if (!entry.valid) {
+        return "!! " + entry.error + " (" + entry.raw.toString("hex") + ")";
+    }
+
+    var line = entry.name;
+    if (entry.parameters.length > 0) {
+        line += " " + JSON.stringify(entry.decoded);
+    }
+
+    if (entry.error !== undefined) {
+        line += " !! " + entry.error;
+    }
+
+    return line;
+};
+
 exports.CMD = CMD;
+exports.MAGIC_BYTES = MAGIC_BYTES;
+exports.buildFrame = buildFrame;
+exports.parseFrames = parseFrames;
+exports.commandName = commandName;
+exports.decode = decode;
+exports.format = format;
+
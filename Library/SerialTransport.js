@@ -0,0 +1,219 @@
+var util = require("util");
+
+var Transport = require("./Transport").Transport;
+
+/**
+ * Transport communicating with an L8 over a serial port.
+ *
+ * This is the transport used by default, if an {@link L8} is created with a
+ * port path. It is based upon
+ * [node-serialport](https://github.com/serialport/node-serialport), which
+ * is only loaded once it is needed for the first time. If it can't be loaded,
+ * for example because its native extension has not been built, the error is
+ * given to the callback of the failed operation.
+ *
+ * If no baudrate is specified a default speed of `115200` will be used.
+ *
+ * @param {String} port
+ * @param {Number} [baudrate]
+ * @constructor
+ * @extends Transport
+ */
+var SerialTransport = function(port, baudrate) {
+    Transport.call(this);
+
+    /**
+     * Serial port, which is used to connect to the L8.
+     *
+     * @type {String}
+     */
+    this.port = port;
+
+    /**
+     * Baudrate to be used while connecting to the L8
+     *
+     * @type {Number}
+     * @private
+     */
+    this.baudrate_ = baudrate || 115200;
+
+    /**
+     * SerialPort connection used for communication
+     *
+     * @type {SerialPort}
+     * @private
+     */
+    this.serialport_ = null;
+};
+util.inherits(SerialTransport, Transport);
+
+/**
+ * Load the SerialPort class of node-serialport and hand it to the callback
+ *
+ * @param {Function} fn
+ * @private
+ */
+var loadSerialPort_ = function(fn) {
+    var SerialPort;
+
+    try {
+        SerialPort = require("serialport").SerialPort;
+    } catch (error) {
+        fn(error, false);
+        return;
+    }
+
+    fn(false, SerialPort);
+};
+
+/**
+ * List all serial ports available on this machine.
+ *
+ * The data given to the callback is an array of objects with the following
+ * structure:
+ *
+ * ```
+ *  {
+ *      port: String, // Path of the port, as accepted by the constructor
+ *      manufacturer: String,
+ *      serialNumber: String,
+ *      vendorId: String,
+ *      productId: String
+ *  }
+ * ```
+ *
+ * @param {Function} fn
+ * @static
+ */
+SerialTransport.list = function(fn) {
+    loadSerialPort_(function(error, SerialPort) {
+        if (error) {
+            fn(error, false);
+            return;
+        }
+
+        // The callback is invoked on the next tick in order to leave the
+        // promise chain. Otherwise errors thrown by it would be swallowed.
+        SerialPort.list().then(function(ports) {
+            process.nextTick(fn, false, ports.map(function(port) {
+                return {
+                    port: port.path,
+                    manufacturer: port.manufacturer,
+                    serialNumber: port.serialNumber,
+                    vendorId: port.vendorId,
+                    productId: port.productId
+                };
+            }));
+        }, function(error) {
+            process.nextTick(fn, error, false);
+        });
+    });
+};
+
+/**
+ * Open the serial port.
+ *
+ * @param {Function} fn
+ */
+SerialTransport.prototype.open = function(fn) {
+    loadSerialPort_(function(error, SerialPort) {
+        if (error) {
+            fn(error, false);
+            return;
+        }
+
+        this.openPort_(SerialPort, fn);
+    }.bind(this));
+};
+
+/**
+ * Open the serial port using the given SerialPort class
+ *
+ * @param {Function} SerialPort
+ * @param {Function} fn
+ * @private
+ */
+SerialTransport.prototype.openPort_ = function(SerialPort, fn) {
+    var serialport = new SerialPort({
+        path: this.port,
+        baudRate: this.baudrate_,
+        dataBits: 8,
+        stopBits: 1,
+        parity: "none",
+        autoOpen: false
+    });
+
+    serialport.on("data", function(data) {
+        this.emit("data", data);
+    }.bind(this));
+
+    serialport.on("close", function() {
+        if (this.serialport_ === serialport) {
+            this.serialport_ = null;
+        }
+        this.emit("close");
+    }.bind(this));
+
+    serialport.on("error", function(error) {
+        this.emit("error", error);
+    }.bind(this));
+
+    this.serialport_ = serialport;
+    serialport.open(function(error) {
+        if (error) {
+            this.serialport_ = null;
+        }
+
+        fn(error, !error);
+    }.bind(this));
+};
+
+/**
+ * Write the given buffer to the serial port.
+ *
+ * @param {Buffer} buffer
+ * @param {Function} fn
+ */
+SerialTransport.prototype.write = function(buffer, fn) {
+    if (this.serialport_ === null) {
+        fn(new Error("Serial port " + this.port + " is not open."), 0);
+        return;
+    }
+
+    this.serialport_.write(buffer, fn);
+};
+
+/**
+ * Wait until all written data has been transmitted.
+ *
+ * @param {Function} fn
+ */
+SerialTransport.prototype.drain = function(fn) {
+    if (this.serialport_ === null) {
+        fn(new Error("Serial port " + this.port + " is not open."));
+        return;
+    }
+
+    this.serialport_.drain(fn);
+};
+
+/**
+ * Close the serial port.
+ *
+ * @param {Function} fn
+ */
+SerialTransport.prototype.close = function(fn) {
+    var serialport = this.serialport_;
+
+    if (serialport === null) {
+        fn(new Error("Serial port " + this.port + " is not open."), false);
+        return;
+    }
+
+    this.serialport_ = null;
+    serialport.close(function(error) {
+        fn(error, !error);
+    });
+};
+
+exports.SerialTransport = SerialTransport;
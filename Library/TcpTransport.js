@@ -0,0 +1,190 @@
+var util = require("util");
+var net = require("net");
+
+var Transport = require("./Transport").Transport;
+
+/**
+ * Transport communicating with an L8 over a TCP connection.
+ *
+ * This is useful for L8s attached to another machine, which exposes their
+ * serial port using a network to serial bridge like `ser2net`.
+ *
+ * @example ```
+ *  var L8 = require("l8smartlight").L8;
+ *  var TcpTransport = require("l8smartlight").TcpTransport;
+ *
+ *  var l8 = new L8(new TcpTransport("raspberrypi.local", 2000));
+ * ```
+ *
+ * @param {String} host
+ * @param {Number} port
+ * @constructor
+ * @extends Transport
+ */
+var TcpTransport = function(host, port) {
+    Transport.call(this);
+
+    /**
+     * Host the bridge is running on
+     *
+     * @type {String}
+     */
+    this.host = host;
+
+    /**
+     * TCP port the bridge is listening on
+     *
+     * @type {Number}
+     */
+    this.port = port;
+
+    /**
+     * Socket used for communication
+     *
+     * @type {net.Socket}
+     * @private
+     */
+    this.socket_ = null;
+
+    /**
+     * Callbacks waiting for the socket to be drained
+     *
+     * @type {Function[]}
+     * @private
+     */
+    this.drainCallbacks_ = [];
+};
+util.inherits(TcpTransport, Transport);
+
+/**
+ * Connect to the bridge.
+ *
+ * @param {Function} fn
+ */
+TcpTransport.prototype.open = function(fn) {
+    var socket = net.connect(this.port, this.host);
+
+    var onConnectError = function(error) {
+        this.socket_ = null;
+        fn(error, false);
+    }.bind(this);
+
+    socket.once("error", onConnectError);
+    socket.once("connect", function() {
+        socket.removeListener("error", onConnectError);
+        socket.on("error", function(error) {
+            this.emit("error", error);
+        }.bind(this));
+        fn(false, true);
+    }.bind(this));
+
+    socket.on("data", function(data) {
+        this.emit("data", data);
+    }.bind(this));
+
+    socket.on("drain", this.onDrain_.bind(this));
+
+    socket.on("close", function() {
+        if (this.socket_ !== socket) {
+            return;
+        }
+
+        this.socket_ = null;
+        this.onDrain_();
+        this.emit("close");
+    }.bind(this));
+
+    this.socket_ = socket;
+};
+
+/**
+ * Write the given buffer to the socket.
+ *
+ * @param {Buffer} buffer
+ * @param {Function} fn
+ */
+TcpTransport.prototype.write = function(buffer, fn) {
+    if (this.socket_ === null) {
+        fn(new Error("TCP connection to " + this.host + ":" + this.port + " is not open."), 0);
+        return;
+    }
+
+    this.socket_.write(buffer, function(error) {
+        fn(error, error ? 0 : buffer.length);
+    });
+};
+
+/**
+ * Wait until all written data has been handed to the operating system.
+ *
+ * @param {Function} fn
+ */
+TcpTransport.prototype.drain = function(fn) {
+    if (this.socket_ === null || this.socket_.bufferSize === 0) {
+        setImmediate(fn);
+        return;
+    }
+
+    this.drainCallbacks_.push(fn);
+};
+
+/**
+ * Callback executed once the socket has been drained
+ *
+ * @private
+ */
+TcpTransport.prototype.onDrain_ = function() {
+    var callbacks = this.drainCallbacks_;
+    this.drainCallbacks_ = [];
+
+    callbacks.forEach(function(callback) {
+        callback();
+    });
+};
+
+/**
+ * Time in msec to wait for the bridge to close its side of the connection,
+ * before the socket is destroyed
+ *
+ * @type {Number}
+ */
+TcpTransport.CLOSE_TIMEOUT = 1000;
+
+/**
+ * Close the connection to the bridge.
+ *
+ * The socket is ended gracefully. If the bridge does not close its side within
+ * {@link TcpTransport.CLOSE_TIMEOUT} msec the socket is destroyed. Data and
+ * errors received while closing are dropped.
+ *
+ * @param {Function} fn
+ */
+TcpTransport.prototype.close = function(fn) {
+    var socket = this.socket_;
+
+    if (socket === null) {
+        fn(new Error("TCP connection to " + this.host + ":" + this.port + " is not open."), false);
+        return;
+    }
+
+    this.socket_ = null;
+    socket.removeAllListeners("data");
+    socket.removeAllListeners("error");
+    socket.on("error", function() {
+        // The socket is destroyed anyway
+    });
+
+    var timer = setTimeout(function() {
+        socket.destroy();
+    }, TcpTransport.CLOSE_TIMEOUT);
+
+    socket.once("close", function() {
+        clearTimeout(timer);
+        this.onDrain_();
+        this.emit("close");
+        fn(false, true);
+    }.bind(this));
+    socket.end();
+};
+
+exports.TcpTransport = TcpTransport;
@@ -0,0 +1,114 @@
+var util = require("util");
+var EventEmitter = require("events").EventEmitter;
+
+/**
+ * Interface of all transports an {@link L8} is able to communicate over.
+ *
+ * A transport is responsible for moving raw bytes between the library and
+ * an L8. It does not know anything about the SLCP protocol itself.
+ *
+ * Every transport is an EventEmitter, which implements the methods `open`,
+ * `write`, `drain` and `close` documented below. Received bytes are announced
+ * using the `data` event. If the connection vanishes the `close` event is
+ * fired. Errors of an established connection are reported using the `error`
+ * event. An {@link L8} treats them like a vanished connection.
+ *
+ * The library provides the following implementations:
+ *
+ * - {@link SerialTransport} for L8s attached via USB or Bluetooth serial ports
+ * - {@link TcpTransport} for L8s behind a network to serial bridge
+ * - {@link MemoryTransport} for in-process communication, for example in tests
+ * - {@link L8Emulator} for talking to an emulated L8 without any hardware
+ * - {@link ReplayTransport} for replaying traffic captured by a {@link Recorder}
+ *
+ * Custom transports may either inherit from this class or simply provide the
+ * same methods and events.
+ *
+ * @fires Transport#data
+ * @fires Transport#close
+ * @fires Transport#error
+ *
+ * @constructor
+ */
+var Transport = function() {
+    EventEmitter.call(this);
+};
+util.inherits(Transport, EventEmitter);
+
+/**
+ * Check whether the given object implements the transport interface.
+ *
+ * @param {*} candidate
+ * @returns {boolean}
+ * @static
+ */
+Transport.isTransport = function(candidate) {
+    if (candidate === null || typeof candidate !== "object") {
+        return false;
+    }
+
+    return ["open", "write", "drain", "close", "on"].every(function(method) {
+        return typeof candidate[method] === "function";
+    });
+};
+
+/**
+ * Open the connection.
+ *
+ * @param {Function} fn
+ */
+Transport.prototype.open = function(fn) {
+    throw new Error("Transport#open is not implemented.");
+};
+
+/**
+ * Write the given buffer to the connection.
+ *
+ * The number of written bytes is given to the callback.
+ *
+ * @param {Buffer} buffer
+ * @param {Function} fn
+ */
+Transport.prototype.write = function(buffer, fn) {
+    throw new Error("Transport#write is not implemented.");
+};
+
+/**
+ * Wait until all written data has been transmitted.
+ *
+ * @param {Function} fn
+ */
+Transport.prototype.drain = function(fn) {
+    throw new Error("Transport#drain is not implemented.");
+};
+
+/**
+ * Close the connection.
+ *
+ * @param {Function} fn
+ */
+Transport.prototype.close = function(fn) {
+    throw new Error("Transport#close is not implemented.");
+};
+
+/**
+ * Event fired every time data has been received
+ *
+ * @event Transport#data
+ * @type {Buffer}
+ */
+
+/**
+ * Event fired once the connection has been closed
+ *
+ * @event Transport#close
+ */
+
+/**
+ * Event fired if an established connection failed
+ *
+ * @event Transport#error
+ * @type {Error}
+ */
+
+exports.Transport = Transport;
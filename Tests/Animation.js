@@ -0,0 +1,103 @@
+/* globals describe, it, beforeEach, afterEach */
+var assert = require("assert");
+
+var Animation = require("../Library/Animation").Animation;
+var EmulatedL8 = require("./Support/EmulatedL8");
+
+/**
+ * Create a matrix, whose LEDs all have the given color
+ *
+ * @param {{r: Number, g: Number, b: Number}} color
+ * @returns {Array}
+ */
+var createMatrix = function(color) {
+    var matrix = [];
+
+    for (var index = 0; index < 64; index++) {
+        matrix.push(color);
+    }
+
+    return matrix;
+};
+
+describe("Animation", function() {
+    var l8, emulator;
+
+    beforeEach(function(done) {
+        EmulatedL8.connect(undefined, null, function(error, connected) {
+            l8 = connected.l8;
+            emulator = connected.emulator;
+            done(error);
+        });
+    });
+
+    afterEach(function(done) {
+        l8.close(done);
+    });
+
+    var prepare = function(fn) {
+        l8.prepareAnimation(
+            [createMatrix({r: 15, g: 0, b: 0}), createMatrix({r: 0, g: 0, b: 15})],
+            [140, 500],
+            fn
+        );
+    };
+
+    it("stores the frames and the animation, rounding the durations", function(done) {
+        prepare(function(error, animation) {
+            assert.strictEqual(error, false);
+            assert.ok(animation instanceof Animation);
+            assert.deepEqual(animation.frames, [0, 1]);
+            assert.deepEqual(animation.durations, [100, 500]);
+
+            l8.readAnimation(animation.id, function(error, stored) {
+                assert.strictEqual(error, false);
+                assert.deepEqual(stored, {frames: [0, 1], durations: [100, 500]});
+
+                l8.readFrame(1, function(error, matrix) {
+                    assert.strictEqual(error, false);
+                    assert.deepEqual(matrix, createMatrix({r: 0, g: 0, b: 15}));
+                    done();
+                });
+            });
+        });
+    });
+
+    it("plays and stops the animation", function(done) {
+        prepare(function(error, animation) {
+            animation.play(true, function(error) {
+                assert.strictEqual(error, false);
+
+                // Playing is not acknowledged. The pong is received once it has been processed.
+                l8.ping(function() {
+                    assert.deepEqual(emulator.state.animation, {id: animation.id, loop: true});
+                    assert.deepEqual(emulator.getMatrix(), createMatrix({r: 15, g: 0, b: 0}));
+
+                    animation.stop(function(error) {
+                        assert.strictEqual(error, false);
+                        assert.strictEqual(emulator.state.animation, null);
+                        done();
+                    });
+                });
+            });
+        });
+    });
+
+    it("deletes the animation along with its frames", function(done) {
+        prepare(function(error, animation) {
+            animation.delete(function(error, deleted) {
+                assert.strictEqual(error, false);
+                assert.strictEqual(deleted, true);
+                assert.deepEqual(emulator.state.animations, {});
+                assert.deepEqual(emulator.state.frames, {});
+                done();
+            });
+        });
+    });
+
+    it("requires a duration for each frame", function() {
+        assert.throws(function() {
+            l8.prepareAnimation([createMatrix({r: 0, g: 0, b: 0})], [], function() {});
+        }, RangeError);
+    });
+});
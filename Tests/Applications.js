@@ -0,0 +1,68 @@
+/* globals describe, it, beforeEach, afterEach */
+var assert = require("assert");
+
+var L8 = require("../Library/L8").L8;
+var EmulatedL8 = require("./Support/EmulatedL8");
+
+describe("Applications", function() {
+    var l8, emulator;
+
+    beforeEach(function(done) {
+        EmulatedL8.connect(undefined, null, function(error, connected) {
+            l8 = connected.l8;
+            emulator = connected.emulator;
+            done(error);
+        });
+    });
+
+    afterEach(function(done) {
+        l8.close(done);
+    });
+
+    it("runs and stops built-in applications", function(done) {
+        l8.runApplication(L8.APPLICATIONS.PARTY, function(error) {
+            assert.strictEqual(error, false);
+            assert.strictEqual(emulator.state.application, L8.APPLICATIONS.PARTY);
+
+            l8.stopApplication(function(error) {
+                assert.strictEqual(error, false);
+                assert.strictEqual(emulator.state.application, null);
+                done();
+            });
+        });
+    });
+
+    it("sets and queries the mode", function(done) {
+        l8.setMode(7, function(error) {
+            assert.strictEqual(error, false);
+
+            l8.getMode(function(error, mode) {
+                assert.strictEqual(error, false);
+                assert.strictEqual(mode, 7);
+                done();
+            });
+        });
+    });
+
+    it("shows a single character", function(done) {
+        l8.showCharacter("A", {r: 15, g: 8, b: 0}, function(error) {
+            assert.strictEqual(error, false);
+            assert.deepEqual(emulator.state.character, {character: "A", color: {r: 15, g: 8, b: 0}});
+            done();
+        });
+    });
+
+    it("rejects unknown applications, invalid modes and more than one character", function() {
+        var noop = function() {};
+
+        assert.throws(function() {
+            l8.runApplication(0x42, noop);
+        }, RangeError);
+        assert.throws(function() {
+            l8.setMode(256, noop);
+        }, RangeError);
+        assert.throws(function() {
+            l8.showCharacter("AB", {r: 0, g: 0, b: 0}, noop);
+        }, RangeError);
+    });
+});
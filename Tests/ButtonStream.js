@@ -0,0 +1,147 @@
+/* globals describe, it, beforeEach, afterEach */
+var assert = require("assert");
+
+var ButtonStream = require("../Library/ButtonStream").ButtonStream;
+var EmulatedL8 = require("./Support/EmulatedL8");
+
+describe("ButtonStream", function() {
+    var l8, emulator, device, stream;
+
+    beforeEach(function(done) {
+        stream = null;
+        EmulatedL8.connect(undefined, {buttonOptions: {samplingRate: 5, debounce: 0, longPressDuration: 1000}}, function(error, connected) {
+            l8 = connected.l8;
+            emulator = connected.emulator;
+            device = connected.device;
+            done(error);
+        });
+    });
+
+    afterEach(function(done) {
+        if (stream !== null) {
+            stream.stop();
+        }
+        l8.removeAllListeners("button");
+        l8.close(done);
+    });
+
+    /**
+     * Change the button state of the emulated L8 after the given delay
+     *
+     * @param {Number} delay
+     * @param {Boolean} pressed
+     */
+    var pressAfter = function(delay, pressed) {
+        setTimeout(function() {
+            emulator.state.button = pressed;
+        }, delay);
+    };
+
+    it("ignores bounces shorter than the debounce time", function(done) {
+        var events = [];
+
+        stream = new ButtonStream(l8, {samplingRate: 5, debounce: 40});
+        ButtonStream.EVENTS.forEach(function(type) {
+            stream.on(type, function(event) {
+                events.push(event.type);
+            });
+        });
+
+        pressAfter(30, true);
+        pressAfter(45, false);
+        pressAfter(100, true);
+
+        setTimeout(function() {
+            assert.deepEqual(events, ["press"]);
+            done();
+        }, 250);
+    });
+
+    it("reports presses held long enough as longpress", function(done) {
+        var events = [];
+
+        stream = new ButtonStream(l8, {samplingRate: 5, debounce: 0, longPressDuration: 50});
+        stream.on("press", function(event) {
+            events.push(event.type);
+        });
+        stream.on("longpress", function(event) {
+            events.push(event.type);
+            assert.ok(event.duration >= 50, event.duration);
+            emulator.state.button = false;
+        });
+        stream.on("release", function(event) {
+            assert.deepEqual(events, ["press", "longpress"]);
+            assert.ok(event.duration >= 50, event.duration);
+            done();
+        });
+
+        pressAfter(20, true);
+    });
+
+    it("emits the button events of the L8, while anybody listens to them", function(done) {
+        l8.on("button", function(event) {
+            if (event.type === "release") {
+                done();
+            }
+        });
+
+        pressAfter(20, true);
+        pressAfter(60, false);
+    });
+
+    it("stops polling the button once stopped", function(done) {
+        var polls = 0;
+
+        emulator.on("command", function() {
+            polls++;
+        });
+
+        stream = new ButtonStream(l8, {samplingRate: 5});
+        stream.on("press", function() {});
+
+        setTimeout(function() {
+            assert.ok(polls > 0);
+            stream.stop();
+
+            // A poll may still be on its way to the L8
+            setTimeout(function() {
+                polls = 0;
+
+                setTimeout(function() {
+                    assert.strictEqual(polls, 0);
+                    done();
+                }, 30);
+            }, 10);
+        }, 30);
+    });
+
+    it("waits for the L8 to be opened again only once and stops waiting once stopped", function(done) {
+        l8.close(function() {
+            stream = new ButtonStream(l8, {samplingRate: 5});
+            stream.on("press", function() {});
+
+            setTimeout(function() {
+                assert.strictEqual(l8.listeners("open").length, 1);
+
+                stream.stop();
+                assert.strictEqual(l8.listeners("open").length, 0);
+                done();
+            }, 30);
+        });
+    });
+
+    it("resumes polling once the L8 has been opened again", function(done) {
+        l8.close(function() {
+            stream = new ButtonStream(l8, {samplingRate: 5, debounce: 0});
+            stream.on("press", function() {
+                done();
+            });
+
+            device.open(function() {
+                l8.open(function() {
+                    pressAfter(20, true);
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,100 @@
+/* globals describe, it, beforeEach, afterEach */
+var assert = require("assert");
+
+var SLCP = require("../Library/SLCP");
+var ClockSync = require("../Library/ClockSync").ClockSync;
+var EmulatedL8 = require("./Support/EmulatedL8");
+
+describe("ClockSync", function() {
+    var l8, emulator, clockSync;
+
+    beforeEach(function(done) {
+        clockSync = null;
+        EmulatedL8.connect({timeOffset: -3600000}, null, function(error, connected) {
+            l8 = connected.l8;
+            emulator = connected.emulator;
+            done(error);
+        });
+    });
+
+    afterEach(function(done) {
+        if (clockSync !== null) {
+            clockSync.stop();
+        }
+        l8.close(done);
+    });
+
+    it("sets and reads the clock of the L8", function(done) {
+        var date = new Date(2015, 5, 17, 13, 37, 42, 500);
+
+        l8.setTime(date, function(error) {
+            assert.strictEqual(error, false);
+
+            l8.getTime(function(error, time) {
+                assert.strictEqual(error, false);
+                // Only seconds are transmitted, while the clock keeps running
+                assert.ok(time.getTime() >= date.getTime() - 500, time);
+                assert.ok(time.getTime() <= date.getTime() + 1500, time);
+                done();
+            });
+        });
+    });
+
+    it("rejects invalid dates", function() {
+        assert.throws(function() {
+            l8.setTime(new Date("invalid"), function() {});
+        }, RangeError);
+    });
+
+    it("sets the clock right away and again once it drifted too far", function(done) {
+        var syncs = 0;
+
+        clockSync = l8.syncClock({interval: 10, maxDrift: 2000});
+        assert.ok(clockSync instanceof ClockSync);
+
+        clockSync.on("sync", function() {
+            syncs++;
+            assert.ok(Math.abs(emulator.state.timeOffset) < 1000, emulator.state.timeOffset);
+
+            if (syncs === 1) {
+                emulator.state.timeOffset = 60000;
+            }
+        });
+        clockSync.on("drift", function(drift) {
+            if (syncs === 1) {
+                assert.ok(drift.drift > 2000, drift.drift);
+            }
+
+            if (syncs === 2) {
+                assert.ok(Math.abs(drift.drift) < 2000, drift.drift);
+                done();
+            }
+        });
+    });
+
+    it("runs a single chain of checks after being restarted while setting the clock", function(done) {
+        var syncs = 0;
+        var checks = 0;
+
+        emulator.on("command", function(frame) {
+            if (frame.command === SLCP.CMD.L8_TIME_QUERY) {
+                checks++;
+            }
+        });
+
+        clockSync = new ClockSync(l8, {interval: 30});
+        clockSync.on("sync", function() {
+            syncs++;
+        });
+        clockSync.start();
+        clockSync.stop();
+        clockSync.start();
+
+        setTimeout(function() {
+            assert.strictEqual(syncs, 1);
+            // A single chain checks about 3 times
+            assert.ok(checks <= 4, "Checked " + checks + " times");
+            done();
+        }, 100);
+    });
+});
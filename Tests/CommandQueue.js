@@ -0,0 +1,190 @@
+/* globals describe, it, beforeEach */
+var assert = require("assert");
+
+var SLCP = require("../Library/SLCP");
+var CommandQueue = require("../Library/CommandQueue").CommandQueue;
+var L8Error = require("../Library/Errors").L8Error;
+var L8TimeoutError = require("../Library/Errors").L8TimeoutError;
+var L8ConnectionError = require("../Library/Errors").L8ConnectionError;
+
+/**
+ * Parse the given frame buffer, the way it would be received from the L8
+ *
+ * @param {Buffer} buffer
+ * @returns {Object}
+ */
+var parse = function(buffer) {
+    return SLCP.parseFrames({buffer: new Buffer(buffer), length: buffer.length})[0];
+};
+
+describe("CommandQueue", function() {
+    var written, writer;
+
+    beforeEach(function() {
+        written = [];
+        writer = function(buffer, fn) {
+            written.push({buffer: buffer, time: Date.now()});
+            setImmediate(fn, false, buffer.length);
+        };
+    });
+
+    it("resolves commands expecting the same response in the order they have been issued", function() {
+        var queue = new CommandQueue(writer, {maxInFlight: 2});
+        var led = SLCP.buildFrame(SLCP.CMD.L8_LED_SET, new Buffer([0, 0, 15, 0, 0, 0]));
+        var ok = parse(SLCP.buildFrame(SLCP.CMD.OK, new Buffer([SLCP.CMD.L8_LED_SET])));
+        var completed = [];
+
+        queue.push(led, true, true, function(error) {
+            assert.strictEqual(error, false);
+            completed.push("first");
+        });
+        queue.push(led, true, true, function(error) {
+            assert.strictEqual(error, false);
+            completed.push("second");
+        });
+
+        assert.strictEqual(queue.handleFrame(ok), true);
+        assert.deepEqual(completed, ["first"]);
+        assert.strictEqual(queue.getDepth(), 1);
+
+        assert.strictEqual(queue.handleFrame(ok), true);
+        assert.deepEqual(completed, ["first", "second"]);
+        assert.strictEqual(queue.handleFrame(ok), false);
+    });
+
+    it("writes at most maxInFlight commands at once", function() {
+        var queue = new CommandQueue(writer, {maxInFlight: 1});
+        var ping = SLCP.buildFrame(SLCP.CMD.PING);
+        var pong = parse(SLCP.buildFrame(SLCP.CMD.PONG));
+
+        queue.push(ping, {command: SLCP.CMD.PONG}, true, function() {});
+        queue.push(ping, {command: SLCP.CMD.PONG}, true, function() {});
+
+        assert.strictEqual(written.length, 1);
+        assert.strictEqual(queue.getDepth(), 2);
+
+        queue.handleFrame(pong);
+        assert.strictEqual(written.length, 2);
+        assert.strictEqual(queue.getDepth(), 1);
+    });
+
+    it("emits drain once the last command has been completed", function(done) {
+        var queue = new CommandQueue(writer);
+        var completed = false;
+
+        queue.on("drain", function() {
+            assert.strictEqual(completed, true);
+            assert.strictEqual(queue.getDepth(), 0);
+            done();
+        });
+
+        queue.push(SLCP.buildFrame(SLCP.CMD.L8_MATRIX_OFF), false, true, function(error) {
+            assert.strictEqual(error, false);
+            completed = true;
+        });
+    });
+
+    it("fails unanswered commands with an L8TimeoutError", function(done) {
+        var queue = new CommandQueue(writer, {timeout: 20});
+
+        queue.push(SLCP.buildFrame(SLCP.CMD.PING), {command: SLCP.CMD.PONG}, true, function(error) {
+            assert.ok(error instanceof L8TimeoutError);
+            assert.strictEqual(error.command, SLCP.CMD.PING);
+            assert.strictEqual(error.timeout, 20);
+            assert.strictEqual(queue.getDepth(), 0);
+            done();
+        });
+    });
+
+    it("uses the timeout configured for a specific command", function(done) {
+        var commandTimeouts = {};
+        commandTimeouts[SLCP.CMD.PING] = 10;
+
+        var queue = new CommandQueue(writer, {timeout: 5000, commandTimeouts: commandTimeouts});
+
+        queue.push(SLCP.buildFrame(SLCP.CMD.PING), {command: SLCP.CMD.PONG}, true, function(error) {
+            assert.ok(error instanceof L8TimeoutError);
+            assert.strictEqual(error.timeout, 10);
+            done();
+        });
+    });
+
+    it("uses the timeout given for a single command", function(done) {
+        var queue = new CommandQueue(writer, {timeout: 5000});
+
+        queue.push(SLCP.buildFrame(SLCP.CMD.PING), {command: SLCP.CMD.PONG}, true, function(error) {
+            assert.ok(error instanceof L8TimeoutError);
+            assert.strictEqual(error.timeout, 10);
+            done();
+        }, 10);
+    });
+
+    it("retries idempotent commands with a doubling delay", function(done) {
+        var queue = new CommandQueue(writer, {
+            timeout: 10,
+            retries: 2,
+            retryDelay: 20,
+            idempotentCommands: [SLCP.CMD.PING]
+        });
+
+        queue.push(SLCP.buildFrame(SLCP.CMD.PING), {command: SLCP.CMD.PONG}, true, function(error) {
+            assert.ok(error instanceof L8TimeoutError);
+            assert.strictEqual(written.length, 3);
+
+            // Each gap consists of the timeout followed by the backoff delay
+            // Timers may fire up to a msec early
+            assert.ok(written[1].time - written[0].time >= 10 + 20 - 2);
+            assert.ok(written[2].time - written[1].time >= 10 + 40 - 2);
+            done();
+        });
+    });
+
+    it("does not retry idempotent commands answered with an error response", function(done) {
+        var queue = new CommandQueue(writer, {
+            retries: 2,
+            retryDelay: 0,
+            idempotentCommands: [SLCP.CMD.L8_MATRIX_OFF]
+        });
+        var matrixOff = SLCP.buildFrame(SLCP.CMD.L8_MATRIX_OFF);
+
+        queue.push(matrixOff, true, true, function(error, frame) {
+            assert.ok(error instanceof L8Error);
+            assert.strictEqual(frame.command, SLCP.CMD.ERR);
+            assert.strictEqual(written.length, 1);
+            done();
+        });
+
+        queue.handleFrame(parse(SLCP.buildFrame(SLCP.CMD.ERR, new Buffer([SLCP.CMD.L8_MATRIX_OFF]))));
+    });
+
+    it("does not retry commands, which are not idempotent", function(done) {
+        var queue = new CommandQueue(writer, {timeout: 10, retries: 2, retryDelay: 0});
+
+        queue.push(SLCP.buildFrame(SLCP.CMD.RESET), true, true, function(error) {
+            assert.ok(error instanceof L8TimeoutError);
+            assert.strictEqual(written.length, 1);
+            done();
+        });
+    });
+
+    it("fails all queued commands including the ones in flight on clear", function() {
+        var queue = new CommandQueue(writer, {maxInFlight: 1});
+        var ping = SLCP.buildFrame(SLCP.CMD.PING);
+        var errors = [];
+        var collect = function(error) {
+            errors.push(error);
+        };
+
+        queue.push(ping, {command: SLCP.CMD.PONG}, true, collect);
+        queue.push(ping, {command: SLCP.CMD.PONG}, true, collect);
+
+        queue.clear(new L8ConnectionError("gone"));
+
+        assert.strictEqual(errors.length, 2);
+        errors.forEach(function(error) {
+            assert.ok(error instanceof L8ConnectionError);
+        });
+        assert.strictEqual(queue.getDepth(), 0);
+        assert.strictEqual(written.length, 1);
+    });
+});
@@ -0,0 +1,93 @@
+/* globals describe, it, beforeEach, afterEach */
+var assert = require("assert");
+
+var L8 = require("../Library/L8").L8;
+var L8ConnectionError = require("../Library/Errors").L8ConnectionError;
+var EmulatedL8 = require("./Support/EmulatedL8");
+
+describe("Connection", function() {
+    var l8, emulator, device;
+
+    beforeEach(function(done) {
+        EmulatedL8.connect(undefined, null, function(error, connected) {
+            l8 = connected.l8;
+            emulator = connected.emulator;
+            device = connected.device;
+            done(error);
+        });
+    });
+
+    afterEach(function(done) {
+        l8.close(done);
+    });
+
+    it("tracks the state of the connection while closing and opening it again", function(done) {
+        var events = [];
+
+        l8.on("open", function() {
+            events.push("open:" + l8.getState());
+        });
+        l8.on("close", function() {
+            events.push("close:" + l8.getState());
+        });
+
+        assert.strictEqual(l8.getState(), L8.STATES.OPEN);
+        assert.strictEqual(l8.isConnected, true);
+
+        l8.close(function(error) {
+            assert.strictEqual(error, false);
+            assert.strictEqual(l8.getState(), L8.STATES.CLOSED);
+            assert.strictEqual(l8.isConnected, false);
+
+            device.open(function() {
+                l8.open(function(error) {
+                    assert.strictEqual(error, false);
+                    assert.strictEqual(l8.getState(), L8.STATES.OPEN);
+                    assert.deepEqual(events, ["close:closed", "open:open"]);
+
+                    l8.ping(function(error) {
+                        assert.strictEqual(error, false);
+                        done();
+                    });
+                });
+
+                assert.strictEqual(l8.getState(), L8.STATES.OPENING);
+            });
+        });
+
+        assert.strictEqual(l8.getState(), L8.STATES.CLOSING);
+    });
+
+    it("refuses to open a connection, which is not closed", function(done) {
+        l8.open(function(error, opened) {
+            assert.ok(error instanceof L8ConnectionError);
+            assert.strictEqual(opened, false);
+            assert.strictEqual(l8.getState(), L8.STATES.OPEN);
+            done();
+        });
+    });
+
+    it("fails commands awaiting their response once the connection is closed", function(done) {
+        // Swallow all commands without answering them
+        emulator.handleFrame_ = function() {};
+
+        l8.ping(function(error) {
+            assert.ok(error instanceof L8ConnectionError);
+            assert.strictEqual(l8.getQueueDepth(), 0);
+            done();
+        });
+
+        device.once("data", function() {
+            l8.close(function() {});
+        });
+    });
+
+    it("refuses to send commands while it is not connected", function(done) {
+        l8.close(function() {
+            assert.throws(function() {
+                l8.ping(function() {});
+            }, /not connected/);
+            done();
+        });
+    });
+});
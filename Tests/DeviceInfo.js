@@ -0,0 +1,51 @@
+/* globals describe, it, beforeEach, afterEach */
+var assert = require("assert");
+
+var EmulatedL8 = require("./Support/EmulatedL8");
+
+describe("DeviceInfo", function() {
+    var l8, emulator;
+
+    beforeEach(function(done) {
+        EmulatedL8.connect({uid: "00112233445566778899aabb", versions: [1, 2, 3, 4, 5, 6, 7, 8, 9, 0]}, null, function(error, connected) {
+            l8 = connected.l8;
+            emulator = connected.emulator;
+            done(error);
+        });
+    });
+
+    afterEach(function(done) {
+        l8.close(done);
+    });
+
+    it("reads the unique id and the versions", function(done) {
+        l8.getUID(function(error, uid) {
+            assert.strictEqual(error, false);
+            assert.strictEqual(uid, "00112233445566778899aabb");
+
+            l8.getVersions(function(error, versions) {
+                assert.strictEqual(error, false);
+                assert.deepEqual(versions, {lightOS: "1.2.3", hardware: "4.5", bootloader: "6.7", userSpace: "8.9.0"});
+                done();
+            });
+        });
+    });
+
+    it("reports the inventory of the User Memory", function(done) {
+        emulator.state.l8ys = {0: new Buffer(128), 1: new Buffer(128)};
+        emulator.state.frames = {0: new Buffer(128)};
+
+        l8.getDeviceInfo(function(error, info) {
+            assert.strictEqual(error, false);
+            assert.strictEqual(info.uid, "00112233445566778899aabb");
+            assert.strictEqual(info.l8yCount, 2);
+            assert.strictEqual(info.frameCount, 1);
+            assert.strictEqual(info.animationCount, 0);
+            assert.strictEqual(info.totalMemory, 16 * 1024);
+            assert.strictEqual(info.freeMemory, 16 * 1024 - 3 * 128);
+            assert.strictEqual(info.usedMemory, 3 * 128);
+            assert.deepEqual(info.initStatus, {initialized: true, status: 0});
+            done();
+        });
+    });
+});
@@ -0,0 +1,106 @@
+/* globals describe, it, beforeEach, afterEach */
+var assert = require("assert");
+
+var SLCP = require("../Library/SLCP");
+var L8 = require("../Library/L8").L8;
+var L8Error = require("../Library/Errors").L8Error;
+var EmulatedL8 = require("./Support/EmulatedL8");
+
+/**
+ * Create a buffer of the given length filled with a counting pattern
+ *
+ * @param {Number} length
+ * @returns {Buffer}
+ */
+var createData = function(length) {
+    var data = new Buffer(length);
+
+    for (var index = 0; index < length; index++) {
+        data[index] = index % 251;
+    }
+
+    return data;
+};
+
+describe("Flash", function() {
+    var l8, emulator, commands;
+
+    beforeEach(function(done) {
+        commands = [];
+        EmulatedL8.connect(undefined, null, function(error, connected) {
+            l8 = connected.l8;
+            emulator = connected.emulator;
+            emulator.on("command", function(frame) {
+                commands.push(frame.command);
+            });
+            done(error);
+        });
+    });
+
+    afterEach(function(done) {
+        l8.close(done);
+    });
+
+    var count = function(command) {
+        return commands.filter(function(candidate) {
+            return candidate === command;
+        }).length;
+    };
+
+    it("reads ranges exceeding a single frame in chunks", function(done) {
+        var data = createData(600);
+        data.copy(emulator.state.flash, 1000);
+
+        l8.readFlash(1000, 600, function(error, read) {
+            assert.strictEqual(error, false);
+            assert.strictEqual(read.toString("hex"), data.toString("hex"));
+            assert.strictEqual(count(SLCP.CMD.FLASH_READ), Math.ceil(600 / L8.FLASH_READ_CHUNK_SIZE));
+            done();
+        });
+    });
+
+    it("writes buffers exceeding a single frame in chunks and verifies them", function(done) {
+        var data = createData(600);
+
+        l8.writeFlash(2000, data, function(error, written) {
+            assert.strictEqual(error, false);
+            assert.strictEqual(written, true);
+            assert.strictEqual(emulator.state.flash.slice(2000, 2600).toString("hex"), data.toString("hex"));
+            assert.strictEqual(count(SLCP.CMD.FLASH_WRITE), Math.ceil(600 / L8.FLASH_WRITE_CHUNK_SIZE));
+            assert.strictEqual(count(SLCP.CMD.FLASH_READ), Math.ceil(600 / L8.FLASH_READ_CHUNK_SIZE));
+            done();
+        });
+    });
+
+    it("reports data, which could not be verified, using an L8Error", function(done) {
+        emulator.on("command", function(frame) {
+            if (frame.command === SLCP.CMD.FLASH_READ) {
+                // Flip a bit before the written data is read back
+                emulator.state.flash[3000] ^= 0x01;
+            }
+        });
+
+        l8.writeFlash(3000, createData(10), function(error, written) {
+            assert.ok(error instanceof L8Error);
+            assert.ok(/verification failed/.test(error.message), error.message);
+            assert.strictEqual(written, false);
+            done();
+        });
+    });
+
+    it("reports ranges outside of the flash memory using an L8Error", function(done) {
+        l8.readFlash(emulator.state.flash.length - 1, 2, function(error) {
+            assert.ok(error instanceof L8Error);
+            done();
+        });
+    });
+
+    it("rejects invalid ranges", function() {
+        assert.throws(function() {
+            l8.readFlash(-1, 10, function() {});
+        }, RangeError);
+        assert.throws(function() {
+            l8.writeFlash(0xFFFFFFFF, new Buffer(2), function() {});
+        }, RangeError);
+    });
+});
@@ -0,0 +1,50 @@
+/* globals describe, it, beforeEach, afterEach */
+var assert = require("assert");
+
+var EmulatedL8 = require("./Support/EmulatedL8");
+
+describe("FrameGrab", function() {
+    var l8, emulator;
+
+    beforeEach(function(done) {
+        EmulatedL8.connect(undefined, null, function(error, connected) {
+            l8 = connected.l8;
+            emulator = connected.emulator;
+            done(error);
+        });
+    });
+
+    afterEach(function(done) {
+        l8.close(done);
+    });
+
+    it("grabs the currently displayed matrix in the format accepted by setMatrix", function(done) {
+        var matrix = [];
+
+        for (var index = 0; index < 64; index++) {
+            matrix.push({r: index % 16, g: 15 - index % 16, b: index >> 2});
+        }
+
+        l8.setMatrix(matrix, function(error) {
+            assert.strictEqual(error, false);
+
+            l8.grabFrame(function(error, grabbed) {
+                assert.strictEqual(error, false);
+                assert.deepEqual(grabbed, matrix);
+                done();
+            });
+        });
+    });
+
+    it("grabs content drawn by the L8 itself", function(done) {
+        emulator.state.matrix.fill(0);
+        emulator.state.matrix[0] = 0x0F;
+
+        l8.grabFrame(function(error, grabbed) {
+            assert.strictEqual(error, false);
+            assert.deepEqual(grabbed[0], {r: 0, g: 0, b: 15});
+            assert.deepEqual(grabbed[1], {r: 0, g: 0, b: 0});
+            done();
+        });
+    });
+});
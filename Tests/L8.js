@@ -0,0 +1,119 @@
+/* globals describe, it, beforeEach */
+var assert = require("assert");
+
+var SLCP = require("../Library/SLCP");
+var L8 = require("../Library/L8").L8;
+var MemoryTransport = require("../Library/MemoryTransport").MemoryTransport;
+var L8TimeoutError = require("../Library/Errors").L8TimeoutError;
+var L8ConnectionError = require("../Library/Errors").L8ConnectionError;
+
+describe("L8", function() {
+    var device, l8;
+
+    beforeEach(function(done) {
+        var pair = MemoryTransport.createPair();
+
+        device = pair[1];
+        l8 = new L8(pair[0], null, {timeout: 1000});
+
+        device.open(function() {
+            l8.open(done);
+        });
+    });
+
+    it("fails commands awaiting their response once the connection is lost", function(done) {
+        l8.on("disconnect", function() {
+            assert.strictEqual(l8.getState(), L8.STATES.CLOSED);
+            assert.strictEqual(l8.getQueueDepth(), 0);
+        });
+
+        l8.ping(function(error) {
+            assert.ok(error instanceof L8ConnectionError);
+            done();
+        });
+
+        device.once("data", function() {
+            device.close(function() {});
+        });
+    });
+
+    it("waits for the response of a frame sent with its own timeout only that long", function(done) {
+        l8.sendFrameWithTimeout(l8.buildFrame(SLCP.CMD.PING), {command: SLCP.CMD.PONG}, true, 10, function(error) {
+            assert.ok(error instanceof L8TimeoutError);
+            assert.strictEqual(error.timeout, 10);
+            l8.close(done);
+        });
+    });
+
+    it("closes a connection as soon as it has been opened, if closing was requested while opening", function(done) {
+        var pair = MemoryTransport.createPair();
+        var opening = new L8(pair[0]);
+        var openError = null;
+
+        opening.open(function(error) {
+            openError = error;
+        });
+
+        assert.strictEqual(opening.getState(), L8.STATES.OPENING);
+
+        opening.close(function(error) {
+            assert.strictEqual(error, false);
+            assert.ok(openError instanceof L8ConnectionError);
+            assert.strictEqual(opening.getState(), L8.STATES.CLOSED);
+            assert.strictEqual(pair[0].isOpen, false);
+            done();
+        });
+    });
+
+    it("stops reconnecting, if closed during a reconnection attempt", function(done) {
+        var pair = MemoryTransport.createPair();
+        var reconnecting = new L8(pair[0], null, {reconnect: {initialDelay: 5}});
+        var open = pair[0].open;
+
+        reconnecting.on("reconnect", function() {
+            done(new Error("Reconnected after being closed"));
+        });
+
+        pair[1].open(function() {
+            reconnecting.open(function() {
+                pair[0].open = function(fn) {
+                    reconnecting.close(function(error) {
+                        assert.strictEqual(error, false);
+
+                        setTimeout(function() {
+                            assert.strictEqual(reconnecting.getState(), L8.STATES.CLOSED);
+                            done();
+                        }, 20);
+                    });
+
+                    open.call(this, fn);
+                };
+
+                pair[1].close(function() {});
+            });
+        });
+    });
+
+    it("resynchronizes on the next frame after receiving garbage", function(done) {
+        var protocolErrors = [];
+
+        l8.on("protocolError", function(error) {
+            protocolErrors.push(error.reason);
+        });
+
+        l8.ping(function(error, frame) {
+            assert.strictEqual(error, false);
+            assert.strictEqual(frame.command, SLCP.CMD.PONG);
+            assert.deepEqual(protocolErrors, ["garbage"]);
+            assert.strictEqual(l8.getProtocolStatistics().discardedBytes, 3);
+            l8.close(done);
+        });
+
+        device.once("data", function() {
+            device.write(Buffer.concat([
+                new Buffer("0102aa", "hex"),
+                SLCP.buildFrame(SLCP.CMD.PONG)
+            ]), function() {});
+        });
+    });
+});
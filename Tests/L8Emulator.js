@@ -0,0 +1,68 @@
+/* globals describe, it, afterEach */
+var assert = require("assert");
+
+var SLCP = require("../Library/SLCP");
+var L8Error = require("../Library/Errors").L8Error;
+var L8Emulator = require("../Library/L8Emulator").L8Emulator;
+var EmulatedL8 = require("./Support/EmulatedL8");
+
+describe("L8Emulator", function() {
+    var l8, emulator;
+
+    var connect = function(state, done) {
+        EmulatedL8.connect(state, null, function(error, connected) {
+            l8 = connected.l8;
+            emulator = connected.emulator;
+            done(error);
+        });
+    };
+
+    afterEach(function(done) {
+        l8.close(done);
+    });
+
+    it("answers a ping with a pong", function(done) {
+        connect(undefined, function() {
+            l8.ping(function(error, frame) {
+                assert.strictEqual(error, false);
+                assert.strictEqual(frame.command, SLCP.CMD.PONG);
+                done();
+            });
+        });
+    });
+
+    it("answers queries with its state in the format understood by the decoders", function(done) {
+        connect({sensors: {voltage: 3600, batteryPercentage: 42}}, function() {
+            l8.getVoltage(function(error, voltage) {
+                assert.strictEqual(error, false);
+                assert.deepEqual(voltage, {value: 3600, unit: "mV", percentage: 42});
+                done();
+            });
+        });
+    });
+
+    it("answers unknown commands with an error response", function(done) {
+        connect(undefined, function() {
+            l8.sendFrame(l8.buildFrame(SLCP.CMD.L8_TRACE_MSG), true, true, function(error) {
+                assert.ok(error instanceof L8Error);
+                done();
+            });
+        });
+    });
+
+    it("merges nested state options into the default state", function(done) {
+        connect({sensors: {voltage: 3600}}, function() {
+            var defaults = L8Emulator.createDefaultState();
+
+            assert.strictEqual(emulator.state.sensors.voltage, 3600);
+            assert.strictEqual(emulator.state.sensors.temperature, defaults.sensors.temperature);
+            assert.deepEqual(emulator.state.thresholds, defaults.thresholds);
+
+            l8.getTemperature(function(error, temperature) {
+                assert.strictEqual(error, false);
+                assert.strictEqual(temperature.value, defaults.sensors.temperature);
+                done();
+            });
+        });
+    });
+});
@@ -0,0 +1,165 @@
+/* globals describe, it, beforeEach, afterEach */
+var assert = require("assert");
+
+var L8 = require("../Library/L8").L8;
+var L8Watcher = require("../Library/L8Watcher").L8Watcher;
+var SerialTransport = require("../Library/SerialTransport").SerialTransport;
+var MemoryTransport = require("../Library/MemoryTransport").MemoryTransport;
+
+/**
+ * Create a transport, which can not be opened
+ *
+ * @returns {MemoryTransport}
+ */
+var createBusyTransport = function() {
+    var transport = new MemoryTransport();
+    transport.open = function(fn) {
+        setImmediate(fn, new Error("Port is busy"));
+    };
+
+    return transport;
+};
+
+describe("L8Watcher", function() {
+    var list, identify, watcher, probes, listError, identifyDevice;
+
+    beforeEach(function() {
+        list = SerialTransport.list;
+        identify = L8.identify;
+        probes = 0;
+        listError = false;
+        identifyDevice = function(fn) {
+            fn(false, {port: "/dev/l8", baudrate: 115200, uid: "0123"});
+        };
+
+        SerialTransport.list = function(fn) {
+            setImmediate(fn, listError, listError ? null : [{port: "/dev/l8"}]);
+        };
+
+        L8.identify = function(port, options, fn) {
+            probes++;
+            setImmediate(identifyDevice, fn);
+        };
+    });
+
+    afterEach(function() {
+        watcher.stop();
+        SerialTransport.list = list;
+        L8.identify = identify;
+    });
+
+    it("drops errors, if nobody listens for them", function(done) {
+        listError = new Error("Ports can not be listed");
+        watcher = new L8Watcher({interval: 10});
+        watcher.start();
+
+        setTimeout(done, 50);
+    });
+
+    it("probes ports again, which could not be identified", function(done) {
+        identifyDevice = function(fn) {
+            if (probes < 3) {
+                fn(new Error("No answer"), false);
+                return;
+            }
+
+            fn(false, {port: "/dev/l8", baudrate: 115200, uid: "0123"});
+        };
+
+        watcher = new L8Watcher({interval: 10});
+        watcher.on("attach", function(device) {
+            assert.strictEqual(device.uid, "0123");
+            assert.strictEqual(probes, 3);
+            done();
+        });
+        watcher.start();
+    });
+
+    it("reports connections, which could not be opened", function(done) {
+        identifyDevice = function(fn) {
+            fn(false, {port: createBusyTransport(), baudrate: 115200, uid: "0123"});
+        };
+
+        watcher = new L8Watcher({interval: 10, autoOpen: true});
+        watcher.on("attach", function() {
+            done(new Error("Unexpected attach event"));
+        });
+        watcher.on("error", function(error) {
+            assert.strictEqual(error.message, "Port is busy");
+            watcher.stop();
+            done();
+        });
+        watcher.start();
+    });
+
+    it("backs off probing ports, which could not be opened", function(done) {
+        identifyDevice = function(fn) {
+            fn(false, {port: createBusyTransport(), baudrate: 115200, uid: "0123"});
+        };
+
+        watcher = new L8Watcher({interval: 10, autoOpen: true});
+        watcher.start();
+
+        setTimeout(function() {
+            // Without backing off the port is probed about 20 times
+            assert.ok(probes >= 2, "Probed " + probes + " times");
+            assert.ok(probes <= 6, "Probed " + probes + " times");
+            done();
+        }, 200);
+    });
+
+    it("detaches opened L8s, whose connection has been lost, while their port is still listed", function(done) {
+        var pair = MemoryTransport.createPair();
+
+        // Devices are indexed by their port, which has to match the listed one
+        pair[0].toString = function() {
+            return "/dev/l8";
+        };
+
+        identifyDevice = function(fn) {
+            fn(false, {port: pair[0], baudrate: 115200, uid: "0123"});
+        };
+
+        watcher = new L8Watcher({interval: 10, autoOpen: true});
+        watcher.on("attach", function(device) {
+            assert.strictEqual(device.l8.isConnected, true);
+            pair[1].close(function() {});
+        });
+        watcher.on("detach", function(device) {
+            assert.strictEqual(device.uid, "0123");
+            assert.strictEqual(watcher.getDevices().length, 0);
+            done();
+        });
+
+        pair[1].open(function() {
+            watcher.start();
+        });
+    });
+
+    it("does not report L8s identified after it has been stopped", function(done) {
+        var answer = null;
+
+        identifyDevice = function(fn) {
+            answer = fn;
+        };
+
+        watcher = new L8Watcher({interval: 10});
+        watcher.on("attach", function() {
+            done(new Error("Unexpected attach event"));
+        });
+        watcher.start();
+
+        setTimeout(function() {
+            assert.notStrictEqual(answer, null);
+
+            watcher.stop();
+            answer(false, {port: "/dev/l8", baudrate: 115200, uid: "0123"});
+
+            setTimeout(function() {
+                assert.strictEqual(watcher.getDevices().length, 0);
+                assert.strictEqual(probes, 1);
+                done();
+            }, 30);
+        }, 20);
+    });
+});
@@ -0,0 +1,94 @@
+/* globals describe, it, beforeEach, afterEach */
+var assert = require("assert");
+
+var SLCP = require("../Library/SLCP");
+var L8Error = require("../Library/Errors").L8Error;
+var EmulatedL8 = require("./Support/EmulatedL8");
+
+/**
+ * Create a matrix, whose colors differ from LED to LED
+ *
+ * @returns {Array}
+ */
+var createMatrix = function() {
+    var matrix = [];
+
+    for (var index = 0; index < 64; index++) {
+        matrix.push({r: index % 16, g: (index >> 4) & 0x0F, b: 15 - index % 16});
+    }
+
+    return matrix;
+};
+
+describe("L8y", function() {
+    var l8, emulator;
+
+    beforeEach(function(done) {
+        EmulatedL8.connect(undefined, null, function(error, connected) {
+            l8 = connected.l8;
+            emulator = connected.emulator;
+            done(error);
+        });
+    });
+
+    afterEach(function(done) {
+        l8.close(done);
+    });
+
+    it("stores, reads back and shows an L8Y", function(done) {
+        var matrix = createMatrix();
+
+        l8.storeL8y(matrix, function(error, l8yId) {
+            assert.strictEqual(error, false);
+            assert.strictEqual(l8yId, 0);
+
+            l8.readL8y(l8yId, function(error, stored) {
+                assert.strictEqual(error, false);
+                assert.deepEqual(stored, matrix);
+
+                l8.showL8y(l8yId, function(error) {
+                    assert.strictEqual(error, false);
+                    assert.deepEqual(emulator.getMatrix(), matrix);
+
+                    l8.getL8yCount(function(error, count) {
+                        assert.strictEqual(error, false);
+                        assert.strictEqual(count, 1);
+                        done();
+                    });
+                });
+            });
+        });
+    });
+
+    it("deletes an L8Y", function(done) {
+        l8.storeL8y(createMatrix(), function(error, l8yId) {
+            l8.deleteL8y(l8yId, function(error) {
+                assert.strictEqual(error, false);
+                assert.deepEqual(emulator.state.l8ys, {});
+                done();
+            });
+        });
+    });
+
+    it("reports missing L8Ys using an L8Error", function(done) {
+        var reads = 0;
+
+        emulator.on("command", function(frame) {
+            if (frame.command === SLCP.CMD.L8_READ_L8Y) {
+                reads++;
+            }
+        });
+
+        l8.readL8y(3, function(error) {
+            assert.ok(error instanceof L8Error);
+            assert.strictEqual(reads, 1);
+            done();
+        });
+    });
+
+    it("rejects invalid ids", function() {
+        assert.throws(function() {
+            l8.showL8y(256, function() {});
+        }, RangeError);
+    });
+});
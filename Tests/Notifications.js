@@ -0,0 +1,122 @@
+/* globals describe, it, beforeEach, afterEach */
+var assert = require("assert");
+
+var EmulatedL8 = require("./Support/EmulatedL8");
+
+/**
+ * Create a matrix, whose LEDs all have the given color
+ *
+ * @param {{r: Number, g: Number, b: Number}} color
+ * @returns {Array}
+ */
+var createMatrix = function(color) {
+    var matrix = [];
+
+    for (var index = 0; index < 64; index++) {
+        matrix.push(color);
+    }
+
+    return matrix;
+};
+
+describe("Notifications", function() {
+    var l8, emulator;
+
+    beforeEach(function(done) {
+        EmulatedL8.connect(undefined, null, function(error, connected) {
+            l8 = connected.l8;
+            emulator = connected.emulator;
+            done(error);
+        });
+    });
+
+    afterEach(function(done) {
+        l8.close(done);
+    });
+
+    it("registers notification apps and lists them", function(done) {
+        var icon = createMatrix({r: 0, g: 15, b: 0});
+
+        l8.storeNotificationApp("Mail", icon, {r: 0, g: 0, b: 15}, true, function(error, appId) {
+            assert.strictEqual(error, false);
+            assert.strictEqual(appId, 0);
+
+            l8.storeNotificationApp("Chat", icon, {r: 15, g: 0, b: 0}, false, function(error, appId) {
+                assert.strictEqual(error, false);
+                assert.strictEqual(appId, 1);
+
+                l8.getNotificationApps(function(error, apps) {
+                    assert.strictEqual(error, false);
+                    assert.deepEqual(apps, [
+                        {id: 0, name: "Mail", matrix: icon, color: {r: 0, g: 0, b: 15}, enabled: true},
+                        {id: 1, name: "Chat", matrix: icon, color: {r: 15, g: 0, b: 0}, enabled: false}
+                    ]);
+                    done();
+                });
+            });
+        });
+    });
+
+    it("shows notifications of enabled apps, unless notifications are silenced", function(done) {
+        var icon = createMatrix({r: 15, g: 15, b: 0});
+
+        l8.storeNotificationApp("Mail", icon, {r: 0, g: 0, b: 15}, false, function(error, appId) {
+            l8.showNotification(appId, function(error) {
+                assert.strictEqual(error, false);
+                assert.strictEqual(emulator.state.notification, null);
+
+                l8.enableNotificationApp(appId, true, function(error) {
+                    assert.strictEqual(error, false);
+
+                    l8.setNotificationsSilenced(true, function(error) {
+                        assert.strictEqual(error, false);
+
+                        l8.showNotification(appId, function() {
+                            assert.strictEqual(emulator.state.notification, null);
+
+                            l8.setNotificationsSilenced(false, function() {
+                                l8.showNotification(appId, function(error) {
+                                    assert.strictEqual(error, false);
+                                    assert.strictEqual(emulator.state.notification, appId);
+                                    assert.deepEqual(emulator.state.superLED, {r: 0, g: 0, b: 15});
+                                    assert.deepEqual(emulator.getMatrix(), icon);
+                                    done();
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+
+    it("reports whether notifications are silenced", function(done) {
+        l8.setNotificationsSilenced(true, function() {
+            l8.getNotificationsSilenced(function(error, silenced) {
+                assert.strictEqual(error, false);
+                assert.strictEqual(silenced, true);
+                done();
+            });
+        });
+    });
+
+    it("deletes notification apps", function(done) {
+        l8.storeNotificationApp("Mail", createMatrix({r: 0, g: 0, b: 0}), {r: 0, g: 0, b: 0}, true, function(error, appId) {
+            l8.deleteNotificationApp(appId, function(error) {
+                assert.strictEqual(error, false);
+
+                l8.getNotificationAppCount(function(error, count) {
+                    assert.strictEqual(error, false);
+                    assert.strictEqual(count, 0);
+                    done();
+                });
+            });
+        });
+    });
+
+    it("rejects names exceeding the maximal length", function() {
+        assert.throws(function() {
+            l8.storeNotificationApp(new Array(123).join("x"), createMatrix({r: 0, g: 0, b: 0}), {r: 0, g: 0, b: 0}, true, function() {});
+        }, RangeError);
+    });
+});
@@ -0,0 +1,74 @@
+/* globals describe, it, beforeEach, afterEach */
+var assert = require("assert");
+
+var SLCP = require("../Library/SLCP");
+var EmulatedL8 = require("./Support/EmulatedL8");
+
+describe("Orientation", function() {
+    var l8, emulator;
+
+    beforeEach(function(done) {
+        EmulatedL8.connect({orientation: "left", autoRotate: true}, {orientationPollInterval: 5}, function(error, connected) {
+            l8 = connected.l8;
+            emulator = connected.emulator;
+            done(error);
+        });
+    });
+
+    afterEach(function(done) {
+        l8.close(done);
+    });
+
+    it("queries the orientation", function(done) {
+        l8.getOrientation(function(error, orientation) {
+            assert.strictEqual(error, false);
+            assert.deepEqual(orientation, {orientation: "left", autoRotate: true});
+            done();
+        });
+    });
+
+    it("sets the orientation manually", function(done) {
+        l8.setOrientation("down", function(error) {
+            assert.strictEqual(error, false);
+
+            l8.getOrientation(function(error, orientation) {
+                assert.strictEqual(error, false);
+                assert.deepEqual(orientation, {orientation: "down", autoRotate: false});
+                done();
+            });
+        });
+    });
+
+    it("emits orientation changes, while anybody listens to them", function(done) {
+        l8.on("orientationchange", function(change) {
+            assert.deepEqual(change, {orientation: "right", previous: "left"});
+            done();
+        });
+
+        setTimeout(function() {
+            emulator.state.orientation = "right";
+        }, 20);
+    });
+
+    it("reports orientation codes unknown to the decoders raw by getAcceleration only", function(done) {
+        // Let the emulated L8 report an orientation code, which is not known
+        emulator.handleFrame_ = function(frame) {
+            if (frame.command === SLCP.CMD.L8_ACC_QUERY) {
+                this.reply_(SLCP.CMD.L8_ACC_RESPONSE, [0, 0, 21, 2, 3, 0, 0]);
+            } else if (frame.command === SLCP.CMD.L8_ORIENTATION_QUERY) {
+                this.reply_(SLCP.CMD.L8_ORIENTATION_RESPONSE, [3, 0]);
+            }
+        };
+
+        l8.getAcceleration(function(error, acceleration) {
+            assert.strictEqual(error, false);
+            assert.strictEqual(acceleration.orientation, 3);
+
+            l8.getOrientation(function(error, orientation) {
+                assert.strictEqual(error, false);
+                assert.deepEqual(orientation, {orientation: "unknown", autoRotate: false});
+                done();
+            });
+        });
+    });
+});
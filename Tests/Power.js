@@ -0,0 +1,59 @@
+/* globals describe, it, beforeEach, afterEach */
+var assert = require("assert");
+
+var EmulatedL8 = require("./Support/EmulatedL8");
+
+describe("Power", function() {
+    var l8, emulator;
+
+    beforeEach(function(done) {
+        EmulatedL8.connect(undefined, null, function(error, connected) {
+            l8 = connected.l8;
+            emulator = connected.emulator;
+            done(error);
+        });
+    });
+
+    afterEach(function(done) {
+        l8.close(done);
+    });
+
+    ["powerOff", "reset", "enterBootloader"].forEach(function(method) {
+        it("ends the connection using " + method, function(done) {
+            l8.on("disconnect", function() {
+                done(new Error("Unexpected disconnect event"));
+            });
+            l8.on("close", function() {
+                assert.strictEqual(l8.isConnected, false);
+                assert.strictEqual(emulator.isOpen, false);
+                done();
+            });
+
+            l8[method](function(error, writeCount) {
+                assert.strictEqual(error, false);
+                assert.strictEqual(writeCount, 5);
+            });
+        });
+    });
+
+    it("fails commands waiting for their response, once the connection ended", function(done) {
+        l8.powerOff(function() {});
+        l8.ping(function(error) {
+            assert.ok(error instanceof Error);
+            done();
+        });
+    });
+
+    it("toggles the status LEDs and the low brightness mode", function(done) {
+        l8.setStatusLeds(false, function(error) {
+            assert.strictEqual(error, false);
+            assert.strictEqual(emulator.state.statusLeds, false);
+
+            l8.setLowBrightness(true, function(error) {
+                assert.strictEqual(error, false);
+                assert.strictEqual(emulator.state.lowBrightness, true);
+                done();
+            });
+        });
+    });
+});
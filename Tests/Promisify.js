@@ -0,0 +1,57 @@
+/* globals describe, it, beforeEach */
+var assert = require("assert");
+
+var Promisify = require("../Library/Promisify").Promisify;
+
+describe("Promisify", function() {
+    var target, calls;
+
+    beforeEach(function() {
+        calls = [];
+        target = {
+            find: function(options, fn) {
+                if (typeof options === "function") {
+                    fn = options;
+                    options = undefined;
+                }
+                calls.push(options);
+                fn(false, "found");
+            }
+        };
+        Promisify(target);
+    });
+
+    it("calls through, if the callback is given", function(done) {
+        target.find({}, function(error, value) {
+            assert.strictEqual(error, false);
+            assert.strictEqual(value, "found");
+            assert.deepEqual(calls, [{}]);
+            done();
+        });
+    });
+
+    it("returns a promise, if the callback is omitted", function() {
+        return target.find({}).then(function(value) {
+            assert.strictEqual(value, "found");
+            assert.deepEqual(calls, [{}]);
+        });
+    });
+
+    it("returns a promise, if optional arguments are omitted as well", function() {
+        return target.find().then(function(value) {
+            assert.strictEqual(value, "found");
+            assert.deepEqual(calls, [undefined]);
+        });
+    });
+
+    it("considers a function given in place of optional arguments to be the callback", function(done) {
+        var result = target.find(function(error, value) {
+            assert.strictEqual(error, false);
+            assert.strictEqual(value, "found");
+            assert.deepEqual(calls, [undefined]);
+            done();
+        });
+
+        assert.strictEqual(result, undefined);
+    });
+});
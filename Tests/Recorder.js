@@ -0,0 +1,124 @@
+/* globals describe, it, beforeEach, afterEach */
+var assert = require("assert");
+var stream = require("stream");
+
+var SLCP = require("../Library/SLCP");
+var L8 = require("../Library/L8").L8;
+var Recorder = require("../Library/Recorder").Recorder;
+var ReplayTransport = require("../Library/ReplayTransport").ReplayTransport;
+var EmulatedL8 = require("./Support/EmulatedL8");
+
+describe("Recorder", function() {
+    var l8, emulator, capture;
+
+    beforeEach(function(done) {
+        capture = new stream.PassThrough();
+        capture.setEncoding("utf8");
+
+        EmulatedL8.connect({sensors: {voltage: 3900}}, null, function(error, connected) {
+            l8 = connected.l8;
+            emulator = connected.emulator;
+            done(error);
+        });
+    });
+
+    afterEach(function(done) {
+        l8.close(done);
+    });
+
+    /**
+     * Record a ping and a voltage query, while the firmware sends a trace message
+     *
+     * @param {Function} fn
+     */
+    var record = function(fn) {
+        var recorder = l8.record(capture);
+
+        emulator.once("command", function() {
+            emulator.emit("data", SLCP.buildFrame(SLCP.CMD.L8_TRACE_MSG, new Buffer("hello", "ascii")));
+        });
+
+        l8.ping(function() {
+            l8.getVoltage(function() {
+                recorder.stop();
+                fn(capture.read());
+            });
+        });
+    };
+
+    it("records all sent and received frames including trace messages", function(done) {
+        record(function(content) {
+            var parsed = Recorder.parse(content);
+
+            assert.strictEqual(parsed.header.format, "slcp-capture");
+            assert.strictEqual(parsed.header.version, 1);
+            assert.deepEqual(parsed.entries.map(function(entry) {
+                return entry.direction + " " + SLCP.commandName(new Buffer(entry.frame, "hex")[3]);
+            }), [
+                "sent PING",
+                "received L8_TRACE_MSG",
+                "received PONG",
+                "sent L8_VOLTAGE_QUERY",
+                "received L8_VOLTAGE_RESPONSE"
+            ]);
+            done();
+        });
+    });
+
+    it("rejects content, which is no capture", function() {
+        assert.throws(function() {
+            Recorder.parse("{\"format\": \"something-else\"}\n");
+        }, /Unsupported capture/);
+    });
+
+    describe("ReplayTransport", function() {
+        it("replays a recorded session", function(done) {
+            record(function(content) {
+                var replay = new ReplayTransport(content, {realtime: false});
+                var replayed = new L8(replay);
+                var traces = [];
+
+                replay.on("mismatch", function(mismatch) {
+                    done(new Error("Unexpected mismatch at " + mismatch.position));
+                });
+                replayed.on("trace", function(trace) {
+                    traces.push(trace.message);
+                });
+
+                replayed.open(function() {
+                    replayed.ping(function(error) {
+                        assert.strictEqual(error, false);
+
+                        replay.once("end", function() {
+                            assert.deepEqual(traces, ["hello"]);
+                            replayed.close(done);
+                        });
+
+                        replayed.getVoltage(function(error, voltage) {
+                            assert.strictEqual(error, false);
+                            assert.strictEqual(voltage.value, 3900);
+                        });
+                    });
+                });
+            });
+        });
+
+        it("reports frames differing from the recorded ones", function(done) {
+            record(function(content) {
+                var replay = new ReplayTransport(content, {realtime: false});
+                var replayed = new L8(replay);
+
+                replay.on("mismatch", function(mismatch) {
+                    assert.strictEqual(mismatch.position, 0);
+                    assert.strictEqual(mismatch.expected.toString("hex"), SLCP.buildFrame(SLCP.CMD.PING).toString("hex"));
+                    assert.strictEqual(mismatch.actual.toString("hex"), SLCP.buildFrame(SLCP.CMD.L8_UID_QUERY).toString("hex"));
+                    replayed.close(done);
+                });
+
+                replayed.open(function() {
+                    replayed.getUID(function() {});
+                });
+            });
+        });
+    });
+});
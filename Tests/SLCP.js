@@ -0,0 +1,245 @@
+/* globals describe, it */
+var assert = require("assert");
+var childProcess = require("child_process");
+var path = require("path");
+
+var SLCP = require("../Library/SLCP");
+var FrameParser = require("../Library/FrameParser").FrameParser;
+
+/**
+ * Parse the given hex string and collect all frames and protocol errors
+ *
+ * By default the receive buffer is exactly as large as the data, which
+ * allows the parser to resynchronize right away. A larger `bufferSize`
+ * simulates data still being in transit.
+ *
+ * @param {String} hex
+ * @param {Number} [bufferSize]
+ * @returns {{frames: Object[], errors: L8ProtocolError[], remaining: Number}}
+ */
+var parse = function(hex, bufferSize) {
+    var data = new Buffer(hex, "hex");
+    var receiveBuffer = {buffer: new Buffer(Math.max(bufferSize || 0, data.length)), length: data.length};
+    data.copy(receiveBuffer.buffer);
+    var errors = [];
+
+    var frames = SLCP.parseFrames(receiveBuffer, function(error) {
+        errors.push(error);
+    });
+
+    return {
+        frames: frames || [],
+        errors: errors,
+        remaining: receiveBuffer.length
+    };
+};
+
+var OK = SLCP.buildFrame(SLCP.CMD.OK).toString("hex");
+
+/**
+ * Response to a FLASH_READ of 253 bytes, whose data contains a valid OK frame
+ *
+ * @type {Buffer}
+ */
+var FLASH_READ_RESPONSE = (function() {
+    var data = new Buffer(253);
+    data.fill(0x17);
+    new Buffer(OK, "hex").copy(data, 100);
+
+    return SLCP.buildFrame(SLCP.CMD.OK, Buffer.concat([new Buffer([SLCP.CMD.FLASH_READ]), data]));
+})();
+
+describe("SLCP.parseFrames", function() {
+    it("parses consecutive frames", function() {
+        var result = parse(OK + OK);
+
+        assert.strictEqual(result.frames.length, 2);
+        assert.strictEqual(result.frames[0].command, SLCP.CMD.OK);
+        assert.strictEqual(result.frames[0].raw.toString("hex"), OK);
+        assert.strictEqual(result.errors.length, 0);
+        assert.strictEqual(result.remaining, 0);
+    });
+
+    it("skips garbage in front of the magic bytes", function() {
+        var result = parse("0102" + OK);
+
+        assert.strictEqual(result.frames.length, 1);
+        assert.deepEqual(result.errors.map(function(error) {
+            return error.reason;
+        }), ["garbage"]);
+        assert.strictEqual(result.errors[0].data.toString("hex"), "0102");
+    });
+
+    it("keeps the frames swallowed by a frame with an invalid checksum", function() {
+        var result = parse("aa5506" + OK + OK + OK);
+
+        assert.strictEqual(result.frames.length, 3);
+        assert.deepEqual(result.errors.map(function(error) {
+            return error.reason;
+        }), ["checksum", "garbage"]);
+        assert.strictEqual(result.errors[0].data.toString("hex"), "aa55");
+        assert.strictEqual(result.remaining, 0);
+    });
+
+    it("resynchronizes on the next frame while waiting for a frame with an invalid length", function() {
+        var result = parse("aa55ff" + OK);
+
+        assert.strictEqual(result.frames.length, 1);
+        assert.strictEqual(result.frames[0].raw.toString("hex"), OK);
+        assert.deepEqual(result.errors.map(function(error) {
+            return error.reason;
+        }), ["length"]);
+        assert.strictEqual(result.errors[0].data.toString("hex"), "aa55ff");
+        assert.strictEqual(result.remaining, 0);
+    });
+
+    it("waits for incomplete frames containing magic bytes", function() {
+        var frame = SLCP.buildFrame(SLCP.CMD.L8_MATRIX_SET, new Buffer("aa550201020304", "hex"));
+        var result = parse(frame.slice(0, 8).toString("hex"));
+
+        assert.strictEqual(result.frames.length, 0);
+        assert.strictEqual(result.errors.length, 0);
+        assert.strictEqual(result.remaining, 8);
+    });
+
+    it("waits for split frames containing a valid frame, while the buffer is not full", function() {
+        var result = parse(FLASH_READ_RESPONSE.slice(0, 150).toString("hex"), 4096);
+
+        assert.strictEqual(result.frames.length, 0);
+        assert.strictEqual(result.errors.length, 0);
+        assert.strictEqual(result.remaining, 150);
+    });
+
+    it("resynchronizes on demand, while waiting for an incomplete frame", function() {
+        var data = new Buffer("aa55ff" + OK, "hex");
+        var receiveBuffer = {buffer: new Buffer(4096), length: data.length};
+        data.copy(receiveBuffer.buffer);
+
+        assert.strictEqual(SLCP.parseFrames(receiveBuffer), false);
+        assert.strictEqual(SLCP.parseFrames(receiveBuffer, null, true).length, 1);
+        assert.strictEqual(receiveBuffer.length, 0);
+    });
+
+    it("drops frames without a payload", function() {
+        var result = parse("aa5500" + OK);
+
+        assert.strictEqual(result.frames.length, 1);
+        assert.strictEqual(result.errors[0].reason, "length");
+    });
+});
+
+describe("FrameParser", function() {
+    it("resynchronizes, if an incomplete frame is not completed in time", function(done) {
+        var parser = new FrameParser({resyncTimeout: 10});
+        var errors = [];
+
+        parser.on("protocolError", function(error) {
+            errors.push(error.reason);
+        });
+        parser.on("frames", function(frames) {
+            assert.strictEqual(frames.length, 1);
+            assert.strictEqual(frames[0].raw.toString("hex"), OK);
+            assert.deepEqual(errors, ["length"]);
+            assert.deepEqual(parser.getStatistics(), {frames: 1, discardedBytes: 3, invalidFrames: 1});
+            done();
+        });
+
+        assert.strictEqual(parser.push(new Buffer("aa55ff", "hex")).length, 0);
+        assert.strictEqual(parser.push(new Buffer(OK, "hex")).length, 0);
+    });
+
+    it("keeps split frames, whose payload contains a valid frame", function(done) {
+        var parser = new FrameParser({resyncTimeout: 50});
+
+        parser.on("protocolError", function(error) {
+            done(error);
+        });
+
+        assert.strictEqual(parser.push(FLASH_READ_RESPONSE.slice(0, 150)).length, 0);
+
+        setTimeout(function() {
+            var frames = parser.push(FLASH_READ_RESPONSE.slice(150));
+
+            assert.strictEqual(frames.length, 1);
+            assert.strictEqual(frames[0].raw.toString("hex"), FLASH_READ_RESPONSE.toString("hex"));
+            done();
+        }, 20);
+    });
+});
+
+describe("SLCP.decode", function() {
+    it("decodes acknowledgements without parameters", function() {
+        var entries = SLCP.decode(OK);
+
+        assert.strictEqual(entries.length, 1);
+        assert.strictEqual(entries[0].valid, true);
+        assert.strictEqual(entries[0].name, "OK");
+        assert.deepEqual(entries[0].decoded, {});
+        assert.strictEqual(entries[0].error, undefined);
+        assert.strictEqual(SLCP.format(entries[0]), "OK");
+    });
+
+    it("decodes the command acknowledged", function() {
+        var ok = SLCP.buildFrame(SLCP.CMD.OK, new Buffer([SLCP.CMD.L8_LED_SET]));
+        var entries = SLCP.decode(ok);
+
+        assert.deepEqual(entries[0].decoded, {command: "L8_LED_SET", parameters: ""});
+    });
+
+    it("keeps the frames following a corrupted frame", function() {
+        var entries = SLCP.decode("aa5506" + OK + OK + OK);
+
+        assert.deepEqual(entries.map(function(entry) {
+            return entry.valid ? entry.name : entry.raw.toString("hex");
+        }), ["aa55", "06", "OK", "OK", "OK"]);
+        assert.deepEqual(entries.filter(function(entry) {
+            return entry.valid;
+        }).map(function(entry) {
+            return entry.offset;
+        }), [3, 3 + OK.length / 2, 3 + OK.length]);
+    });
+
+    it("decodes the parameters of responses and formats them as text", function() {
+        var voltage = SLCP.buildFrame(SLCP.CMD.L8_VOLTAGE_RESPONSE, new Buffer([0x0E, 0x74, 60]));
+        var entries = SLCP.decode(voltage.toString("hex"));
+
+        assert.deepEqual(entries[0].decoded, {value: 3700, unit: "mV", percentage: 60});
+        assert.strictEqual(SLCP.format(entries[0]), "L8_VOLTAGE_RESPONSE " + JSON.stringify({value: 3700, unit: "mV", percentage: 60}));
+    });
+
+    it("reports incomplete data at the end of the input", function() {
+        var entries = SLCP.decode(OK + "aa5505");
+
+        assert.strictEqual(entries.length, 2);
+        assert.strictEqual(entries[1].valid, false);
+        assert.strictEqual(entries[1].offset, OK.length / 2);
+        assert.strictEqual(SLCP.format(entries[1]), "!! Incomplete frame (aa5505)");
+    });
+});
+
+describe("slcp-decode", function() {
+    var BIN = path.join(__dirname, "..", "bin", "slcp-decode");
+
+    it("decodes the data given as arguments", function(done) {
+        childProcess.execFile(process.execPath, [BIN, "aa 55 01 01", "07"], function(error, stdout) {
+            assert.strictEqual(error, null);
+            assert.strictEqual(stdout, "    PING\n");
+            done();
+        });
+    });
+
+    it("passes lines read from stdin through and decodes the data found in them", function(done) {
+        var child = childProcess.execFile(process.execPath, [BIN], function(error, stdout) {
+            assert.strictEqual(error, null);
+            assert.strictEqual(stdout, [
+                "12:00:01 sent aa55010107",
+                "    PING",
+                "12:00:02 nothing to decode",
+                ""
+            ].join("\n"));
+            done();
+        });
+
+        child.stdin.end("12:00:01 sent aa55010107\n12:00:02 nothing to decode\n");
+    });
+});
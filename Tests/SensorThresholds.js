@@ -0,0 +1,65 @@
+/* globals describe, it, beforeEach, afterEach */
+var assert = require("assert");
+
+var EmulatedL8 = require("./Support/EmulatedL8");
+
+describe("SensorThresholds", function() {
+    var l8, emulator;
+
+    beforeEach(function(done) {
+        EmulatedL8.connect(undefined, null, function(error, connected) {
+            l8 = connected.l8;
+            emulator = connected.emulator;
+            done(error);
+        });
+    });
+
+    afterEach(function(done) {
+        l8.close(done);
+    });
+
+    it("sets and reads back the thresholds of all sensors", function(done) {
+        l8.setNoiseThresholds(10, 80, function(error) {
+            assert.strictEqual(error, false);
+
+            l8.setProximityThresholds(100, 1000, function(error) {
+                assert.strictEqual(error, false);
+
+                l8.setAmbientThresholds(0, 65535, function(error) {
+                    assert.strictEqual(error, false);
+
+                    l8.getSensorThresholds(function(error, thresholds) {
+                        assert.strictEqual(error, false);
+                        assert.deepEqual(thresholds, {
+                            noise: {min: 10, max: 80},
+                            proximity: {min: 100, max: 1000},
+                            ambient: {min: 0, max: 65535}
+                        });
+                        assert.deepEqual(emulator.state.thresholds.noise, {min: 10, max: 80});
+                        done();
+                    });
+                });
+            });
+        });
+    });
+
+    it("rejects thresholds out of range, which are not integers or whose minimum exceeds the maximum", function() {
+        var noop = function() {};
+
+        assert.throws(function() {
+            l8.setNoiseThresholds(0, 256, noop);
+        }, RangeError);
+        assert.throws(function() {
+            l8.setProximityThresholds(-1, 10, noop);
+        }, RangeError);
+        assert.throws(function() {
+            l8.setAmbientThresholds(1.5, 10, noop);
+        }, RangeError);
+        assert.throws(function() {
+            l8.setAmbientThresholds("1", 10, noop);
+        }, RangeError);
+        assert.throws(function() {
+            l8.setNoiseThresholds(20, 10, noop);
+        }, /greater than maximum/);
+    });
+});
@@ -0,0 +1,44 @@
+/* globals describe, it, beforeEach, afterEach */
+var assert = require("assert");
+
+var EmulatedL8 = require("./Support/EmulatedL8");
+
+describe("Sensors", function() {
+    var l8;
+
+    beforeEach(function(done) {
+        EmulatedL8.connect({sensors: {voltage: 3700, batteryPercentage: 60, temperature: -4.5, mic: 55}}, null, function(error, connected) {
+            l8 = connected.l8;
+            done(error);
+        });
+    });
+
+    afterEach(function(done) {
+        l8.close(done);
+    });
+
+    it("decodes single sensor readings", function(done) {
+        l8.getTemperature(function(error, temperature) {
+            assert.strictEqual(error, false);
+            assert.deepEqual(temperature, {value: -4.5, unit: "°C"});
+
+            l8.getMicLevel(function(error, mic) {
+                assert.strictEqual(error, false);
+                assert.deepEqual(mic, {value: 55, unit: "dB"});
+                done();
+            });
+        });
+    });
+
+    it("reads all sensors at once", function(done) {
+        l8.getSensors(function(error, sensors) {
+            assert.strictEqual(error, false);
+            assert.deepEqual(sensors.voltage, {value: 3700, unit: "mV", percentage: 60});
+            assert.deepEqual(sensors.ambientLight, {value: 50, unit: "%", raw: 2048});
+            assert.deepEqual(sensors.proximity, {value: 3, unit: "%", raw: 120});
+            assert.deepEqual(sensors.vbus, {value: 5000, unit: "mV"});
+            assert.deepEqual(sensors.batteryCharge, {status: "charging", code: 1});
+            done();
+        });
+    });
+});
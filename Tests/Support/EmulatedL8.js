@@ -0,0 +1,51 @@
+var L8 = require("../../Library/L8").L8;
+var L8Emulator = require("../../Library/L8Emulator").L8Emulator;
+var MemoryTransport = require("../../Library/MemoryTransport").MemoryTransport;
+
+/**
+ * Callback for writes, whose outcome does not matter
+ */
+var ignore = function() {};
+
+/**
+ * Connect a new L8 instance to an {@link L8Emulator} over an in-memory transport.
+ *
+ * Everything the L8 writes to its end of the transport is handed to the
+ * emulator, whose answers are written back. Ending the emulated connection,
+ * like a powered off L8 does, closes the transport.
+ *
+ * Once all parts have been opened the callback is given an object holding
+ * the `l8`, the `emulator` and the `device` end of the transport.
+ *
+ * @param {Object} [state] Initial state of the emulator
+ * @param {Object} [l8Options] Options of the L8 instance
+ * @param {Function} fn
+ */
+var connect = function(state, l8Options, fn) {
+    var pair = MemoryTransport.createPair();
+    var emulator = new L8Emulator(state);
+    var device = pair[1];
+    var l8 = new L8(pair[0], null, l8Options);
+
+    device.on("data", function(data) {
+        emulator.write(data, ignore);
+    });
+    emulator.on("data", function(data) {
+        device.write(data, ignore);
+    });
+    emulator.on("close", function() {
+        if (device.isOpen) {
+            device.close(ignore);
+        }
+    });
+
+    device.open(function() {
+        emulator.open(function() {
+            l8.open(function(error) {
+                fn(error, {l8: l8, emulator: emulator, device: device});
+            });
+        });
+    });
+};
+
+exports.connect = connect;
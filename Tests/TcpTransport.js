@@ -0,0 +1,62 @@
+/* globals describe, it, beforeEach, afterEach */
+var assert = require("assert");
+var net = require("net");
+
+var TcpTransport = require("../Library/TcpTransport").TcpTransport;
+
+describe("TcpTransport", function() {
+    var server, closeTimeout;
+
+    beforeEach(function(done) {
+        closeTimeout = TcpTransport.CLOSE_TIMEOUT;
+
+        // Bridge, which never closes its side of the connection
+        server = net.createServer({allowHalfOpen: true}, function(connection) {
+            connection.resume();
+        });
+        server.listen(0, "127.0.0.1", done);
+    });
+
+    afterEach(function() {
+        TcpTransport.CLOSE_TIMEOUT = closeTimeout;
+        server.close();
+    });
+
+    it("exchanges data with the bridge", function(done) {
+        server.removeAllListeners("connection");
+        server.on("connection", function(connection) {
+            connection.pipe(connection);
+        });
+
+        var transport = new TcpTransport("127.0.0.1", server.address().port);
+        transport.on("data", function(data) {
+            assert.strictEqual(data.toString("hex"), "aa55");
+            transport.close(done);
+        });
+        transport.open(function(error) {
+            assert.strictEqual(error, false);
+            transport.write(new Buffer("aa55", "hex"), function() {});
+        });
+    });
+
+    it("closes the connection, even if the bridge does not close its side", function(done) {
+        TcpTransport.CLOSE_TIMEOUT = 50;
+
+        var transport = new TcpTransport("127.0.0.1", server.address().port);
+        var closeEvents = 0;
+
+        transport.on("close", function() {
+            closeEvents++;
+        });
+        transport.open(function(error) {
+            assert.strictEqual(error, false);
+
+            transport.close(function(error, closed) {
+                assert.strictEqual(error, false);
+                assert.strictEqual(closed, true);
+                assert.strictEqual(closeEvents, 1);
+                done();
+            });
+        });
+    });
+});
@@ -0,0 +1,60 @@
+/* globals describe, it, beforeEach, afterEach */
+var assert = require("assert");
+
+var SLCP = require("../Library/SLCP");
+var EmulatedL8 = require("./Support/EmulatedL8");
+
+describe("Trace", function() {
+    var l8, emulator, lines;
+
+    beforeEach(function(done) {
+        lines = [];
+        EmulatedL8.connect(undefined, {traceLogger: {log: function(line) { lines.push(line); }}}, function(error, connected) {
+            l8 = connected.l8;
+            emulator = connected.emulator;
+
+            // Let the emulated firmware trace every ping before answering it
+            emulator.on("command", function(frame) {
+                if (frame.command === SLCP.CMD.PING) {
+                    emulator.emit("data", SLCP.buildFrame(SLCP.CMD.L8_TRACE_MSG, new Buffer("ping received\r\n\u0000", "ascii")));
+                }
+            });
+            done(error);
+        });
+    });
+
+    afterEach(function(done) {
+        l8.close(done);
+    });
+
+    it("emits trace messages without mistaking them for responses", function(done) {
+        var traces = [];
+        var received = [];
+
+        l8.on("trace", function(trace) {
+            traces.push(trace);
+        });
+        l8.on("frameReceived", function(frame) {
+            received.push(frame.command);
+        });
+
+        l8.ping(function(error, frame) {
+            assert.strictEqual(error, false);
+            assert.strictEqual(frame.command, SLCP.CMD.PONG);
+            assert.deepEqual(received, [SLCP.CMD.PONG]);
+            assert.strictEqual(traces.length, 1);
+            assert.strictEqual(traces[0].message, "ping received");
+            assert.ok(traces[0].timestamp instanceof Date);
+            assert.strictEqual(traces[0].frame.command, SLCP.CMD.L8_TRACE_MSG);
+            done();
+        });
+    });
+
+    it("logs trace messages using the trace logger", function(done) {
+        l8.ping(function() {
+            assert.strictEqual(lines.length, 1);
+            assert.ok(/^\[L8 trace [^\]]+\] ping received$/.test(lines[0]), lines[0]);
+            done();
+        });
+    });
+});
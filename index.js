@@ -3,11 +3,42 @@ var Promisify = require("./Library/Promisify").Promisify;
 // Protocol commands and queries
 exports.SLCP = require("./Library/SLCP");
 
+// Errors reported by the L8
+exports.L8Error = require("./Library/Errors").L8Error;
+exports.L8TimeoutError = require("./Library/Errors").L8TimeoutError;
+exports.L8ProtocolError = require("./Library/Errors").L8ProtocolError;
+exports.L8ConnectionError = require("./Library/Errors").L8ConnectionError;
+
 // Helper to build LED matrices
 exports.MatrixBuilder = require("./Library/MatrixBuilder").MatrixBuilder;
 // Stream to continuously access accelerometer data.
 exports.AccelerationStream = require("./Library/AccelerationStream").AccelerationStream;
+// Stream of events triggered by the button of the L8.
+exports.ButtonStream = require("./Library/ButtonStream").ButtonStream;
+// Synchronization of the L8s real-time clock with the host clock.
+exports.ClockSync = require("./Library/ClockSync").ClockSync;
+
+// Transports to communicate with a L8
+exports.Transport = require("./Library/Transport").Transport;
+exports.SerialTransport = require("./Library/SerialTransport").SerialTransport;
+exports.TcpTransport = require("./Library/TcpTransport").TcpTransport;
+exports.MemoryTransport = require("./Library/MemoryTransport").MemoryTransport;
+// Emulated L8 for development and testing without hardware
+exports.L8Emulator = require("./Library/L8Emulator").L8Emulator;
+// Replay of captured SLCP traffic
+exports.ReplayTransport = require("./Library/ReplayTransport").ReplayTransport;
+
+// Recording of SLCP traffic
+exports.Recorder = require("./Library/Recorder").Recorder;
+
+// Handle to animations stored on a L8
+exports.Animation = require("./Library/Animation").Animation;
+Promisify(exports.Animation.prototype);
 
 // Main entry point to control a L8
 exports.L8 = require("./Library/L8").L8;
-Promisify(exports.L8.prototype);
\ No newline at end of file
+Promisify(exports.L8);
+Promisify(exports.L8.prototype);
+
+// Watcher reporting L8s being attached or detached
+exports.L8Watcher = require("./Library/L8Watcher").L8Watcher;
\ No newline at end of file